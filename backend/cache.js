@@ -0,0 +1,37 @@
+import NodeCache from 'node-cache';
+
+// Initialize cache with 1 hour TTL
+const cache = new NodeCache({ stdTTL: 3600 });
+
+// Drop cached data derived from a document: its chunk list and every cached
+// query result that cites one of its chunks. Returns the number of keys removed.
+export function invalidateDocument(docId) {
+    const keys = cache.keys().filter(key => {
+        if (key === `doc_chunks_${docId}`) {
+            return true;
+        }
+        if (!key.startsWith('query_')) {
+            return false;
+        }
+        const result = cache.get(key);
+        return Boolean(result?.sources?.some(source => source.docId === docId));
+    });
+
+    return cache.del(keys);
+}
+
+// Drop cached query results that were filtered by collection or tags, whose scope changes
+// whenever a document's collection or tags do. Returns the number of keys removed.
+export function invalidateFilteredQueries() {
+    const keys = cache.keys().filter(key => {
+        if (!key.startsWith('query_')) {
+            return false;
+        }
+        const filters = cache.get(key)?.filters;
+        return Boolean(filters?.collection || filters?.tags?.length);
+    });
+
+    return cache.del(keys);
+}
+
+export default cache;
@@ -0,0 +1,314 @@
+// Offline evaluation: a golden set's questions run through the retrieval pipeline under a named
+// configuration, scored against the documents and pages each question expects and its expected
+// answer. Retrieval metrics, over the k = maxResults sources of each question:
+//   recallAtK       share of the expected pages (or documents, without pages) a source covers
+//   reciprocalRank  1 / rank of the first relevant source, 0 if none (its mean is the MRR)
+//   precisionAtK    share of the sources that are relevant
+//   hitAtK          1 if any source is relevant
+// A source is relevant when it comes from a version of an expected document and, if the question
+// expects pages, overlaps one of them. Answer metrics, when answers are generated:
+//   answerSimilarity  token F1 between the answer and the expected answer
+//   answerRelevance, faithfulness, contextPrecision  the RAGEvaluator scores, contextPrecision
+//                     against the chunks of the expected documents and pages
+
+import natural from 'natural';
+import neo4j from 'neo4j-driver';
+import driver, { toNative } from '../neo4j.js';
+import logger from '../logger.js';
+import provider from '../providers/index.js';
+import { buildAnswerPrompt, passageChunks, retrieveContext } from '../query/pipeline.js';
+import { stripCitations, validateCitations } from '../query/citations.js';
+import ragEvaluator from '../query/evaluator.js';
+
+export const RETRIEVAL_METRICS = ['recallAtK', 'reciprocalRank', 'precisionAtK', 'hitAtK'];
+export const ANSWER_METRICS = ['answerSimilarity', 'answerRelevance', 'faithfulness', 'contextPrecision'];
+
+// Expected chunks passed to the evaluator for contextPrecision
+const MAX_EXPECTED_CHUNKS = 100;
+
+const tokenizer = new natural.WordTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+function terms(text) {
+    return tokenizer.tokenize(String(text).toLowerCase())
+        .filter(token => !stopwords.has(token))
+        .map(token => natural.PorterStemmer.stem(token));
+}
+
+// Token F1 (SQuAD style) over stemmed, stopword-free terms
+export function answerSimilarity(answer, expectedAnswer) {
+    const predicted = terms(stripCitations(answer));
+    const expected = terms(expectedAnswer);
+    if (predicted.length === 0 || expected.length === 0) {
+        return predicted.length === expected.length ? 1 : 0;
+    }
+    const counts = new Map();
+    expected.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    let common = 0;
+    predicted.forEach(term => {
+        if (counts.get(term) > 0) {
+            common++;
+            counts.set(term, counts.get(term) - 1);
+        }
+    });
+    if (common === 0) {
+        return 0;
+    }
+    const precision = common / predicted.length;
+    const recall = common / expected.length;
+    return (2 * precision * recall) / (precision + recall);
+}
+
+// Document ids of every version of each expected document, which may be named by document id,
+// lineage id or title (file name). References that match nothing map to an empty set.
+async function resolveExpectedDocuments(session, references) {
+    if (references.length === 0) {
+        return new Map();
+    }
+    const result = await session.run(
+        `UNWIND $references AS reference
+         OPTIONAL MATCH (d:Document)
+         WHERE d.id = reference OR d.lineageId = reference OR d.title = reference
+         WITH reference, collect(DISTINCT coalesce(d.lineageId, d.id)) AS lineages
+         OPTIONAL MATCH (v:Document)
+         WHERE coalesce(v.lineageId, v.id) IN lineages
+         RETURN reference, collect(DISTINCT v.id) AS ids`,
+        { references }
+    );
+    return new Map(result.records.map(record => [record.get('reference'), new Set(record.get('ids'))]));
+}
+
+async function expectedChunks(session, documentIds, pages) {
+    const result = await session.run(
+        `MATCH (c:Chunk)
+         WHERE c.docId IN $documentIds
+           AND (size($pages) = 0 OR any(page IN $pages WHERE c.pageStart <= page AND c.pageEnd >= page))
+         RETURN c { .id, .docId, .content } AS chunk
+         ORDER BY c.docId, c.chunkIndex
+         LIMIT ${MAX_EXPECTED_CHUNKS}`,
+        { documentIds, pages }
+    );
+    return result.records.map(record => record.get('chunk'));
+}
+
+// Pages a result covers: its expanded passage's, or its chunk's
+function resultPages(item) {
+    const pageStart = item.context?.pageStart ?? item.chunk.pageStart;
+    const pageEnd = item.context?.pageEnd ?? item.chunk.pageEnd;
+    return pageStart == null ? [] : Array.from({ length: pageEnd - pageStart + 1 }, (_, offset) => pageStart + offset);
+}
+
+// Retrieval metrics of one question's results, or null if it expects no documents
+export function retrievalMetrics(topResults, expectedDocuments, expectedPages) {
+    if (expectedDocuments.size === 0) {
+        return null;
+    }
+    const documentIds = new Set([...expectedDocuments.values()].flatMap(ids => [...ids]));
+    const relevant = topResults.map(item => documentIds.has(item.chunk.docId)
+        && (expectedPages.length === 0 || resultPages(item).some(page => expectedPages.includes(page))));
+
+    const firstRelevant = relevant.indexOf(true);
+    const found = relevant.filter(Boolean).length;
+
+    let covered;
+    let targets;
+    if (expectedPages.length > 0) {
+        const pages = new Set(topResults.filter((item, rank) => relevant[rank]).flatMap(resultPages));
+        covered = expectedPages.filter(page => pages.has(page)).length;
+        targets = expectedPages.length;
+    } else {
+        covered = [...expectedDocuments.values()]
+            .filter(ids => topResults.some(item => ids.has(item.chunk.docId))).length;
+        targets = expectedDocuments.size;
+    }
+
+    return {
+        recallAtK: covered / targets,
+        reciprocalRank: firstRelevant === -1 ? 0 : 1 / (firstRelevant + 1),
+        precisionAtK: topResults.length > 0 ? found / topResults.length : 0,
+        hitAtK: firstRelevant === -1 ? 0 : 1,
+        relevantRanks: relevant.flatMap((isRelevant, rank) => (isRelevant ? [rank + 1] : []))
+    };
+}
+
+// Run one golden question under `configuration`. Returns the stored result fields.
+async function evaluateQuestion(session, goldenQuestion, configuration) {
+    const { question, expectedAnswer, expectedDocuments = [], expectedPages = [] } = goldenQuestion;
+    const { generateAnswers, evaluate = null, ...options } = configuration;
+    const startTime = Date.now();
+
+    const resolved = await resolveExpectedDocuments(session, expectedDocuments);
+    const { topResults, retrievalInfo } = await retrieveContext(session, { question, scopedDocumentId: null, ...options });
+    const retrieval = retrievalMetrics(topResults, resolved, expectedPages);
+    const { relevantRanks = [], ...retrievalScores } = retrieval ?? {};
+
+    let answer = null;
+    let answerScores = {};
+    if (generateAnswers && topResults.length > 0) {
+        ({ answer } = validateCitations(
+            await provider.generate(buildAnswerPrompt(question, topResults, retrievalInfo.queryTransformation)),
+            topResults.length
+        ));
+        const expectedIds = [...resolved.values()].flatMap(ids => [...ids]);
+        const evaluation = await ragEvaluator.evaluateRAGResponse(
+            question,
+            answer,
+            passageChunks(topResults),
+            expectedIds.length > 0 ? await expectedChunks(session, expectedIds, expectedPages) : [],
+            evaluate
+        );
+        answerScores = {
+            answerRelevance: evaluation.answerRelevance,
+            faithfulness: evaluation.faithfulness,
+            ...(evaluation.contextPrecision !== null && { contextPrecision: evaluation.contextPrecision }),
+            ...(expectedAnswer && { answerSimilarity: answerSimilarity(answer, expectedAnswer) })
+        };
+    }
+
+    return {
+        answer,
+        metrics: { ...retrievalScores, ...answerScores },
+        retrieved: topResults.map((item, rank) => ({
+            rank: rank + 1,
+            chunkId: item.chunk.id,
+            docId: item.chunk.docId,
+            pageStart: item.context?.pageStart ?? item.chunk.pageStart ?? null,
+            pageEnd: item.context?.pageEnd ?? item.chunk.pageEnd ?? null,
+            score: item.hybridScore,
+            relevant: relevantRanks.includes(rank + 1)
+        })),
+        unresolvedDocuments: expectedDocuments.filter(reference => resolved.get(reference)?.size === 0),
+        responseTime: Date.now() - startTime
+    };
+}
+
+// Mean of every metric over the questions that have it, with the number of questions scored
+export function summarize(results) {
+    const summary = { questions: results.length, errors: results.filter(result => result.error).length };
+    [...RETRIEVAL_METRICS, ...ANSWER_METRICS].forEach(metric => {
+        const values = results.map(result => result.metrics?.[metric]).filter(value => typeof value === 'number');
+        summary[metric] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    });
+    summary.retrievalQuestions = results.filter(result => result.metrics?.recallAtK !== undefined).length;
+    summary.answerQuestions = results.filter(result => result.metrics?.answerSimilarity !== undefined).length;
+    const times = results.filter(result => !result.error).map(result => result.responseTime);
+    summary.averageResponseTime = times.length > 0 ? times.reduce((sum, time) => sum + time, 0) / times.length : null;
+    return summary;
+}
+
+// Run every question of a golden set for an EvaluationRun, storing each result as it completes
+// and the summary at the end. A failed question is recorded with its error and the run goes on.
+export async function executeRun(runId, { signal, report }) {
+    const session = driver.session();
+    const results = [];
+    try {
+        const loaded = await session.run(
+            `MATCH (run:EvaluationRun {id: $runId})-[:RUN_OF]->(set:GoldenSet)
+             MATCH (set)-[:HAS_QUESTION]->(q:GoldenQuestion)
+             WITH run, q ORDER BY q.index
+             RETURN run.configuration AS configuration,
+                    collect(q { .index, .question, .expectedAnswer, .expectedDocuments, .expectedPages }) AS questions`,
+            { runId }
+        );
+        if (loaded.records.length === 0) {
+            throw new Error(`Evaluation run ${runId} or its golden set no longer exists`);
+        }
+        const configuration = JSON.parse(loaded.records[0].get('configuration'));
+        const questions = toNative(loaded.records[0].get('questions'));
+
+        await session.executeWrite(tx => tx.run(
+            `MATCH (run:EvaluationRun {id: $runId}) SET run.status = 'running', run.startedAt = datetime()`,
+            { runId }
+        ));
+
+        for (const goldenQuestion of questions) {
+            if (signal.aborted) {
+                break;
+            }
+            report({ stage: 'evaluating', questionsTotal: questions.length, questionsDone: results.length });
+
+            let result;
+            try {
+                result = await evaluateQuestion(session, goldenQuestion, configuration);
+            } catch (error) {
+                logger.error(`Evaluation of question ${goldenQuestion.index} failed:`, error);
+                result = { answer: null, metrics: {}, retrieved: [], unresolvedDocuments: [], responseTime: null, error: error.message };
+            }
+            results.push(result);
+
+            await session.executeWrite(tx => tx.run(
+                `MATCH (run:EvaluationRun {id: $runId})
+                 CREATE (run)-[:HAS_RESULT]->(:EvaluationResult {
+                   index: $index,
+                   question: $question,
+                   answer: $answer,
+                   metrics: $metrics,
+                   retrieved: $retrieved,
+                   unresolvedDocuments: $unresolvedDocuments,
+                   responseTime: $responseTime,
+                   error: $error
+                 })
+                 SET run.completed = $completed`,
+                {
+                    runId,
+                    index: neo4j.int(goldenQuestion.index),
+                    question: goldenQuestion.question,
+                    answer: result.answer,
+                    metrics: JSON.stringify(result.metrics),
+                    retrieved: JSON.stringify(result.retrieved),
+                    unresolvedDocuments: result.unresolvedDocuments,
+                    responseTime: result.responseTime,
+                    error: result.error ?? null,
+                    completed: neo4j.int(results.length)
+                }
+            ));
+        }
+
+        const summary = summarize(results);
+        await session.executeWrite(tx => tx.run(
+            `MATCH (run:EvaluationRun {id: $runId})
+             SET run.status = $status, run.summary = $summary, run.finishedAt = datetime()`,
+            { runId, status: signal.aborted ? 'cancelled' : 'completed', summary: JSON.stringify(summary) }
+        ));
+        if (signal.aborted) {
+            // The job queue records the job as cancelled
+            throw new Error(`Evaluation run ${runId} cancelled after ${results.length}/${questions.length} questions`);
+        }
+        report({ stage: 'done', questionsTotal: questions.length, questionsDone: results.length });
+        logger.info(`Evaluation run ${runId} finished ${results.length}/${questions.length} questions`);
+        return { runId, summary };
+    } catch (error) {
+        if (signal.aborted) {
+            throw error;
+        }
+        await session.executeWrite(tx => tx.run(
+            `MATCH (run:EvaluationRun {id: $runId})
+             SET run.status = 'failed', run.error = $error, run.summary = $summary, run.finishedAt = datetime()`,
+            { runId, error: error.message, summary: JSON.stringify(summarize(results)) }
+        )).catch(err => logger.error(`Could not record the failure of evaluation run ${runId}:`, err));
+        throw error;
+    } finally {
+        await session.close();
+    }
+}
+
+// Runs left queued or running by a previous process can't finish
+export async function failInterruptedRuns() {
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `MATCH (run:EvaluationRun)
+             WHERE run.status IN ['queued', 'running']
+             SET run.status = 'failed', run.error = 'Interrupted by a server restart', run.finishedAt = datetime()
+             RETURN count(run) AS runs`
+        ));
+        const runs = result.records[0].get('runs').toNumber();
+        if (runs > 0) {
+            logger.warn(`Marked ${runs} interrupted evaluation runs as failed`);
+        }
+    } catch (error) {
+        logger.warn(`Evaluation run cleanup failed: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+}
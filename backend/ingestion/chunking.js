@@ -0,0 +1,182 @@
+// Chunking strategies. Every strategy returns [{ text, start, end }] where start/end are
+// character offsets into the source text, so chunks can be traced back to their position.
+//
+//   fixed      every chunkSize characters (the original behaviour), chunkOverlap characters shared
+//   sentence   whole sentences packed up to chunkSize characters, trailing sentences repeated
+//              in the next chunk up to chunkOverlap characters
+//   paragraph  whole paragraphs packed up to chunkSize characters; oversized paragraphs are
+//              split by sentence
+//   token      sliding window of chunkSize whitespace-delimited tokens, chunkOverlap tokens shared
+
+export const CHUNKING_STRATEGIES = ['fixed', 'sentence', 'paragraph', 'token'];
+
+const DEFAULT_OPTIONS = {
+    fixed: { chunkSize: 1000, chunkOverlap: 0 },
+    sentence: { chunkSize: 1000, chunkOverlap: 200 },
+    paragraph: { chunkSize: 1500, chunkOverlap: 200 },
+    token: { chunkSize: 200, chunkOverlap: 40 }
+};
+
+const SENTENCE_BOUNDARY = /[.!?]+["')\]]*\s+|\n\s*\n/g;
+const PARAGRAPH_BOUNDARY = /\n\s*\n/g;
+const WORD = /\S+/g;
+
+// Fill in per-strategy defaults. CHUNK_SIZE / CHUNK_OVERLAP only apply to the CHUNK_STRATEGY
+// default, since sizes aren't comparable across strategies (characters vs tokens).
+export function resolveChunkingOptions({ chunkStrategy, chunkSize, chunkOverlap } = {}) {
+    const envStrategy = process.env.CHUNK_STRATEGY || 'sentence';
+    const strategy = chunkStrategy || envStrategy;
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown chunking strategy "${strategy}"`);
+    }
+
+    const defaults = { ...DEFAULT_OPTIONS[strategy] };
+    if (strategy === envStrategy) {
+        // CHUNK_OVERLAP=0 turns overlap off, so unset and invalid values are told apart from 0
+        const envSize = parseInt(process.env.CHUNK_SIZE, 10);
+        const envOverlap = parseInt(process.env.CHUNK_OVERLAP, 10);
+        if (!Number.isNaN(envSize) && envSize > 0) {
+            defaults.chunkSize = envSize;
+        }
+        if (!Number.isNaN(envOverlap) && envOverlap >= 0) {
+            defaults.chunkOverlap = envOverlap;
+        }
+    }
+
+    // A custom size without an explicit overlap keeps the overlap at most a fifth of the chunk
+    const size = chunkSize ?? defaults.chunkSize;
+    return {
+        chunkStrategy: strategy,
+        chunkSize: size,
+        chunkOverlap: chunkOverlap ?? Math.min(defaults.chunkOverlap, Math.floor(size / 5))
+    };
+}
+
+// Split text at boundary matches (kept with the preceding unit), trimming surrounding whitespace
+function segment(text, boundary, from = 0, to = text.length) {
+    const units = [];
+    const slice = text.slice(from, to);
+    let start = 0;
+    let match;
+
+    const pushUnit = (unitStart, unitEnd) => {
+        while (unitStart < unitEnd && /\s/.test(slice[unitStart])) unitStart++;
+        while (unitEnd > unitStart && /\s/.test(slice[unitEnd - 1])) unitEnd--;
+        if (unitEnd > unitStart) {
+            units.push({ start: from + unitStart, end: from + unitEnd });
+        }
+    };
+
+    boundary.lastIndex = 0;
+    while ((match = boundary.exec(slice)) !== null) {
+        const end = match.index + match[0].length;
+        pushUnit(start, end);
+        start = end;
+    }
+    pushUnit(start, slice.length);
+
+    return units;
+}
+
+function words(text, from = 0, to = text.length) {
+    return [...text.slice(from, to).matchAll(WORD)].map(match => ({
+        start: from + match.index,
+        end: from + match.index + match[0].length
+    }));
+}
+
+// Replace units longer than chunkSize with finer units (sentences, then words, then hard cuts)
+function splitOversized(text, units, chunkSize, finer) {
+    return units.flatMap(unit => {
+        if (unit.end - unit.start <= chunkSize) {
+            return [unit];
+        }
+        if (finer.length === 0) {
+            const pieces = [];
+            for (let start = unit.start; start < unit.end; start += chunkSize) {
+                pieces.push({ start, end: Math.min(start + chunkSize, unit.end) });
+            }
+            return pieces;
+        }
+        const [next, ...rest] = finer;
+        const subUnits = next(text, unit.start, unit.end);
+        // A unit that can't be split further at this level moves on to the next one
+        return splitOversized(text, subUnits.length > 1 ? subUnits : [unit], chunkSize, subUnits.length > 1 ? finer : rest);
+    });
+}
+
+// Greedily pack consecutive units into chunks of at most chunkSize characters. Each new chunk
+// starts with as many trailing units of the previous chunk as fit in chunkOverlap characters.
+function packUnits(text, units, { chunkSize, chunkOverlap }) {
+    const chunks = [];
+    let i = 0;
+
+    while (i < units.length) {
+        let j = i + 1;
+        while (j < units.length && units[j].end - units[i].start <= chunkSize) {
+            j++;
+        }
+        chunks.push({ start: units[i].start, end: units[j - 1].end });
+
+        if (j >= units.length) {
+            break;
+        }
+
+        // Only carry units over if the next unit still fits alongside them
+        let k = j;
+        while (k - 1 > i &&
+            units[j - 1].end - units[k - 1].start <= chunkOverlap &&
+            units[j].end - units[k - 1].start <= chunkSize) {
+            k--;
+        }
+        i = k;
+    }
+
+    return chunks;
+}
+
+const strategies = {
+    fixed(text, { chunkSize, chunkOverlap }) {
+        const chunks = [];
+        for (let start = 0; start < text.length; start += chunkSize - chunkOverlap) {
+            chunks.push({ start, end: Math.min(start + chunkSize, text.length) });
+            if (start + chunkSize >= text.length) break;
+        }
+        return chunks;
+    },
+
+    sentence(text, options) {
+        const sentences = (t, from, to) => segment(t, SENTENCE_BOUNDARY, from, to);
+        const units = splitOversized(text, sentences(text), options.chunkSize, [words]);
+        return packUnits(text, units, options);
+    },
+
+    paragraph(text, options) {
+        const sentences = (t, from, to) => segment(t, SENTENCE_BOUNDARY, from, to);
+        const paragraphs = segment(text, PARAGRAPH_BOUNDARY);
+        const units = splitOversized(text, paragraphs, options.chunkSize, [sentences, words]);
+        return packUnits(text, units, options);
+    },
+
+    token(text, { chunkSize, chunkOverlap }) {
+        const tokens = words(text);
+        const chunks = [];
+        for (let i = 0; i < tokens.length; i += chunkSize - chunkOverlap) {
+            const last = Math.min(i + chunkSize, tokens.length) - 1;
+            chunks.push({ start: tokens[i].start, end: tokens[last].end });
+            if (last === tokens.length - 1) break;
+        }
+        return chunks;
+    }
+};
+
+export function chunkText(text, options = {}) {
+    const resolved = resolveChunkingOptions(options);
+    if (resolved.chunkOverlap >= resolved.chunkSize) {
+        throw new Error('chunkOverlap must be smaller than chunkSize');
+    }
+
+    return strategies[resolved.chunkStrategy](text, resolved)
+        .map(({ start, end }) => ({ text: text.slice(start, end), start, end }))
+        .filter(chunk => chunk.text.trim());
+}
@@ -0,0 +1,238 @@
+// Named entities in chunk text, stored as a knowledge graph:
+//   (Chunk)-[:MENTIONS {count}]->(Entity {id, name, type})
+//   (Entity)-[:CO_OCCURS_WITH {weight}]->(Entity)   weight = committed chunks mentioning both
+// Entities are deduplicated by type and normalized name; the id is "<type>:<normalized name>".
+// CO_OCCURS_WITH is stored once per pair, from the entity with the smaller id.
+
+import compromise from 'compromise';
+import driver from '../neo4j.js';
+import logger from '../logger.js';
+import provider from '../providers/index.js';
+
+export const ENTITY_TYPES = ['person', 'organization', 'place', 'date', 'term'];
+
+// compromise (default), llm (the AI provider, falling back to compromise per chunk) or none
+const EXTRACTION_MODES = ['compromise', 'llm', 'none'];
+export const ENTITY_EXTRACTION = EXTRACTION_MODES.includes(process.env.ENTITY_EXTRACTION)
+    ? process.env.ENTITY_EXTRACTION
+    : 'compromise';
+
+// Most-mentioned entities kept per chunk, which bounds the co-occurrence pairs a chunk adds
+const MAX_ENTITIES_PER_CHUNK = parseInt(process.env.MAX_ENTITIES_PER_CHUNK, 10) || 20;
+
+// Company suffixes that compromise reports as acronyms
+const CORPORATE_SUFFIXES = new Set(['inc', 'ltd', 'llc', 'plc', 'corp', 'co', 'gmbh', 'ag', 'sa']);
+
+export function normalizeEntityName(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/['’]s\b/g, '')
+        .replace(/[^\p{L}\p{N}\s&-]/gu, ' ')
+        .replace(/^(the|a|an)\s+/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export const entityId = (type, name) => `${type}:${normalizeEntityName(name)}`;
+
+// The text as written, without surrounding punctuation
+const displayName = text => text.trim().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+// Count each entity once per mention and keep the most mentioned ones
+function collect(mentions) {
+    const entities = new Map();
+    mentions.forEach(({ name, type }) => {
+        const normalized = normalizeEntityName(name);
+        if (normalized.length < 2 || normalized.length > 100 || !ENTITY_TYPES.includes(type)) {
+            return;
+        }
+        const id = `${type}:${normalized}`;
+        const entity = entities.get(id) || { id, name: displayName(name), type, count: 0 };
+        entity.count++;
+        entities.set(id, entity);
+    });
+    return [...entities.values()]
+        .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id))
+        .slice(0, MAX_ENTITIES_PER_CHUNK);
+}
+
+// People, organizations, places, dates and other proper nouns and acronyms found by compromise.
+// Returns [{ id, name, type, count }], most mentioned first.
+export function extractEntities(text) {
+    const doc = compromise(text);
+    const mentions = [];
+    const add = (matches, type) => matches.forEach(match => {
+        mentions.push({ name: match.not('#Honorific').text(), type });
+    });
+
+    add(doc.people(), 'person');
+    add(doc.organizations(), 'organization');
+    add(doc.places(), 'place');
+    // Bare weekdays and durations ("30 days") are too common to link anything
+    add(doc.match('#Date+').filter(match => match.has('(#Month|#Year)')), 'date');
+    add(doc.match('#ProperNoun+').not('(#Person|#Organization|#Place|#Date)'), 'term');
+    add(doc.acronyms().not('(#Person|#Organization|#Place)')
+        .filter(match => !CORPORATE_SUFFIXES.has(normalizeEntityName(match.text()))), 'term');
+
+    return collect(mentions);
+}
+
+// Entities found by the AI provider, or null if its output can't be used
+async function extractEntitiesWithModel(text) {
+    const prompt = `Extract the named entities from the text below. Reply with a JSON array only, one object per entity: {"name": "...", "type": "..."} where type is one of ${ENTITY_TYPES.join(', ')}. Use "term" for products, laws, contract clauses and other named concepts. List each entity once per mention.
+
+Text:
+${text}
+
+JSON:`;
+
+    const output = await provider.generate(prompt);
+    const match = (output || '').match(/\[[\s\S]*\]/);
+    if (!match) {
+        return null;
+    }
+    try {
+        const parsed = JSON.parse(match[0]);
+        if (!Array.isArray(parsed)) {
+            return null;
+        }
+        const mentions = parsed
+            .filter(item => item && typeof item.name === 'string')
+            .map(item => ({ name: item.name, type: String(item.type || '').toLowerCase() }));
+        return collect(mentions);
+    } catch {
+        return null;
+    }
+}
+
+// Entities of every chunk text, in order, using ENTITY_EXTRACTION
+export async function extractChunkEntities(texts, { signal, onExtracted = () => {} } = {}) {
+    const results = [];
+    for (const text of texts) {
+        signal?.throwIfAborted();
+        let entities = [];
+        if (ENTITY_EXTRACTION === 'llm') {
+            try {
+                entities = await extractEntitiesWithModel(text);
+            } catch (error) {
+                signal?.throwIfAborted();
+                logger.warn(`Model entity extraction failed, using compromise: ${error.message}`);
+                entities = null;
+            }
+            entities = entities ?? extractEntities(text);
+        } else if (ENTITY_EXTRACTION === 'compromise') {
+            entities = extractEntities(text);
+        }
+        results.push(entities);
+        onExtracted(results.length);
+    }
+    return results;
+}
+
+export async function ensureEntityConstraint() {
+    const session = driver.session();
+    try {
+        await session.run(
+            `CREATE CONSTRAINT entity_id IF NOT EXISTS
+             FOR (e:Entity) REQUIRE e.id IS UNIQUE`
+        );
+    } catch (error) {
+        logger.warn(`Entity constraint unavailable: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+}
+
+// Cypher that links the chunk in `node` to the entities in `<row>.entities`
+// ([{ id, name, type, count }]), creating entities seen for the first time
+export function mentionsClause(node, row) {
+    return `CALL {
+                 WITH ${node}, ${row}
+                 UNWIND ${row}.entities AS entity
+                 MERGE (e:Entity {id: entity.id})
+                   ON CREATE SET e.name = entity.name, e.type = entity.type, e.createdAt = datetime()
+                 CREATE (${node})-[:MENTIONS {count: entity.count}]->(e)
+             }`;
+}
+
+// Ids of the entities a document's chunks (committed or not) mention
+export async function documentEntityIds(tx, docId) {
+    const result = await tx.run(
+        `MATCH (c)-[:MENTIONS]->(e:Entity)
+         WHERE (c:Chunk OR c:PendingChunk) AND c.docId = $docId
+         RETURN collect(DISTINCT e.id) AS ids`,
+        { docId }
+    );
+    return result.records[0].get('ids');
+}
+
+// Recompute the co-occurrence relationships of the given entities from the committed chunks
+// that mention them, and delete those no chunk mentions any more. Run after chunks that mention
+// them are committed or deleted.
+export async function refreshEntityGraph(tx, entityIds) {
+    if (entityIds.length === 0) {
+        return;
+    }
+    await tx.run(
+        `UNWIND $entityIds AS entityId
+         MATCH (:Entity {id: entityId})-[r:CO_OCCURS_WITH]-(:Entity)
+         DELETE r`,
+        { entityIds }
+    );
+    await tx.run(
+        `UNWIND $entityIds AS entityId
+         MATCH (e:Entity {id: entityId})<-[:MENTIONS]-(c:Chunk)-[:MENTIONS]->(other:Entity)
+         WHERE other <> e
+         WITH CASE WHEN e.id < other.id THEN e ELSE other END AS a,
+              CASE WHEN e.id < other.id THEN other ELSE e END AS b,
+              c
+         WITH a, b, count(DISTINCT c) AS weight
+         MERGE (a)-[r:CO_OCCURS_WITH]->(b)
+         SET r.weight = weight`,
+        { entityIds }
+    );
+    await tx.run(
+        `UNWIND $entityIds AS entityId
+         MATCH (e:Entity {id: entityId})
+         WHERE NOT EXISTS { MATCH (e)<-[:MENTIONS]-() }
+         DETACH DELETE e`,
+        { entityIds }
+    );
+}
+
+// Extract the entities of a committed document's chunks again and replace its MENTIONS, for
+// documents ingested before entity extraction or with another ENTITY_EXTRACTION mode.
+// Returns the number of distinct entities, or null if the document has no committed chunks.
+export async function relinkDocumentEntities(session, docId, { signal, onExtracted } = {}) {
+    const result = await session.run(
+        `MATCH (c:Chunk {docId: $docId})
+         RETURN c.id AS chunkId, c.content AS content
+         ORDER BY c.chunkIndex`,
+        { docId }
+    );
+    if (result.records.length === 0) {
+        return null;
+    }
+    const chunks = result.records.map(record => ({ chunkId: record.get('chunkId'), content: record.get('content') }));
+    const extracted = await extractChunkEntities(chunks.map(chunk => chunk.content), { signal, onExtracted });
+    const rows = chunks.map((chunk, i) => ({ chunkId: chunk.chunkId, entities: extracted[i] }));
+    const entityIds = [...new Set(extracted.flat().map(entity => entity.id))];
+
+    signal?.throwIfAborted();
+    await session.executeWrite(async tx => {
+        const previousIds = await documentEntityIds(tx, docId);
+        await tx.run('MATCH (:Chunk {docId: $docId})-[m:MENTIONS]->() DELETE m', { docId });
+        await tx.run(
+            `UNWIND $rows AS row
+             MATCH (c:Chunk {id: row.chunkId})
+             ${mentionsClause('c', 'row')}`,
+            { rows }
+        );
+        await tx.run(
+            'MATCH (d:Document {id: $docId}) SET d.entityCount = $entityCount',
+            { docId, entityCount: entityIds.length }
+        );
+        await refreshEntityGraph(tx, [...new Set([...previousIds, ...entityIds])]);
+    });
+    return entityIds.length;
+}
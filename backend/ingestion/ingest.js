@@ -0,0 +1,496 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import neo4j from 'neo4j-driver';
+import driver from '../neo4j.js';
+import logger from '../logger.js';
+import cache, { invalidateDocument } from '../cache.js';
+import provider from '../providers/index.js';
+import { setEmbeddingClause } from '../retrieval/vector.js';
+import { chunkText } from './chunking.js';
+import { extractPdf, locateChunk } from './pdf.js';
+import { withRetry } from './retry.js';
+import { detachVersion, promoteVersion } from './versions.js';
+import { documentEntityIds, extractChunkEntities, mentionsClause, refreshEntityGraph } from './entities.js';
+import { linkChunkSequence } from './sequence.js';
+
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 32;
+const WRITE_BATCH_SIZE = parseInt(process.env.WRITE_BATCH_SIZE, 10) || 100;
+const EMBEDDING_RETRIES = parseInt(process.env.EMBEDDING_RETRIES, 10) || 3;
+// With ALLOW_PARTIAL_INGESTION=true a document is committed without the chunks that failed to
+// embed (status "partial"); otherwise any failed chunk fails the whole document
+const ALLOW_PARTIAL_INGESTION = process.env.ALLOW_PARTIAL_INGESTION === 'true';
+
+// Concurrent ingestions can start in the same millisecond; the sequence keeps their ids apart
+let documentSequence = 0;
+
+// What to do when an uploaded PDF matches an ingested document byte for byte:
+//   reject    refuse the upload (409)
+//   existing  skip ingestion and return the existing document
+//   replace   ingest the upload and delete the existing document when it commits
+export const DUPLICATE_POLICIES = ['reject', 'existing', 'replace'];
+export const DEFAULT_DUPLICATE_POLICY = DUPLICATE_POLICIES.includes(process.env.DUPLICATE_POLICY)
+    ? process.env.DUPLICATE_POLICY
+    : 'reject';
+
+export async function ensureContentHashIndex() {
+    const session = driver.session();
+    try {
+        await session.run(
+            `CREATE INDEX document_content_hash IF NOT EXISTS
+             FOR (d:Document) ON (d.contentHash)`
+        );
+    } catch (error) {
+        logger.warn(`Content hash index unavailable: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+}
+
+// SHA-256 of the uploaded file
+export async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const data of fs.createReadStream(filePath)) {
+        hash.update(data);
+    }
+    return hash.digest('hex');
+}
+
+// The committed document with this content hash, if any. Failed documents don't count.
+export async function findDuplicate(session, contentHash) {
+    const result = await session.run(
+        `MATCH (d:Document {contentHash: $contentHash})
+         WHERE d.status IN ['complete', 'partial']
+         RETURN d { .id, .title, .status, .uploadedAt } AS document
+         ORDER BY d.uploadedAt DESC
+         LIMIT 1`,
+        { contentHash }
+    );
+    return result.records.length > 0 ? result.records[0].get('document') : null;
+}
+
+// Delete a document and all of its chunks inside a write transaction, keeping its version chain
+// intact (see detachVersion). Returns the number of chunks deleted, or null if the document
+// doesn't exist.
+export async function removeDocument(tx, docId, { replacement } = {}) {
+    const found = await tx.run('MATCH (d:Document {id: $docId}) RETURN d.id', { docId });
+    if (found.records.length === 0) {
+        return null;
+    }
+    await detachVersion(tx, docId, { replacement });
+    const entityIds = await documentEntityIds(tx, docId);
+    // Chunks are matched by docId as well, in case a HAS_CHUNK relationship was never written.
+    // Uncommitted (:PendingChunk) chunks of a document still being ingested go too.
+    const chunks = await tx.run(
+        `MATCH (c)
+         WHERE (c:Chunk OR c:PendingChunk)
+           AND (c.docId = $docId OR EXISTS { MATCH (:Document {id: $docId})-[:HAS_CHUNK]->(c) })
+         DETACH DELETE c
+         RETURN count(*) AS deleted`,
+        { docId }
+    );
+    await tx.run('MATCH (d:Document {id: $docId}) DETACH DELETE d', { docId });
+    await refreshEntityGraph(tx, entityIds);
+    return chunks.records[0].get('deleted').toNumber();
+}
+
+// Remove the chunks written for a document that did not commit, and optionally the document
+async function removeUncommitted(session, docId, { includeDocument = false } = {}) {
+    await session.executeWrite(async tx => {
+        const entityIds = await documentEntityIds(tx, docId);
+        await tx.run(
+            `MATCH (c {docId: $docId}) WHERE c:Chunk OR c:PendingChunk
+             DETACH DELETE c`,
+            { docId }
+        );
+        if (includeDocument) {
+            await tx.run('MATCH (d:Document {id: $docId}) DETACH DELETE d', { docId });
+        }
+        await refreshEntityGraph(tx, entityIds);
+    });
+}
+
+// Documents left "ingesting" by a previous process never commit: remove their uncommitted
+// chunks and mark them failed
+export async function failInterruptedIngestions() {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (d:Document {status: 'ingesting'})
+             RETURN d.id AS id`
+        );
+        const docIds = result.records.map(record => record.get('id'));
+        for (const docId of docIds) {
+            await removeUncommitted(session, docId);
+            await session.executeWrite(tx => tx.run(
+                `MATCH (d:Document {id: $docId})
+                 SET d.status = 'failed',
+                     d.error = 'Interrupted by a server restart',
+                     d.chunksStored = 0`,
+                { docId }
+            ));
+        }
+        if (docIds.length > 0) {
+            logger.warn(`Marked ${docIds.length} interrupted ingestions as failed`);
+        }
+    } catch (error) {
+        logger.warn(`Interrupted ingestion cleanup failed: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+}
+
+// Embeddings of the previous version's chunks keyed by text, if they came from the same model
+async function loadReusableEmbeddings(session, previousId) {
+    const result = await session.run(
+        `MATCH (p:Document {id: $previousId})-[:HAS_CHUNK]->(c:Chunk)
+         WHERE p.embeddingModel = $embeddingModel AND c.embedding IS NOT NULL
+         RETURN c.content AS content, c.embedding AS embedding`,
+        { previousId, embeddingModel: `${provider.name}/${provider.embeddingModel}` }
+    );
+    return new Map(result.records.map(record => [record.get('content'), record.get('embedding')]));
+}
+
+// Embed every chunk in batches with retry/backoff. A batch that still fails is retried one
+// chunk at a time so a single bad chunk can't sink its neighbours.
+async function embedChunks(texts, { signal, onEmbedded, onFailed }) {
+    const embeddings = new Array(texts.length).fill(null);
+    const retryOptions = {
+        retries: EMBEDDING_RETRIES,
+        signal,
+        onRetry: (error, attempt) => logger.warn(`Embedding attempt ${attempt} failed, retrying: ${error.message}`)
+    };
+
+    for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+        const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+        logger.info(`Embedding chunks ${start + 1}-${start + batch.length}/${texts.length}`);
+
+        try {
+            const vectors = await withRetry(() => provider.embedBatch(batch), retryOptions);
+            vectors.forEach((vector, offset) => {
+                embeddings[start + offset] = vector;
+            });
+            onEmbedded(batch.length);
+        } catch (batchError) {
+            signal?.throwIfAborted();
+            logger.warn(`Embedding batch starting at chunk ${start} failed, embedding individually: ${batchError.message}`);
+
+            for (let offset = 0; offset < batch.length; offset++) {
+                try {
+                    embeddings[start + offset] = await withRetry(() => provider.embed(batch[offset]), retryOptions);
+                    onEmbedded(1);
+                } catch (chunkError) {
+                    signal?.throwIfAborted();
+                    logger.error(`Failed to embed chunk ${start + offset}:`, chunkError);
+                    onFailed(start + offset, chunkError);
+                }
+            }
+        }
+    }
+
+    return embeddings;
+}
+
+// Ingest a PDF from disk: extract, chunk, embed and store it as a Document with its Chunks.
+//
+// Chunks are written in batched transactions as :PendingChunk nodes and only become :Chunk
+// (and so visible to retrieval) in a final transaction that also sets the Document status.
+// The result is therefore all-or-nothing: status "complete", "partial" (only when partial
+// ingestion is allowed) or an error, in which case the document is kept with status "failed"
+// and no chunks so the failure stays visible in the library.
+//
+// Named entities are extracted from every stored chunk (see entities.js) and written with it; the
+// commit refreshes their co-occurrence relationships.
+//
+// report(progress) receives { stage, pagesParsed, totalPages, chunksTotal, chunksEmbedded,
+// chunksExtracted, chunksStored, failures } as work advances. Aborting the signal removes the document entirely.
+// With `replaces`, that document is deleted in the same transaction that commits this one and the
+// new document takes its place in its version chain. With `versioning` ({ lineageId, version,
+// previousId } from resolveNextVersion) the document is stored as a new version: chunks whose
+// text is unchanged from the previous version reuse its embeddings, and the commit makes it the
+// latest version. `collection` and `tags` are stored on the document for query filters.
+export async function ingestPdf({ filePath, title, chunking, contentHash, collection, tags, replaces, versioning, report = () => {}, signal }) {
+    const startTime = Date.now();
+    const progress = {
+        stage: 'parsing',
+        pagesParsed: 0,
+        totalPages: null,
+        chunksTotal: null,
+        chunksEmbedded: 0,
+        chunksReused: 0,
+        chunksExtracted: 0,
+        chunksStored: 0,
+        failures: []
+    };
+    const update = (patch) => {
+        Object.assign(progress, patch);
+        report({ ...progress, failures: [...progress.failures] });
+    };
+
+    let docId = null;
+    // Set when the document was deleted before it could commit; it must not come back as failed
+    let documentDeleted = false;
+    const session = driver.session();
+
+    try {
+        // Read and process PDF
+        const pdfBuffer = fs.readFileSync(filePath);
+        const extracted = await extractPdf(pdfBuffer, {
+            signal,
+            onPage: (pagesParsed, totalPages) => update({ pagesParsed, totalPages })
+        });
+        const text = extracted.text;
+
+        logger.info(`PDF text extracted successfully (${extracted.numPages} pages)`);
+
+        // Generate unique document ID
+        docId = `doc_${Date.now()}_${++documentSequence}`;
+        const chunks = chunkText(text, chunking);
+        update({ stage: 'embedding', chunksTotal: chunks.length });
+
+        logger.info(`Created ${chunks.length} chunks from PDF using ${chunking.chunkStrategy} chunking (size ${chunking.chunkSize}, overlap ${chunking.chunkOverlap})`);
+
+        // Create document node; it stays "ingesting" until its chunks are committed
+        await session.executeWrite(tx => tx.run(
+            `CREATE (d:Document {
+              id: $id,
+              title: $title,
+              content: $content,
+              contentHash: $contentHash,
+              collection: $collection,
+              tags: $tags,
+              lineageId: $lineageId,
+              version: $version,
+              isLatest: false,
+              status: 'ingesting',
+              embeddingModel: $embeddingModel,
+              pageCount: $pageCount,
+              chunkStrategy: $chunkStrategy,
+              chunkSize: $chunkSize,
+              chunkOverlap: $chunkOverlap,
+              uploadedAt: datetime()
+            })`,
+            {
+                id: docId,
+                title: title,
+                content: text,
+                contentHash: contentHash ?? null,
+                collection: collection ?? null,
+                tags: tags ?? [],
+                lineageId: versioning?.lineageId ?? docId,
+                version: neo4j.int(versioning?.version ?? 1),
+                embeddingModel: `${provider.name}/${provider.embeddingModel}`,
+                pageCount: extracted.numPages,
+                ...chunking
+            }
+        ));
+
+        // Only chunks whose text changed since the previous version need embedding
+        const reusable = versioning?.previousId
+            ? await loadReusableEmbeddings(session, versioning.previousId)
+            : new Map();
+        const embeddings = chunks.map(chunk => reusable.get(chunk.text) ?? null);
+        const toEmbed = chunks
+            .map((chunk, i) => i)
+            .filter(i => embeddings[i] === null);
+        const chunksReused = chunks.length - toEmbed.length;
+        if (chunksReused > 0) {
+            logger.info(`Reusing ${chunksReused} embeddings from version ${versioning.previousId}`);
+            update({ chunksReused, chunksEmbedded: chunksReused });
+        }
+
+        const fresh = await embedChunks(toEmbed.map(i => chunks[i].text), {
+            signal,
+            onEmbedded: count => update({ chunksEmbedded: progress.chunksEmbedded + count }),
+            onFailed: (offset, error) => update({
+                failures: [...progress.failures, { chunkIndex: toEmbed[offset], error: error.message }]
+            })
+        });
+        fresh.forEach((embedding, offset) => {
+            embeddings[toEmbed[offset]] = embedding;
+        });
+
+        const failedChunks = progress.failures.map(failure => failure.chunkIndex);
+        if (failedChunks.length > 0 && !ALLOW_PARTIAL_INGESTION) {
+            throw new Error(`${failedChunks.length} of ${chunks.length} chunks failed to embed`);
+        }
+
+        const rows = chunks
+            .map((chunk, i) => {
+                const location = locateChunk(extracted, chunk.start, chunk.end);
+                return {
+                    chunkId: `${docId}_chunk_${i}`,
+                    content: chunk.text,
+                    index: i,
+                    startOffset: chunk.start,
+                    endOffset: chunk.end,
+                    pageStart: location.pageStart,
+                    pageEnd: location.pageEnd,
+                    // Neo4j properties can't hold maps, so positions are stored as JSON
+                    positions: JSON.stringify(location.positions),
+                    wordCount: chunk.text.split(' ').length,
+                    embedding: embeddings[i]
+                };
+            })
+            .filter(row => row.embedding !== null);
+
+        // Named entities of the chunks being stored
+        update({ stage: 'extracting' });
+        const chunkEntities = await extractChunkEntities(rows.map(row => row.content), {
+            signal,
+            onExtracted: count => update({ chunksExtracted: count })
+        });
+        rows.forEach((row, i) => {
+            row.entities = chunkEntities[i];
+        });
+        const entityIds = [...new Set(chunkEntities.flat().map(entity => entity.id))];
+        logger.info(`Extracted ${entityIds.length} distinct entities from ${rows.length} chunks`);
+
+        // Write chunks, HAS_CHUNK and MENTIONS relationships in batched transactions
+        update({ stage: 'storing' });
+        for (let start = 0; start < rows.length; start += WRITE_BATCH_SIZE) {
+            signal?.throwIfAborted();
+            const batch = rows.slice(start, start + WRITE_BATCH_SIZE);
+            await session.executeWrite(tx => tx.run(
+                `MATCH (d:Document {id: $docId})
+                 UNWIND $rows AS row
+                 CREATE (c:PendingChunk {
+                   id: row.chunkId,
+                   docId: $docId,
+                   content: row.content,
+                   chunkIndex: row.index,
+                   startOffset: row.startOffset,
+                   endOffset: row.endOffset,
+                   pageStart: row.pageStart,
+                   pageEnd: row.pageEnd,
+                   positions: row.positions,
+                   wordCount: row.wordCount,
+                   createdAt: datetime()
+                 })
+                 CREATE (d)-[:HAS_CHUNK]->(c)
+                 WITH c, row
+                 ${mentionsClause('c', 'row')}
+                 WITH c, row
+                 ${setEmbeddingClause('c', 'row.embedding')}`,
+                { docId, rows: batch }
+            ));
+            update({ chunksStored: progress.chunksStored + batch.length });
+        }
+
+        // Commit: link the chunks in reading order, expose them to retrieval, make this the latest
+        // version and record the outcome in one transaction
+        signal?.throwIfAborted();
+        const status = failedChunks.length > 0 ? 'partial' : 'complete';
+        const processingTime = Date.now() - startTime;
+        const previousId = versioning?.previousId ?? null;
+        const replaced = await session.executeWrite(async tx => {
+            // Deleted while ingesting: nothing may be promoted or replaced
+            const ingesting = await tx.run(
+                `MATCH (d:Document {id: $docId, status: 'ingesting'})
+                 RETURN d.id`,
+                { docId }
+            );
+            if (ingesting.records.length === 0) {
+                documentDeleted = true;
+                throw new Error(`Document ${docId} was deleted during ingestion`);
+            }
+            await linkChunkSequence(tx, docId);
+            await tx.run(
+                `MATCH (d:Document {id: $docId})
+                 SET d.status = $status,
+                     d.chunksStored = $chunksStored,
+                     d.chunksReused = $chunksReused,
+                     d.entityCount = $entityCount,
+                     d.failedChunks = $failedChunks,
+                     d.processingTime = $processingTime
+                 WITH d
+                 OPTIONAL MATCH (d)-[:HAS_CHUNK]->(c:PendingChunk)
+                 SET c:Chunk
+                 REMOVE c:PendingChunk`,
+                { docId, status, chunksStored: rows.length, chunksReused, entityCount: entityIds.length, failedChunks, processingTime }
+            );
+            await promoteVersion(tx, docId, previousId);
+            const removed = replaces && (await removeDocument(tx, replaces, { replacement: docId })) !== null;
+            await refreshEntityGraph(tx, entityIds);
+            return removed ? replaces : null;
+        });
+
+        // Cached answers from the superseded version are stale now
+        if (previousId) {
+            invalidateDocument(previousId);
+            logger.info(`Document ${docId} is now version ${versioning.version}, superseding ${previousId}`);
+        }
+        if (replaced) {
+            invalidateDocument(replaced);
+            logger.info(`Replaced document ${replaced} with ${docId}`);
+        }
+
+        // Cache the document chunks for BM25 retrieval
+        cache.set(`doc_chunks_${docId}`, rows.map(row => row.content));
+
+        logger.info(`PDF processing completed (${status}: ${rows.length}/${chunks.length} chunks stored)`);
+        update({ stage: 'done' });
+
+        return {
+            id: docId,
+            title: title,
+            status: status,
+            contentHash: contentHash ?? null,
+            collection: collection ?? null,
+            tags: tags ?? [],
+            replaced: replaced,
+            lineageId: versioning?.lineageId ?? docId,
+            version: versioning?.version ?? 1,
+            previousVersionId: previousId,
+            chunksReused: chunksReused,
+            entityCount: entityIds.length,
+            chunksProcessed: rows.length,
+            chunksTotal: chunks.length,
+            failedChunks: progress.failures,
+            chunking: chunking,
+            processingTime: processingTime
+        };
+    } catch (err) {
+        if (docId) {
+            if (signal?.aborted) {
+                logger.info(`Ingestion of ${docId} cancelled, removing partial document`);
+                await removeUncommitted(session, docId, { includeDocument: true })
+                    .catch(cleanupError => logger.error('Failed to remove cancelled document:', cleanupError));
+            } else if (documentDeleted) {
+                logger.warn(`Ingestion of ${docId} stopped, the document was deleted`);
+                await removeUncommitted(session, docId)
+                    .catch(cleanupError => logger.error('Failed to remove uncommitted chunks:', cleanupError));
+            } else {
+                logger.error(`Ingestion of ${docId} failed, marking document as failed`);
+                await removeUncommitted(session, docId)
+                    .catch(cleanupError => logger.error('Failed to remove uncommitted chunks:', cleanupError));
+                await session.executeWrite(tx => tx.run(
+                    `MERGE (d:Document {id: $docId})
+                     SET d.title = $title,
+                         d.contentHash = $contentHash,
+                         d.status = 'failed',
+                         d.error = $error,
+                         d.failedChunks = $failedChunks,
+                         d.chunksStored = 0,
+                         d.uploadedAt = coalesce(d.uploadedAt, datetime()),
+                         d.processingTime = $processingTime`,
+                    {
+                        docId,
+                        title,
+                        contentHash: contentHash ?? null,
+                        error: err.message,
+                        failedChunks: progress.failures.map(failure => failure.chunkIndex),
+                        processingTime: Date.now() - startTime
+                    }
+                )).catch(markError => logger.error('Failed to mark document as failed:', markError));
+            }
+        }
+        throw err;
+    } finally {
+        await session.close();
+
+        // Clean up uploaded file
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+}
@@ -0,0 +1,162 @@
+import { EventEmitter } from 'events';
+import logger from '../logger.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// In-memory job queue with bounded concurrency. Each job runs handler({ payload, signal, report }),
+// where report(progress) replaces the job's progress. Every state change is emitted as
+// `job:<id>` with the job snapshot, which the SSE endpoint relays to clients.
+// payload is public (it is returned in snapshots); keep private inputs in the handler closure.
+// A job cancelled before it starts never runs its handler: onCancel() releases what the
+// handler would have cleaned up (an uploaded file, say).
+export class JobQueue extends EventEmitter {
+    constructor({ concurrency = 1, retention = 60 * 60 * 1000, idPrefix = 'job' } = {}) {
+        super();
+        this.idPrefix = idPrefix;
+        this.concurrency = concurrency;
+        this.retention = retention;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+        this.sequence = 0;
+    }
+
+    enqueue(type, payload, handler, { onCancel = null } = {}) {
+        const job = {
+            id: `${this.idPrefix}_${Date.now()}_${++this.sequence}`,
+            type,
+            status: 'queued',
+            payload,
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            handler,
+            onCancel,
+            controller: new AbortController()
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        this.emitUpdate(job);
+        this.runNext();
+        return this.snapshot(job);
+    }
+
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.snapshot(job) : null;
+    }
+
+    // Snapshot of the first queued or running job matching predicate(job), if any
+    findActive(predicate) {
+        for (const job of this.jobs.values()) {
+            if (!this.isTerminal(job) && predicate(job)) {
+                return this.snapshot(job);
+            }
+        }
+        return null;
+    }
+
+    isTerminal(job) {
+        return TERMINAL_STATUSES.includes(job.status);
+    }
+
+    // Cancel a queued or running job. Returns the snapshot, or null for unknown ids.
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+        if (job.status === 'queued') {
+            this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+            if (job.onCancel) {
+                try {
+                    job.onCancel();
+                } catch (error) {
+                    logger.warn(`Cleanup of cancelled job ${job.id} failed: ${error.message}`);
+                }
+            }
+            this.finish(job, 'cancelled');
+        } else if (job.status === 'running') {
+            job.controller.abort();
+        }
+        return this.snapshot(job);
+    }
+
+    async runNext() {
+        if (this.running >= this.concurrency || this.pending.length === 0) {
+            return;
+        }
+
+        const job = this.pending.shift();
+        this.running++;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.emitUpdate(job);
+
+        try {
+            const result = await job.handler({
+                payload: job.payload,
+                signal: job.controller.signal,
+                report: (progress) => {
+                    job.progress = progress;
+                    this.emitUpdate(job);
+                }
+            });
+            job.result = result;
+            this.finish(job, 'completed');
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                this.finish(job, 'cancelled');
+            } else {
+                logger.error(`Job ${job.id} failed:`, error);
+                job.error = error.message;
+                this.finish(job, 'failed');
+            }
+        } finally {
+            this.running--;
+            this.runNext();
+        }
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        this.emitUpdate(job);
+
+        // Forget finished jobs after the retention period
+        setTimeout(() => this.jobs.delete(job.id), this.retention).unref();
+    }
+
+    emitUpdate(job) {
+        this.emit(`job:${job.id}`, this.snapshot(job));
+    }
+
+    snapshot(job) {
+        const { handler, onCancel, controller, ...rest } = job;
+        return {
+            ...rest,
+            queuePosition: job.status === 'queued' ? this.pending.indexOf(job) + 1 : null
+        };
+    }
+}
+
+const ingestionQueue = new JobQueue({
+    concurrency: parseInt(process.env.INGESTION_CONCURRENCY, 10) || 1
+});
+
+// Golden set runs get their own queue so a long run never holds up uploads
+export const evaluationQueue = new JobQueue({
+    concurrency: parseInt(process.env.EVALUATION_CONCURRENCY, 10) || 1,
+    idPrefix: 'evaljob'
+});
+
+// The queue holding a job, if any
+export function queueOf(id) {
+    return [ingestionQueue, evaluationQueue].find(queue => queue.jobs.has(id)) ?? null;
+}
+
+export default ingestionQueue;
@@ -0,0 +1,97 @@
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Extract text from a PDF while remembering where every text item came from.
+// Returns the concatenated text plus, for each non-empty item, its character range in that text,
+// its page and its bounding box in PDF user space (origin bottom-left, from the item transform).
+// onPage(pageNumber, numPages) is called after each page; a signal aborts between pages.
+export async function extractPdf(pdfBuffer, { onPage, signal } = {}) {
+    const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(pdfBuffer) });
+    const pdfDocument = await loadingTask.promise;
+    const items = [];
+    const pages = [];
+    let text = '';
+
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+        signal?.throwIfAborted();
+        const page = await pdfDocument.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: 1 });
+        const content = await page.getTextContent();
+        pages.push({ page: pageNumber, width: viewport.width, height: viewport.height });
+
+        // Keep pdf.js line breaks so sentence and paragraph chunking can see them
+        for (const item of content.items) {
+            if (item.str) {
+                const [, , , scaleY, x, y] = item.transform;
+                items.push({
+                    page: pageNumber,
+                    start: text.length,
+                    end: text.length + item.str.length,
+                    x,
+                    y,
+                    width: item.width,
+                    height: item.height || Math.abs(scaleY)
+                });
+            }
+            text += item.str + (item.hasEOL ? '\n' : ' ');
+        }
+        text += '\n\n';
+        onPage?.(pageNumber, pdfDocument.numPages);
+    }
+
+    return { text, items, pages, numPages: pdfDocument.numPages };
+}
+
+// Index of the first item ending after the given offset
+function firstItemAfter(items, offset) {
+    let low = 0;
+    let high = items.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (items[mid].end <= offset) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Page range and per-page bounding boxes of the text items overlapping [start, end)
+export function locateChunk({ items, pages }, start, end) {
+    const boxes = new Map();
+
+    for (let i = firstItemAfter(items, start); i < items.length && items[i].start < end; i++) {
+        const item = items[i];
+        const box = boxes.get(item.page) || { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+        box.x0 = Math.min(box.x0, item.x);
+        box.y0 = Math.min(box.y0, item.y);
+        box.x1 = Math.max(box.x1, item.x + item.width);
+        box.y1 = Math.max(box.y1, item.y + item.height);
+        boxes.set(item.page, box);
+    }
+
+    if (boxes.size === 0) {
+        return { pageStart: null, pageEnd: null, positions: [] };
+    }
+
+    const positions = Array.from(boxes.entries()).map(([page, box]) => {
+        const { width, height } = pages[page - 1];
+        return {
+            page,
+            x0: round(box.x0),
+            y0: round(box.y0),
+            x1: round(box.x1),
+            y1: round(box.y1),
+            pageWidth: round(width),
+            pageHeight: round(height)
+        };
+    });
+
+    return {
+        pageStart: positions[0].page,
+        pageEnd: positions[positions.length - 1].page,
+        positions
+    };
+}
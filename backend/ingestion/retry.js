@@ -0,0 +1,25 @@
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+// Run fn, retrying failures with exponential backoff and jitter.
+// onRetry(error, attempt) is called before each retry; an aborted signal stops immediately.
+export async function withRetry(fn, { retries = 3, baseDelay = 500, maxDelay = 8000, signal, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || signal?.aborted) {
+                throw error;
+            }
+            onRetry?.(error, attempt + 1);
+            const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+            await sleep(delay / 2 + Math.random() * delay / 2, signal);
+        }
+    }
+}
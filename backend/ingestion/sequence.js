@@ -0,0 +1,53 @@
+// Reading order of a document's chunks:
+//   (Chunk)-[:NEXT]->(Chunk)       the chunk with the following chunkIndex
+//   (Chunk)-[:PREVIOUS]->(Chunk)   the reverse
+// Chunks are only linked when their indexes are consecutive, so a chunk that failed to embed
+// leaves a gap rather than joining text that isn't contiguous.
+
+import driver from '../neo4j.js';
+import logger from '../logger.js';
+
+// Link the chunks (committed or pending) of a document in chunkIndex order. Idempotent.
+export async function linkChunkSequence(tx, docId) {
+    const result = await tx.run(
+        `MATCH (:Document {id: $docId})-[:HAS_CHUNK]->(c)
+         WITH c ORDER BY c.chunkIndex
+         WITH collect(c) AS chunks
+         UNWIND range(0, size(chunks) - 2) AS i
+         WITH chunks[i] AS c, chunks[i + 1] AS next
+         WHERE next.chunkIndex = c.chunkIndex + 1
+         MERGE (c)-[:NEXT]->(next)
+         MERGE (next)-[:PREVIOUS]->(c)
+         RETURN count(*) AS links`,
+        { docId }
+    );
+    return result.records.length > 0 ? result.records[0].get('links').toNumber() : 0;
+}
+
+// Link the chunks of documents ingested before NEXT/PREVIOUS relationships existed
+export async function ensureChunkSequence() {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (d:Document)
+             WHERE coalesce(d.status, 'complete') IN ['complete', 'partial']
+               AND COUNT { (d)-[:HAS_CHUNK]->(:Chunk) } > 1
+               AND NOT EXISTS { MATCH (d)-[:HAS_CHUNK]->(:Chunk)-[:NEXT]->() }
+             RETURN d.id AS id`
+        );
+        const documentIds = result.records.map(record => record.get('id'));
+        let linked = 0;
+        for (const docId of documentIds) {
+            if (await session.executeWrite(tx => linkChunkSequence(tx, docId)) > 0) {
+                linked++;
+            }
+        }
+        if (linked > 0) {
+            logger.info(`Linked the chunk sequence of ${linked} existing documents`);
+        }
+    } catch (error) {
+        logger.warn(`Chunk sequence backfill failed: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+}
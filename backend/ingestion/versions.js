@@ -0,0 +1,135 @@
+// Document versions. Every version is its own Document node; versions of the same document share
+// a lineageId (the id of the first version) and are chained newest to oldest with
+// (newer)-[:PREVIOUS_VERSION]->(older). Exactly one committed version per lineage has
+// isLatest = true, and only that one is searched unless a query pins another version.
+// Documents ingested before versioning have none of these properties and count as the
+// latest (and only) version 1 of their own lineage.
+
+import neo4j from 'neo4j-driver';
+
+const LINEAGE = 'coalesce(v.lineageId, v.id)';
+
+// Where the next version of the document with the given id (any of its versions) goes:
+// { lineageId, version, previousId, collection, tags }, or null if there is no such document.
+// previousId is the current latest version, whose unchanged chunks can lend their embeddings and
+// whose collection and tags the new version inherits.
+export async function resolveNextVersion(session, documentId) {
+    const result = await session.run(
+        `MATCH (target:Document {id: $documentId})
+         WITH coalesce(target.lineageId, target.id) AS lineageId
+         MATCH (v:Document) WHERE ${LINEAGE} = lineageId
+         WITH lineageId, max(coalesce(v.version, 1)) AS lastVersion,
+              [latest IN collect(v) WHERE coalesce(latest.isLatest, true)
+                   AND coalesce(latest.status, 'complete') IN ['complete', 'partial']] AS latest
+         RETURN lineageId, lastVersion + 1 AS version, latest[0].id AS previousId,
+                latest[0].collection AS collection, latest[0].tags AS tags`,
+        { documentId }
+    );
+    if (result.records.length === 0) {
+        return null;
+    }
+    const record = result.records[0];
+    return {
+        lineageId: record.get('lineageId'),
+        version: neo4j.integer.toNumber(record.get('version')),
+        previousId: record.get('previousId'),
+        collection: record.get('collection'),
+        tags: record.get('tags')
+    };
+}
+
+// Id of a given version of the document with the given id, or null
+export async function findVersion(session, documentId, version) {
+    const result = await session.run(
+        `MATCH (target:Document {id: $documentId})
+         MATCH (v:Document)
+         WHERE ${LINEAGE} = coalesce(target.lineageId, target.id) AND coalesce(v.version, 1) = $version
+         RETURN v.id AS id
+         LIMIT 1`,
+        { documentId, version: neo4j.int(version) }
+    );
+    return result.records.length > 0 ? result.records[0].get('id') : null;
+}
+
+// Every version of the document with the given id, newest first
+export async function listVersions(session, documentId) {
+    const result = await session.run(
+        `MATCH (target:Document {id: $documentId})
+         MATCH (v:Document) WHERE ${LINEAGE} = coalesce(target.lineageId, target.id)
+         OPTIONAL MATCH (v)-[:PREVIOUS_VERSION]->(previous:Document)
+         RETURN v {
+             .id, .title, .status, .contentHash, .uploadedAt, .chunksStored, .chunksReused,
+             version: coalesce(v.version, 1),
+             isLatest: coalesce(v.isLatest, true),
+             previousVersionId: previous.id
+         } AS version
+         ORDER BY version.version DESC`,
+        { documentId }
+    );
+    return result.records.map(record => record.get('version'));
+}
+
+// Make the committed document `docId` the latest version of its lineage, linked to `previousId`
+export async function promoteVersion(tx, docId, previousId) {
+    await tx.run('MATCH (d:Document {id: $docId}) SET d.isLatest = true', { docId });
+    if (previousId) {
+        await tx.run(
+            `MATCH (d:Document {id: $docId}), (previous:Document {id: $previousId})
+             SET previous.isLatest = false
+             MERGE (d)-[:PREVIOUS_VERSION]->(previous)`,
+            { docId, previousId }
+        );
+    }
+}
+
+// Close the gap a document leaves in its version chain before it is deleted. With a replacement,
+// the replacement takes over its lineage, version number, links and latest flag; otherwise its
+// newer and older neighbours are linked and the older one becomes latest if it was.
+export async function detachVersion(tx, docId, { replacement } = {}) {
+    const result = await tx.run(
+        `MATCH (d:Document {id: $docId})
+         OPTIONAL MATCH (newer:Document)-[:PREVIOUS_VERSION]->(d)
+         OPTIONAL MATCH (d)-[:PREVIOUS_VERSION]->(older:Document)
+         RETURN coalesce(d.lineageId, d.id) AS lineageId, coalesce(d.version, 1) AS version,
+                coalesce(d.isLatest, true) AS isLatest, newer.id AS newerId, older.id AS olderId`,
+        { docId }
+    );
+    if (result.records.length === 0) {
+        return;
+    }
+    const record = result.records[0];
+    const newerId = record.get('newerId');
+    const olderId = record.get('olderId');
+
+    if (replacement) {
+        await tx.run(
+            `MATCH (r:Document {id: $replacement})
+             SET r.lineageId = $lineageId, r.version = $version, r.isLatest = $isLatest
+             WITH r
+             OPTIONAL MATCH (newer:Document {id: $newerId})
+             OPTIONAL MATCH (older:Document {id: $olderId})
+             FOREACH (n IN CASE WHEN newer IS NULL THEN [] ELSE [newer] END | MERGE (n)-[:PREVIOUS_VERSION]->(r))
+             FOREACH (o IN CASE WHEN older IS NULL THEN [] ELSE [older] END | MERGE (r)-[:PREVIOUS_VERSION]->(o))`,
+            {
+                replacement,
+                lineageId: record.get('lineageId'),
+                version: record.get('version'),
+                isLatest: record.get('isLatest'),
+                newerId,
+                olderId
+            }
+        );
+        return;
+    }
+
+    if (olderId) {
+        await tx.run(
+            `MATCH (older:Document {id: $olderId})
+             SET older.isLatest = CASE WHEN $isLatest THEN true ELSE older.isLatest END
+             WITH older
+             OPTIONAL MATCH (newer:Document {id: $newerId})
+             FOREACH (n IN CASE WHEN newer IS NULL THEN [] ELSE [newer] END | MERGE (n)-[:PREVIOUS_VERSION]->(older))`,
+            { olderId, newerId, isLatest: record.get('isLatest') }
+        );
+    }
+}
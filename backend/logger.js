@@ -0,0 +1,28 @@
+import winston from 'winston';
+import fs from 'fs';
+
+// Create logs directory if it doesn't exist
+if (!fs.existsSync('logs')) {
+    fs.mkdirSync('logs');
+}
+
+// Configure Winston logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/combined.log' }),
+        new winston.transports.Console({
+            format: winston.format.combine(
+                winston.format.colorize(),
+                winston.format.simple()
+            )
+        })
+    ]
+});
+
+export default logger;
@@ -23,4 +23,21 @@ async function testConnection() {
 
 testConnection();
 
+// Convert driver values (Integers, temporal types) into plain JSON-friendly values
+export function toNative(value) {
+    if (neo4j.isInt(value)) {
+        return value.toNumber();
+    }
+    if (neo4j.isDateTime(value) || neo4j.isDate(value) || neo4j.isLocalDateTime(value)) {
+        return value.toStandardDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toNative);
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, toNative(val)]));
+    }
+    return value;
+}
+
 export default driver;
@@ -0,0 +1,67 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// batchEmbedContents accepts at most 100 requests per call
+const MAX_BATCH_SIZE = 100;
+
+// Extract text from a Gemini response, falling back to the raw candidate parts
+function responseText(response) {
+    try {
+        return response.text();
+    } catch (textError) {
+        return response.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    }
+}
+
+// Google Generative AI provider (Gemini generation + text-embedding-004)
+export function createGeminiProvider({
+    apiKey = process.env.GEMINI_API_KEY,
+    generationModelName = process.env.GEMINI_GENERATION_MODEL || 'gemini-1.5-flash',
+    embeddingModelName = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+    dimensions = parseInt(process.env.GEMINI_EMBEDDING_DIMENSIONS, 10) || 768
+} = {}) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generationModel = genAI.getGenerativeModel({ model: generationModelName });
+    const embeddingModel = genAI.getGenerativeModel({ model: embeddingModelName });
+
+    return {
+        name: 'gemini',
+        embeddingModel: embeddingModelName,
+        generationModel: generationModelName,
+        dimensions,
+
+        async embed(text) {
+            const result = await embeddingModel.embedContent(text);
+            return result.embedding.values;
+        },
+
+        async embedBatch(texts) {
+            const embeddings = [];
+            for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+                const batch = texts.slice(i, i + MAX_BATCH_SIZE);
+                const result = await embeddingModel.batchEmbedContents({
+                    requests: batch.map(text => ({
+                        content: { role: 'user', parts: [{ text }] }
+                    }))
+                });
+                embeddings.push(...result.embeddings.map(embedding => embedding.values));
+            }
+            return embeddings;
+        },
+
+        async generate(prompt) {
+            const result = await generationModel.generateContent(prompt);
+            return responseText(result.response);
+        },
+
+        // Yields text pieces as they arrive; aborting the signal cancels the request
+        async *generateStream(prompt, { signal } = {}) {
+            const result = await generationModel.generateContentStream(prompt, { signal });
+            for await (const chunk of result.stream) {
+                const text = responseText(chunk);
+                if (text) {
+                    yield text;
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+import { createGeminiProvider } from './gemini.js';
+import { createLocalProvider } from './local.js';
+
+dotenv.config();
+
+// Every provider exposes name, embeddingModel, generationModel and dimensions, and implements
+// embed(text), embedBatch(texts), generate(prompt) and generateStream(prompt, { signal })
+const factories = {
+    gemini: createGeminiProvider,
+    local: createLocalProvider
+};
+
+export function createProvider(name = process.env.AI_PROVIDER || 'gemini', options = {}) {
+    const factory = factories[name.toLowerCase()];
+    if (!factory) {
+        throw new Error(`Unknown AI provider "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+    return factory(options);
+}
+
+const provider = createProvider();
+
+export default provider;
@@ -0,0 +1,145 @@
+import natural from 'natural';
+
+const tokenizer = new natural.WordTokenizer();
+const sentenceTokenizer = new natural.SentenceTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+const MAX_ANSWER_SENTENCES = 3;
+const NO_ANSWER = "The provided context doesn't contain enough information to answer this question.";
+
+// 32-bit FNV-1a hash, stable across processes and platforms
+function hashToken(token) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Lowercased, stopword-free, stemmed terms
+function terms(text) {
+    return tokenizer.tokenize(String(text).toLowerCase())
+        .filter(token => token.length > 1 && !stopwords.has(token))
+        .map(token => natural.PorterStemmer.stem(token));
+}
+
+// Hashed bag-of-words (unigrams + bigrams) projected into a fixed-size, L2-normalized vector
+function hashedEmbedding(text, dimensions) {
+    const vector = new Array(dimensions).fill(0);
+    const tokens = terms(text);
+    const features = [...tokens];
+    for (let i = 0; i < tokens.length - 1; i++) {
+        features.push(`${tokens[i]}_${tokens[i + 1]}`);
+    }
+
+    const counts = new Map();
+    features.forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+
+    counts.forEach((count, feature) => {
+        const hash = hashToken(feature);
+        const sign = hash & 0x80000000 ? -1 : 1;
+        vector[hash % dimensions] += sign * (1 + Math.log(count));
+    });
+
+    const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+    return magnitude === 0 ? vector : vector.map(val => val / magnitude);
+}
+
+// Pull the "Context:" and "Question:" sections out of a RAG prompt. The question follows the
+// context, so the last "\n\nQuestion:" separates them even when a source has a "Question:" line.
+function parsePrompt(prompt) {
+    const contextStart = prompt.indexOf('Context:');
+    const separator = prompt.lastIndexOf('\n\nQuestion:');
+    const questionMatches = [...prompt.matchAll(/Question:\s*"?([^"\n]+)"?/g)];
+    return {
+        context: contextStart !== -1 && separator > contextStart
+            ? prompt.slice(contextStart + 'Context:'.length, separator).trim()
+            : '',
+        question: questionMatches.length > 0 ? questionMatches[questionMatches.length - 1][1].trim() : ''
+    };
+}
+
+// Context split into its numbered sources ("[1] ..."); unnumbered context is a single source
+function contextSources(context) {
+    const parts = context.split(/^\[(\d+)\]\s*/m);
+    if (parts.length === 1) {
+        return [{ number: null, text: context }];
+    }
+    const sources = [];
+    for (let i = 1; i < parts.length; i += 2) {
+        sources.push({ number: parts[i], text: parts[i + 1] });
+    }
+    return sources;
+}
+
+// Extractive answer: the context sentences sharing the most terms with the question, in document
+// order, each citing the numbered source it came from
+function extractiveAnswer(prompt) {
+    const { context, question } = parsePrompt(prompt);
+    if (!context || !question) {
+        return '';
+    }
+
+    const questionTerms = new Set(terms(question));
+    const scored = contextSources(context)
+        .flatMap(source => sentenceTokenizer.tokenize(source.text.replace(/\s+/g, ' '))
+            .map(sentence => source.number
+                ? sentence.trim().replace(/([.!?]*)$/, ` [${source.number}]$1`)
+                : sentence.trim()))
+        .map((sentence, index) => {
+            const sentenceTerms = new Set(terms(sentence));
+            let overlap = 0;
+            sentenceTerms.forEach(term => {
+                if (questionTerms.has(term)) overlap++;
+            });
+            return { sentence, index, score: overlap / Math.sqrt(sentenceTerms.size || 1) };
+        })
+        .filter(item => item.score > 0);
+
+    if (scored.length === 0) {
+        return NO_ANSWER;
+    }
+
+    const selected = scored
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, MAX_ANSWER_SENTENCES)
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.sentence);
+
+    return `Based on the uploaded documents: ${selected.join(' ')}`;
+}
+
+// Deterministic offline provider: hashed bag-of-words embeddings and an extractive generator.
+// Prompts without a Context/Question section (e.g. query rewriting) produce an empty string,
+// which callers treat the same as a failed generation.
+export function createLocalProvider({
+    dimensions = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS, 10) || 384
+} = {}) {
+    return {
+        name: 'local',
+        embeddingModel: `hashed-bow-${dimensions}`,
+        generationModel: 'extractive',
+        dimensions,
+
+        async embed(text) {
+            return hashedEmbedding(text, dimensions);
+        },
+
+        async embedBatch(texts) {
+            return texts.map(text => hashedEmbedding(text, dimensions));
+        },
+
+        async generate(prompt) {
+            return extractiveAnswer(prompt);
+        },
+
+        async *generateStream(prompt, { signal } = {}) {
+            const answer = extractiveAnswer(prompt);
+            for (const piece of answer.match(/\S+\s*/g) || []) {
+                signal?.throwIfAborted();
+                yield piece;
+            }
+        }
+    };
+}
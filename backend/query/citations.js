@@ -0,0 +1,53 @@
+// Inline citations. The answer prompt numbers its sources [1]..[n] in retrieval order and asks
+// the model to cite them as [n] markers; validateCitations() checks every marker against the
+// sources that were actually retrieved.
+
+// [1], [1, 2], [1-3] and [1–3]; longer numbers such as [2024] are left alone
+const MARKER = /\s?\[(\d{1,3}(?:\s*(?:,|-|–)\s*\d{1,3})*)\]/g;
+
+function markerNumbers(group) {
+    return group.split(',').flatMap(part => {
+        const [from, to] = part.split(/-|–/).map(value => parseInt(value, 10));
+        if (to === undefined) {
+            return [from];
+        }
+        // Reversed or very long ranges are not citations
+        if (to < from || to - from > 20) {
+            return [];
+        }
+        return Array.from({ length: to - from + 1 }, (_, offset) => from + offset);
+    });
+}
+
+// Rewrite every marker as one [n] per cited source, dropping numbers that don't match one of the
+// `sourceCount` sources (and markers left empty). Returns { answer, citations } where citations
+// is { cited, invalid }: the source numbers the answer cites and the invalid ones it dropped.
+export function validateCitations(answer, sourceCount) {
+    const cited = new Set();
+    const invalid = new Set();
+
+    const validated = answer.replace(MARKER, (marker, group) => {
+        const numbers = markerNumbers(group);
+        const valid = numbers.filter(number => number >= 1 && number <= sourceCount);
+        numbers.filter(number => !valid.includes(number)).forEach(number => invalid.add(number));
+        if (valid.length === 0) {
+            return numbers.length === 0 ? marker : '';
+        }
+        valid.forEach(number => cited.add(number));
+        const leading = marker.startsWith('[') ? '' : marker[0];
+        return leading + [...new Set(valid)].map(number => `[${number}]`).join('');
+    });
+
+    return {
+        answer: validated,
+        citations: {
+            cited: [...cited].sort((a, b) => a - b),
+            invalid: [...invalid].sort((a, b) => a - b)
+        }
+    };
+}
+
+// The answer without citation markers, for scoring and for prompts that quote it
+export function stripCitations(answer) {
+    return answer.replace(MARKER, '');
+}
@@ -0,0 +1,217 @@
+import natural from 'natural';
+import logger from '../logger.js';
+import provider from '../providers/index.js';
+import { cosineSimilarity } from '../retrieval/vector.js';
+import { stripCitations } from './citations.js';
+
+// Claim-level evaluation. The answer is split into atomic claims and each claim is checked
+// against the context the model saw:
+//   embedding  the claim is compared with every context sentence; its similarity is the best
+//              match, and it is supported at CLAIM_SUPPORT_THRESHOLD or above, partially
+//              supported at CLAIM_PARTIAL_THRESHOLD or above
+//   judge      optionally, the AI provider gives every claim a verdict (supported, partial,
+//              unsupported or contradicted), the sources supporting it and whether it addresses
+//              the question; when its reply can't be used the embedding verdicts stand
+// faithfulness is the share of supported claims (partial ones count half) and answerRelevance
+// the mean relevance of the claims to the question: cosine similarity, or the judge's yes/no.
+export const CLAIM_SUPPORT_THRESHOLD = parseFloat(process.env.CLAIM_SUPPORT_THRESHOLD ?? '0.75') || 0.75;
+export const CLAIM_PARTIAL_THRESHOLD = parseFloat(process.env.CLAIM_PARTIAL_THRESHOLD ?? '0.55') || 0.55;
+
+export const VERDICTS = ['supported', 'partial', 'unsupported', 'contradicted'];
+const VERDICT_SCORES = { supported: 1, partial: 0.5, unsupported: 0, contradicted: 0 };
+
+const MAX_CLAIMS = 30;
+const MAX_CONTEXT_SENTENCES = 300;
+const MIN_CLAIM_WORDS = 3;
+
+const sentenceTokenizer = new natural.SentenceTokenizer();
+
+// "Based on the uploaded documents:", "According to the sources:", ...
+const LEAD_IN = /^\s*(based on|according to|here is|here's|answer)[^\n.:]{0,80}:\s*/i;
+
+function sentences(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        return [];
+    }
+    try {
+        return sentenceTokenizer.tokenize(trimmed);
+    } catch {
+        // The tokenizer rejects some inputs without sentence punctuation
+        return [trimmed];
+    }
+}
+
+const wordCount = text => text.split(/\s+/).filter(Boolean).length;
+
+// Clauses joined by a semicolon or by ", and" / ", but" / ", while" / ", whereas" are separate
+// claims when each side is a claim on its own
+function splitClauses(sentence) {
+    return sentence
+        .split(/;\s+|,\s+(?=(?:and|but|while|whereas)\s)/i)
+        .map(clause => clause.replace(/^(and|but|while|whereas)\s+/i, '').trim())
+        .reduce((clauses, clause) => {
+            if (clauses.length > 0 && (wordCount(clause) < 4 || wordCount(clauses[clauses.length - 1]) < 4)) {
+                clauses[clauses.length - 1] = `${clauses[clauses.length - 1]}, ${clause}`;
+            } else {
+                clauses.push(clause);
+            }
+            return clauses;
+        }, []);
+}
+
+// Atomic claims of a (cited) answer: { text, cited } where cited lists the [n] sources the
+// claim's sentence cites. Lead-ins such as "Based on the documents:" and questions are skipped.
+export function extractClaims(citedAnswer) {
+    const claims = [];
+    sentences(citedAnswer.replace(LEAD_IN, '')).forEach(sentence => {
+        const cited = [...sentence.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1], 10));
+        const text = stripCitations(sentence).trim();
+        if (text.endsWith('?')) {
+            return;
+        }
+        splitClauses(text)
+            .map(clause => clause.replace(/^[-*•\d.)\s]+/, '').trim())
+            .filter(clause => wordCount(clause) >= MIN_CLAIM_WORDS)
+            .forEach(clause => claims.push({ text: clause, cited: [...new Set(cited)] }));
+    });
+    return claims.slice(0, MAX_CLAIMS);
+}
+
+// Context sentences with the source (1-based, the citation number) they come from
+function contextSentences(retrievedChunks) {
+    return retrievedChunks
+        .flatMap((chunk, index) => sentences(chunk.content)
+            .filter(sentence => wordCount(sentence) >= MIN_CLAIM_WORDS)
+            .map(sentence => ({ text: sentence, source: index + 1, chunkId: chunk.id })))
+        .slice(0, MAX_CONTEXT_SENTENCES);
+}
+
+function embeddingVerdict(similarity) {
+    if (similarity >= CLAIM_SUPPORT_THRESHOLD) {
+        return 'supported';
+    }
+    return similarity >= CLAIM_PARTIAL_THRESHOLD ? 'partial' : 'unsupported';
+}
+
+// The judge's verdict for each claim by index, or null if its reply can't be used
+async function judgeClaims(question, claims, retrievedChunks) {
+    const sources = retrievedChunks
+        .map((chunk, index) => `[${index + 1}] ${chunk.content.replace(/\s+/g, ' ')}`)
+        .join('\n\n');
+    const numberedClaims = claims.map((claim, index) => `${index + 1}. ${claim.text}`).join('\n');
+    const prompt = `You check an answer against its sources. For each numbered claim, decide whether the sources support it: "supported" (stated or directly implied), "partial" (only part of it), "unsupported" (not in the sources) or "contradicted" (the sources say otherwise). Also decide whether the claim helps answer the question.
+
+Question asked: ${question}
+
+Sources:
+${sources}
+
+Claims:
+${numberedClaims}
+
+Reply with a JSON array only, one object per claim: {"claim": <number>, "verdict": "supported" | "partial" | "unsupported" | "contradicted", "sources": [<source numbers>], "relevant": true | false, "reason": "<one sentence>"}.`;
+
+    const output = await provider.generate(prompt);
+    const match = (output || '').match(/\[[\s\S]*\]/);
+    if (!match) {
+        return null;
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(match[0]);
+    } catch {
+        return null;
+    }
+    if (!Array.isArray(parsed)) {
+        return null;
+    }
+
+    const verdicts = new Map();
+    parsed.forEach(item => {
+        const index = Number(item?.claim) - 1;
+        const verdict = String(item?.verdict ?? '').toLowerCase();
+        if (!Number.isInteger(index) || index < 0 || index >= claims.length || !VERDICTS.includes(verdict)) {
+            return;
+        }
+        verdicts.set(index, {
+            verdict,
+            sources: (Array.isArray(item.sources) ? item.sources : [])
+                .map(Number)
+                .filter(source => Number.isInteger(source) && source >= 1 && source <= retrievedChunks.length),
+            relevant: item.relevant !== false,
+            reason: typeof item.reason === 'string' ? item.reason.slice(0, 500) : null
+        });
+    });
+    return verdicts.size > 0 ? verdicts : null;
+}
+
+// Claim-level scores of an answer against the chunks (or passages) it was generated from, in
+// citation order. Returns { answerRelevance, faithfulness, claims, judge } where each claim is
+//   { claim, cited, verdict, similarity, relevance, supportingSources, supportingChunkIds,
+//     evidence, judged, reason? }
+// and judge is null without the judge, else { fallback } (true when its reply was unusable).
+export async function evaluateClaims(question, citedAnswer, retrievedChunks, { judge = false } = {}) {
+    const claims = extractClaims(citedAnswer);
+    if (claims.length === 0) {
+        return { answerRelevance: 0, faithfulness: 1, claims: [], judge: judge ? { fallback: false } : null };
+    }
+
+    const context = contextSentences(retrievedChunks);
+    const [questionVector, ...vectors] = await provider.embedBatch([
+        question,
+        ...claims.map(claim => claim.text),
+        ...context.map(sentence => sentence.text)
+    ]);
+    const claimVectors = vectors.slice(0, claims.length);
+    const contextVectors = vectors.slice(claims.length);
+
+    let verdicts = null;
+    if (judge) {
+        try {
+            verdicts = await judgeClaims(question, claims, retrievedChunks);
+        } catch (error) {
+            logger.warn(`Claim judge failed, keeping embedding verdicts: ${error.message}`);
+        }
+    }
+
+    const scored = claims.map((claim, index) => {
+        const matches = context
+            .map((sentence, position) => ({ ...sentence, similarity: cosineSimilarity(claimVectors[index], contextVectors[position]) }))
+            .sort((a, b) => b.similarity - a.similarity);
+        const best = matches[0];
+        const similarity = best ? Math.max(0, best.similarity) : 0;
+        const judged = verdicts?.get(index);
+
+        // Embedding support: every source with a sentence at the partial threshold or above. The
+        // judge's sources win when it names any.
+        const embeddingSources = [...new Set(matches
+            .filter(match => match.similarity >= CLAIM_PARTIAL_THRESHOLD)
+            .map(match => match.source))];
+        const supporting = judged?.sources.length > 0 ? [...new Set(judged.sources)] : embeddingSources;
+        const verdict = judged ? judged.verdict : embeddingVerdict(similarity);
+
+        return {
+            claim: claim.text,
+            cited: claim.cited,
+            verdict,
+            similarity,
+            relevance: judged ? (judged.relevant ? 1 : 0) : Math.max(0, cosineSimilarity(questionVector, claimVectors[index])),
+            supportingSources: verdict === 'unsupported' || verdict === 'contradicted' ? [] : supporting.sort((a, b) => a - b),
+            supportingChunkIds: verdict === 'unsupported' || verdict === 'contradicted'
+                ? []
+                : supporting.map(source => retrievedChunks[source - 1].id),
+            evidence: best && similarity >= CLAIM_PARTIAL_THRESHOLD ? best.text : null,
+            judged: Boolean(judged),
+            ...(judged?.reason && { reason: judged.reason })
+        };
+    });
+
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+        answerRelevance: mean(scored.map(claim => claim.relevance)),
+        faithfulness: mean(scored.map(claim => VERDICT_SCORES[claim.verdict])),
+        claims: scored,
+        judge: judge ? { fallback: verdicts === null } : null
+    };
+}
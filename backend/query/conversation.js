@@ -0,0 +1,69 @@
+import logger from '../logger.js';
+import provider from '../providers/index.js';
+import { stripCitations } from './citations.js';
+
+// Number of previous turns shown to the model when rewriting a follow-up question
+export const HISTORY_TURNS = parseInt(process.env.CONVERSATION_HISTORY_TURNS, 10) || 4;
+
+const MAX_ANSWER_CHARS = 500;
+
+function formatHistory(turns) {
+    return turns
+        .map(turn => {
+            const text = stripCitations(turn.answer);
+            const answer = text.length > MAX_ANSWER_CHARS
+                ? `${text.slice(0, MAX_ANSWER_CHARS)}...`
+                : text;
+            return `User: ${turn.question}\nAssistant: ${answer}`;
+        })
+        .join('\n\n');
+}
+
+// First non-empty line of the model output, without labels or surrounding quotes
+function parseStandaloneQuestion(text) {
+    const line = (text || '')
+        .split('\n')
+        .map(candidate => candidate.trim())
+        .find(Boolean);
+    if (!line) {
+        return null;
+    }
+    const question = line
+        .replace(/^(standalone question|question)\s*:\s*/i, '')
+        .replace(/^["'“]+|["'”]+$/g, '')
+        .trim();
+    return question.length >= 3 && question.length <= 500 ? question : null;
+}
+
+// Rewrite a follow-up into a question that can be answered without the conversation, using the
+// previous turns (oldest first). Returns { standaloneQuestion, rewrite } where rewrite is
+//   none      first turn, the question is used as is
+//   model     the provider rewrote the question
+//   fallback  the provider failed or returned nothing usable; the previous standalone question
+//             is prepended so retrieval keeps the conversation's subject
+export async function rewriteFollowUp(question, history) {
+    if (history.length === 0) {
+        return { standaloneQuestion: question, rewrite: 'none' };
+    }
+
+    const prompt = `Rewrite the follow-up question as a standalone question that can be understood without the conversation. Resolve references such as "it", "they" or "the second one" using the conversation. If the question is already standalone, return it unchanged. Reply with the question only.
+
+Conversation:
+${formatHistory(history.slice(-HISTORY_TURNS))}
+
+Follow-up question: ${question}
+
+Standalone question:`;
+
+    try {
+        const standaloneQuestion = parseStandaloneQuestion(await provider.generate(prompt));
+        if (standaloneQuestion) {
+            return { standaloneQuestion, rewrite: 'model' };
+        }
+    } catch (error) {
+        logger.error('Error rewriting follow-up question:', error);
+    }
+
+    const previous = history[history.length - 1];
+    return { standaloneQuestion: `${previous.standaloneQuestion} ${question}`, rewrite: 'fallback' };
+}
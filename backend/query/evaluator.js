@@ -0,0 +1,106 @@
+import natural from 'natural';
+import compromise from 'compromise';
+import { stripCitations } from './citations.js';
+import { evaluateClaims } from './claims.js';
+
+// How answers are scored (see evaluateRAGResponse): lexical or claims, and whether claims mode
+// asks the AI provider to judge every claim
+export const EVALUATION_MODES = ['lexical', 'claims'];
+export const DEFAULT_EVALUATION = {
+    mode: EVALUATION_MODES.includes(process.env.EVALUATION_MODE) ? process.env.EVALUATION_MODE : 'lexical',
+    judge: process.env.EVALUATION_JUDGE === 'true'
+};
+
+// JavaScript-native evaluation functions
+export class RAGEvaluator {
+    constructor() {
+        this.tfidf = new natural.TfIdf();
+        this.sentenceTokenizer = new natural.SentenceTokenizer();
+    }
+
+    // Calculate semantic similarity using compromise.js
+    calculateSemanticSimilarity(text1, text2) {
+        const doc1 = compromise(text1);
+        const doc2 = compromise(text2);
+
+        const terms1 = new Set(doc1.terms().out('array'));
+        const terms2 = new Set(doc2.terms().out('array'));
+
+        const intersection = new Set([...terms1].filter(term => terms2.has(term)));
+        const union = new Set([...terms1, ...terms2]);
+
+        return intersection.size / union.size; // Jaccard similarity
+    }
+
+    // Calculate answer relevance
+    calculateAnswerRelevance(question, answer) {
+        return this.calculateSemanticSimilarity(question, answer);
+    }
+
+    // Calculate context precision; null without relevant chunks to compare against
+    calculateContextPrecision(retrievedChunks, relevantChunks) {
+        if (relevantChunks.length === 0) return null;
+        if (retrievedChunks.length === 0) return 0;
+
+        let relevant = 0;
+        retrievedChunks.forEach(chunk => {
+            if (relevantChunks.some(rel =>
+                this.calculateSemanticSimilarity(chunk.content, rel.content) > 0.5
+            )) {
+                relevant++;
+            }
+        });
+
+        return relevant / retrievedChunks.length;
+    }
+
+    // Calculate faithfulness
+    calculateFaithfulness(answer, context) {
+        const answerSentences = this.sentenceTokenizer.tokenize(answer);
+        if (answerSentences.length === 0) return 1;
+
+        let faithfulSentences = 0;
+        answerSentences.forEach(sentence => {
+            if (this.calculateSemanticSimilarity(sentence, context) > 0.3) {
+                faithfulSentences++;
+            }
+        });
+
+        return faithfulSentences / answerSentences.length;
+    }
+
+    // Comprehensive evaluation. `evaluate` ({ mode, judge }) overrides DEFAULT_EVALUATION; in
+    // claims mode answer relevance and faithfulness come from the answer's claims (see claims.js),
+    // which are returned with their verdicts.
+    async evaluateRAGResponse(question, citedAnswer, retrievedChunks, relevantChunks = [], evaluate = null) {
+        const { mode, judge } = { ...DEFAULT_EVALUATION, ...evaluate };
+        const answer = stripCitations(citedAnswer);
+        const context = retrievedChunks.map(chunk => chunk.content).join('\n');
+        const contextPrecision = this.calculateContextPrecision(retrievedChunks, relevantChunks);
+
+        if (mode === 'claims') {
+            const claims = await evaluateClaims(question, citedAnswer, retrievedChunks, { judge });
+            return {
+                mode,
+                answerRelevance: claims.answerRelevance,
+                contextPrecision,
+                faithfulness: claims.faithfulness,
+                claims: claims.claims,
+                judge: claims.judge,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        return {
+            mode,
+            answerRelevance: this.calculateAnswerRelevance(question, answer),
+            contextPrecision,
+            faithfulness: this.calculateFaithfulness(answer, context),
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+const ragEvaluator = new RAGEvaluator();
+
+export default ragEvaluator;
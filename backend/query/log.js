@@ -0,0 +1,193 @@
+import neo4j from 'neo4j-driver';
+import driver, { toNative } from '../neo4j.js';
+import logger from '../logger.js';
+
+// Every query answered by /query, /query/stream or a conversation turn is stored as a QueryLog
+// node with its latency per stage, cache hit, result count, error and evaluation scores, so
+// analytics survive restarts. Entries older than QUERY_LOG_RETENTION_DAYS are deleted.
+export const QUERY_LOG_RETENTION_DAYS = parseInt(process.env.QUERY_LOG_RETENTION_DAYS ?? '90', 10) || 90;
+
+// Stages timed for each query, stored as <stage>Time in milliseconds
+//   rewrite       follow-up rewriting (conversations)
+//   transform     query transformation
+//   retrieval     vector, lexical and graph search with fusion
+//   rerank        reranking of the candidates
+//   context       context window expansion
+//   subQuestions  answering the sub-questions of a decomposed question
+//   generation    answer generation
+//   evaluation    answer evaluation
+export const STAGES = ['rewrite', 'transform', 'retrieval', 'rerank', 'context', 'subQuestions', 'generation', 'evaluation'];
+
+// Time ranges of the analytics API and their default bucket
+export const RANGES = {
+    '1h': { hours: 1, bucket: 'minute' },
+    '24h': { hours: 24, bucket: 'hour' },
+    '7d': { hours: 24 * 7, bucket: 'hour' },
+    '30d': { hours: 24 * 30, bucket: 'day' },
+    '90d': { hours: 24 * 90, bucket: 'day' }
+};
+export const BUCKETS = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+export const MAX_BUCKETS = 1000;
+
+export async function ensureQueryLogIndexes() {
+    const session = driver.session();
+    try {
+        await session.run(
+            `CREATE INDEX query_log_created_at IF NOT EXISTS
+             FOR (q:QueryLog) ON (q.createdAt)`
+        );
+        await session.run(
+            `CREATE INDEX query_log_id IF NOT EXISTS
+             FOR (q:QueryLog) ON (q.id)`
+        );
+    } catch (error) {
+        logger.warn(`Query log indexes unavailable: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+}
+
+// Store one query. Logging never fails the query: errors are only logged.
+export async function logQuery({
+    queryId,
+    endpoint,
+    question,
+    responseTime,
+    cached = false,
+    resultCount = null,
+    error = null,
+    stopped = false,
+    stages = {},
+    evaluation = null
+}) {
+    const session = driver.session();
+    try {
+        await session.executeWrite(tx => tx.run(
+            `CREATE (q:QueryLog)
+             SET q = $entry, q.createdAt = datetime()`,
+            {
+                entry: {
+                    id: queryId,
+                    endpoint,
+                    question: question ?? null,
+                    responseTime: neo4j.int(Math.round(responseTime)),
+                    cached,
+                    resultCount: resultCount === null ? null : neo4j.int(resultCount),
+                    error: error ? String(error).slice(0, 1000) : null,
+                    stopped,
+                    ...Object.fromEntries(STAGES
+                        .filter(stage => typeof stages[stage] === 'number')
+                        .map(stage => [`${stage}Time`, neo4j.int(Math.round(stages[stage]))])),
+                    evaluationMode: evaluation?.mode ?? null,
+                    answerRelevance: evaluation?.answerRelevance ?? null,
+                    faithfulness: evaluation?.faithfulness ?? null
+                }
+            }
+        ));
+    } catch (err) {
+        logger.warn(`Query log write failed: ${err.message}`);
+    } finally {
+        await session.close();
+    }
+}
+
+export async function pruneQueryLog() {
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `MATCH (q:QueryLog)
+             WHERE q.createdAt < datetime() - duration({ days: $days })
+             DETACH DELETE q
+             RETURN count(*) AS deleted`,
+            { days: neo4j.int(QUERY_LOG_RETENTION_DAYS) }
+        ));
+        const deleted = toNative(result.records[0].get('deleted'));
+        if (deleted > 0) {
+            logger.info(`Deleted ${deleted} query log entries older than ${QUERY_LOG_RETENTION_DAYS} days`);
+        }
+    } catch (error) {
+        logger.warn(`Query log pruning failed: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+}
+
+// Aggregates of the entries matched by `where` (over QueryLog q), optionally grouped
+function aggregates(where, groupBy = null) {
+    const stageFields = STAGES.map(stage =>
+        `avg(q.${stage}Time) AS ${stage}Avg, percentileCont(q.${stage}Time, 0.95) AS ${stage}P95`
+    ).join(',\n                    ');
+    return `MATCH (q:QueryLog)
+             WHERE ${where}
+             ${groupBy ? `WITH ${groupBy} AS start, q` : ''}
+             RETURN ${groupBy ? 'toString(start) AS start,' : ''}
+                    count(q) AS queries,
+                    count(CASE WHEN q.error IS NOT NULL THEN 1 END) AS errors,
+                    count(CASE WHEN q.cached THEN 1 END) AS cacheHits,
+                    avg(q.resultCount) AS averageResultCount,
+                    avg(q.responseTime) AS latencyAvg,
+                    percentileCont(q.responseTime, 0.5) AS latencyP50,
+                    percentileCont(q.responseTime, 0.95) AS latencyP95,
+                    percentileCont(q.responseTime, 0.99) AS latencyP99,
+                    ${stageFields},
+                    avg(q.answerRelevance) AS answerRelevance,
+                    avg(q.faithfulness) AS faithfulness
+             ${groupBy ? 'ORDER BY start' : ''}`;
+}
+
+// One row of aggregates as { queries, errors, errorRate, cacheHits, cacheHitRate,
+// averageResultCount, latency: { avg, p50, p95, p99 }, stages: { <stage>: { avg, p95 } },
+// answerRelevance, faithfulness }. Empty buckets have zero counts and null averages.
+function toAggregate(row) {
+    const value = key => (row && row[key] !== undefined ? row[key] : null);
+    const queries = value('queries') ?? 0;
+    return {
+        queries,
+        errors: value('errors') ?? 0,
+        errorRate: queries > 0 ? value('errors') / queries : null,
+        cacheHits: value('cacheHits') ?? 0,
+        cacheHitRate: queries > 0 ? value('cacheHits') / queries : null,
+        averageResultCount: value('averageResultCount'),
+        latency: { avg: value('latencyAvg'), p50: value('latencyP50'), p95: value('latencyP95'), p99: value('latencyP99') },
+        stages: Object.fromEntries(STAGES.map(stage => [stage, { avg: value(`${stage}Avg`), p95: value(`${stage}P95`) }])),
+        answerRelevance: value('answerRelevance'),
+        faithfulness: value('faithfulness')
+    };
+}
+
+// Query analytics over the last `range` in `bucket`s: totals for the whole range and one entry
+// per bucket (oldest first, empty buckets included) with its `start`
+export async function queryAnalytics({ range, bucket }) {
+    const { hours } = RANGES[range];
+    const size = BUCKETS[bucket];
+    const now = Date.now();
+    const first = Math.floor((now - hours * 60 * 60 * 1000) / size) * size;
+
+    const session = driver.session();
+    try {
+        const params = { from: new Date(first).toISOString() };
+        const since = 'q.createdAt >= datetime($from)';
+        const totals = await session.run(aggregates(since), params);
+        const buckets = await session.run(aggregates(since, `datetime.truncate('${bucket}', q.createdAt)`), params);
+
+        const byStart = new Map(buckets.records.map(record => {
+            const row = toNative(record.toObject());
+            return [new Date(row.start).getTime(), row];
+        }));
+        const series = [];
+        for (let start = first; start <= now; start += size) {
+            series.push({ start: new Date(start).toISOString(), ...toAggregate(byStart.get(start)) });
+        }
+
+        return {
+            range,
+            bucket,
+            from: new Date(first).toISOString(),
+            to: new Date(now).toISOString(),
+            totals: toAggregate(toNative(totals.records[0].toObject())),
+            buckets: series
+        };
+    } finally {
+        await session.close();
+    }
+}
@@ -0,0 +1,52 @@
+import { logQuery } from './log.js';
+
+// Performance monitoring: running totals since the server started, with every query also
+// stored in the query log (see log.js) when `entry` describes it
+export class RAGMetrics {
+    constructor() {
+        this.metrics = {
+            totalQueries: 0,
+            averageResponseTime: 0,
+            cacheHitRate: 0,
+            errorRate: 0,
+            averageRetrievalAccuracy: 0
+        };
+    }
+
+    // entry: { queryId, endpoint, question, resultCount, stages, evaluation, stopped, error },
+    // where error is the message of a failed query
+    recordQuery(responseTime, cacheHit, error = false, entry = null) {
+        this.metrics.totalQueries++;
+        this.metrics.averageResponseTime =
+            (this.metrics.averageResponseTime * (this.metrics.totalQueries - 1) + responseTime) / this.metrics.totalQueries;
+
+        if (cacheHit) {
+            this.metrics.cacheHitRate = (this.metrics.cacheHitRate * (this.metrics.totalQueries - 1) + 1) / this.metrics.totalQueries;
+        } else {
+            this.metrics.cacheHitRate = (this.metrics.cacheHitRate * (this.metrics.totalQueries - 1)) / this.metrics.totalQueries;
+        }
+
+        if (error) {
+            this.metrics.errorRate = (this.metrics.errorRate * (this.metrics.totalQueries - 1) + 1) / this.metrics.totalQueries;
+        } else {
+            this.metrics.errorRate = (this.metrics.errorRate * (this.metrics.totalQueries - 1)) / this.metrics.totalQueries;
+        }
+
+        if (entry) {
+            logQuery({
+                ...entry,
+                responseTime,
+                cached: cacheHit,
+                error: error ? entry.error || 'Unknown error' : null
+            });
+        }
+    }
+
+    getMetrics() {
+        return this.metrics;
+    }
+}
+
+const ragMetrics = new RAGMetrics();
+
+export default ragMetrics;
@@ -0,0 +1,311 @@
+import Joi from 'joi';
+import driver from '../neo4j.js';
+import logger from '../logger.js';
+import provider from '../providers/index.js';
+import { hybridRetrieve } from '../retrieval/hybrid.js';
+import { createScope } from '../retrieval/scope.js';
+import { GRAPH_HOPS, MAX_GRAPH_HOPS } from '../retrieval/graph.js';
+import { CONTEXT_WINDOW, MAX_CONTEXT_WINDOW, expandContext } from '../retrieval/context.js';
+import { FUSION_METHODS } from '../retrieval/fusion.js';
+import { MAX_RERANK_CANDIDATES, RERANK_METHODS, rerankResults } from '../retrieval/rerank.js';
+import { findVersion } from '../ingestion/versions.js';
+import { QUERY_STRATEGIES, transformQuery } from './transform.js';
+import { validateCitations } from './citations.js';
+import { EVALUATION_MODES } from './evaluator.js';
+
+// Optional retrieval filters shared by every query endpoint (see retrieval/scope.js)
+export const filtersSchema = Joi.object({
+    documentIds: Joi.array().items(Joi.string().max(100)).max(100),
+    collection: Joi.string().trim().max(100),
+    tags: Joi.array().items(Joi.string().trim().max(50)).max(20),
+    uploadedAfter: Joi.date().iso(),
+    uploadedBefore: Joi.date().iso().when('uploadedAfter', {
+        is: Joi.exist(),
+        then: Joi.date().min(Joi.ref('uploadedAfter'))
+    }),
+    pageFrom: Joi.number().integer().min(1),
+    pageTo: Joi.number().integer().min(1).when('pageFrom', {
+        is: Joi.exist(),
+        then: Joi.number().min(Joi.ref('pageFrom'))
+    })
+}).default({});
+
+// Graph-augmented retrieval (see retrieval/graph.js): true for the default number of hops, or
+// { hops }. Normalized to { hops } or null.
+export const graphSchema = Joi.alternatives()
+    .try(
+        Joi.boolean(),
+        Joi.object({ hops: Joi.number().integer().min(0).max(MAX_GRAPH_HOPS).default(GRAPH_HOPS) })
+    )
+    .custom(value => {
+        if (value === true) {
+            return { hops: GRAPH_HOPS };
+        }
+        return value || null;
+    })
+    .default(null);
+
+// How vector and lexical scores are fused (see retrieval/fusion.js): a method name, or
+// { method, weights: { vector, lexical }, k } where omitted fields use the defaults. Normalized to
+// an object, or null for the defaults.
+export const fusionSchema = Joi.alternatives()
+    .try(
+        Joi.string().valid(...FUSION_METHODS),
+        Joi.object({
+            method: Joi.string().valid(...FUSION_METHODS),
+            weights: Joi.object({
+                vector: Joi.number().min(0).max(1),
+                lexical: Joi.number().min(0).max(1)
+            }),
+            k: Joi.number().integer().min(1).max(1000)
+        })
+    )
+    .custom(value => (typeof value === 'string' ? { method: value } : value))
+    .default(null);
+
+// Reranking of the retrieved candidates (see retrieval/rerank.js): a method name, or
+// { method, candidates, lambda }. Normalized to an object, or null for the defaults.
+export const rerankSchema = Joi.alternatives()
+    .try(
+        Joi.string().valid(...RERANK_METHODS),
+        Joi.object({
+            method: Joi.string().valid(...RERANK_METHODS),
+            candidates: Joi.number().integer().min(1).max(MAX_RERANK_CANDIDATES),
+            lambda: Joi.number().min(0).max(1)
+        })
+    )
+    .custom(value => (typeof value === 'string' ? { method: value } : value))
+    .default(null);
+
+// Neighbouring chunks added on each side of every retrieved chunk (see retrieval/context.js)
+export const contextWindowSchema = Joi.number().integer().min(0).max(MAX_CONTEXT_WINDOW).default(CONTEXT_WINDOW);
+
+// Query transformation strategy (see query/transform.js); null for QUERY_STRATEGY
+export const queryStrategySchema = Joi.string().valid(...QUERY_STRATEGIES).default(null);
+
+// How the answer is evaluated (see query/evaluator.js): a mode, or { mode, judge } where judge
+// has the AI provider check every claim in claims mode. Normalized to an object, or null for the
+// defaults.
+export const evaluateSchema = Joi.alternatives()
+    .try(
+        Joi.string().valid(...EVALUATION_MODES),
+        Joi.object({
+            mode: Joi.string().valid(...EVALUATION_MODES),
+            judge: Joi.boolean()
+        })
+    )
+    .custom(value => (typeof value === 'string' ? { mode: value } : value))
+    .default(null);
+
+// Resolve the documentId / version options of a query to the Document id to search, if any.
+// Returns undefined when the requested version doesn't exist.
+export async function resolveQueryScope({ documentId, version }) {
+    if (!version) {
+        return documentId ?? null;
+    }
+    const session = driver.session();
+    try {
+        return (await findVersion(session, documentId, version)) ?? undefined;
+    } finally {
+        await session.close();
+    }
+}
+
+// Cache key for a query: the question plus whatever changes what it retrieves (filters and
+// retrieval options such as graph). Unset options are left out so they share the plain key.
+export function queryCacheKey(question, scopedDocumentId, options = {}) {
+    const set = Object.fromEntries(Object.entries(options).filter(([, value]) =>
+        value !== null && value !== undefined && !(typeof value === 'object' && Object.keys(value).length === 0)
+    ));
+    const scope = Object.keys(set).length > 0 ? JSON.stringify(set) : '';
+    return `query_${Buffer.from(question).toString('base64')}${scopedDocumentId ? `_${scopedDocumentId}` : ''}${scope ? `_${Buffer.from(scope).toString('base64')}` : ''}`;
+}
+
+// Id of one answered query, returned as `queryId` so feedback can refer to the answer
+let querySequence = 0;
+export function createQueryId() {
+    return `query_${Date.now()}_${++querySequence}`;
+}
+
+// retrievalMethod of a response: the fusion method, with +graph for graph-augmented retrieval
+function retrievalMethod(fusion, graph) {
+    const method = fusion.method === 'vector' || fusion.method === 'lexical' ? fusion.method : `hybrid-${fusion.method}`;
+    return graph ? `${method}+graph` : method;
+}
+
+// Query transformation, hybrid retrieval, reranking and context expansion for a question, and
+// the answers to its sub-questions when it is decomposed; shared by /query, /query/stream and
+// conversation turns. `timings` has the milliseconds spent in each stage (see query/log.js).
+export async function retrieveContext(session, { question, maxResults, scopedDocumentId, filters = {}, queryStrategy = null, graph = null, fusion = null, rerank = null, contextWindow = CONTEXT_WINDOW }) {
+    const timings = {};
+    let stageStart = Date.now();
+    const endStage = (stage) => {
+        const now = Date.now();
+        timings[stage] = now - stageStart;
+        stageStart = now;
+    };
+
+    const transformation = await transformQuery(question, queryStrategy ?? undefined);
+    endStage('transform');
+    const { queryVariations, hypotheticalDocuments } = transformation;
+    logger.info(`Transformed the query with ${transformation.strategy}${transformation.fallback ? ' (fallback)' : ''}: ${queryVariations.length} queries, ${hypotheticalDocuments.length} hypothetical documents`);
+
+    const scope = createScope({ documentId: scopedDocumentId, filters });
+    const retrieval = await hybridRetrieve(session, { question, queryVariations, hypotheticalDocuments, maxResults, scope, graph, fusion });
+    endStage('retrieval');
+    const { results: retrieved, rerank: reranking } = await rerankResults(retrieval.results, { question, count: maxResults, rerank });
+    endStage('rerank');
+
+    if (retrieved.length > 0) {
+        logger.info(`Found ${retrieved.length} relevant chunks using ${retrieval.fusion.method} fusion (vector: ${retrieval.vectorSearch}, lexical: ${retrieval.lexicalSearch})`);
+    }
+    if (reranking) {
+        logger.info(`Reranked ${reranking.candidates} candidates with ${reranking.method}${reranking.fallback ? ' (unparseable reply, retrieval order kept)' : ''}`);
+    }
+
+    const topResults = await expandContext(session, retrieved, contextWindow);
+    endStage('context');
+    const contextChunks = new Set(topResults.flatMap(item => item.context?.chunkIds ?? [item.chunk.id])).size;
+    if (contextWindow > 0 && retrieved.length > 0) {
+        logger.info(`Expanded ${retrieved.length} chunks to ${topResults.length} passages of ${contextChunks} chunks (window ${contextWindow})`);
+    }
+
+    const subQuestions = transformation.subQuestions && topResults.length > 0
+        ? await answerSubQuestions(transformation.subQuestions, topResults)
+        : transformation.subQuestions?.map(subQuestion => ({ question: subQuestion, answer: null, citations: [] }));
+    if (subQuestions) {
+        endStage('subQuestions');
+    }
+
+    return {
+        topResults,
+        timings,
+        retrievalInfo: {
+            queryVariations: queryVariations,
+            queryTransformation: {
+                strategy: transformation.strategy,
+                fallback: transformation.fallback,
+                ...(transformation.hypotheticalDocument && { hypotheticalDocument: transformation.hypotheticalDocument }),
+                ...(transformation.stepBackQuestion && { stepBackQuestion: transformation.stepBackQuestion }),
+                ...(subQuestions && { subQuestions })
+            },
+            retrievalMethod: retrievalMethod(retrieval.fusion, graph),
+            fusion: retrieval.fusion,
+            ...(reranking && { rerank: reranking }),
+            vectorSearch: retrieval.vectorSearch,
+            lexicalSearch: retrieval.lexicalSearch,
+            lexicalQuery: retrieval.lexicalQuery,
+            documentScope: scopedDocumentId ?? 'latest',
+            filters,
+            contextWindow,
+            ...(contextWindow > 0 && {
+                contextExpansion: {
+                    passages: topResults.length,
+                    merged: retrieved.length - topResults.length,
+                    chunksAdded: contextChunks - retrieved.length
+                }
+            }),
+            ...(retrieval.graphSearch && { graphSearch: retrieval.graphSearch })
+        }
+    };
+}
+
+// The text sent to the model for a result: its expanded passage, or the chunk itself
+const passageText = item => item.context?.text ?? item.chunk.content;
+
+// Results as chunks whose content is the text the model saw, for evaluation
+export function passageChunks(topResults) {
+    return topResults.map(item => (item.context ? { ...item.chunk, content: item.context.text } : item.chunk));
+}
+
+const numberedSources = topResults => topResults
+    .map((item, index) => `[${index + 1}] ${passageText(item)}`)
+    .join('\n\n');
+
+// Answers found so far for the sub-questions of a decomposed question
+function formatFindings(subQuestions) {
+    const findings = subQuestions
+        .map((subQuestion, index) => subQuestion.answer && `Sub-question ${index + 1}: ${subQuestion.question}\nFinding: ${subQuestion.answer}`)
+        .filter(Boolean)
+        .join('\n\n');
+    if (!findings) {
+        return '';
+    }
+    return `Findings from earlier sub-questions, citing the same numbered sources:\n${findings}\n\n`;
+}
+
+// Answer the sub-questions of a decomposed question in order from the retrieved sources, each
+// seeing the findings of the ones before it. Returns [{ question, answer, citations }], with a
+// null answer for a sub-question the model failed on.
+async function answerSubQuestions(subQuestions, topResults) {
+    const answers = [];
+    for (const subQuestion of subQuestions) {
+        const prompt = `${formatFindings(answers)}Context:\n${numberedSources(topResults)}\n\nQuestion: ${subQuestion}\n\nAnswer briefly based on the numbered sources above, citing the sources that support the answer by their numbers in square brackets, for example [1]. If the context doesn't contain the answer, please say so.`;
+        try {
+            const { answer, citations } = validateCitations(await provider.generate(prompt), topResults.length);
+            answers.push({ question: subQuestion, answer: answer.trim() || null, citations: citations.cited });
+        } catch (error) {
+            logger.error(`Error answering sub-question "${subQuestion}":`, error);
+            answers.push({ question: subQuestion, answer: null, citations: [] });
+        }
+    }
+    return answers;
+}
+
+// Sources are numbered in retrieval order, matching the `citation` of each formatted source, so
+// the answer's [n] markers can be checked with validateCitations(). With the queryTransformation
+// of a decomposed question, the final answer is composed from its sub-questions' findings.
+export function buildAnswerPrompt(question, topResults, queryTransformation = null) {
+    const findings = formatFindings(queryTransformation?.subQuestions ?? []);
+    const compose = findings
+        ? ' Compose the answer from the findings of the sub-questions, checking them against the sources.'
+        : '';
+
+    return `${findings}Context:\n${numberedSources(topResults)}\n\nQuestion: ${question}\n\nPlease provide a comprehensive answer based on the numbered sources above.${compose} After each claim, cite the sources that support it by their numbers in square brackets, for example [1] or [2][3]. Only cite sources from the list. If the context doesn't contain enough information to answer the question, please say so.`;
+}
+
+export function formatSources(topResults, includeMetadata) {
+    return topResults.map((item, index) => ({
+        citation: index + 1,
+        content: item.chunk.content.substring(0, 200) + '...',
+        vectorScore: item.vectorScore,
+        bm25Score: item.bm25Score,
+        hybridScore: item.hybridScore,
+        ...(item.graphScore !== undefined && { graphScore: item.graphScore, graphPath: item.graphPath }),
+        retrievalRank: item.retrievalRank,
+        ...(item.rerankRank !== undefined && { rerankRank: item.rerankRank, rerankScore: item.rerankScore }),
+        chunkId: item.chunk.id,
+        docId: item.chunk.docId,
+        chunkIndex: item.chunk.chunkIndex,
+        pageStart: item.chunk.pageStart,
+        pageEnd: item.chunk.pageEnd,
+        positions: item.chunk.positions,
+        ...(item.context && {
+            context: {
+                chunkIndexFrom: item.context.chunkIndexFrom,
+                chunkIndexTo: item.context.chunkIndexTo,
+                pageStart: item.context.pageStart,
+                pageEnd: item.context.pageEnd,
+                merged: item.context.merged,
+                ...(includeMetadata && { text: item.context.text })
+            }
+        }),
+        ...(includeMetadata && { metadata: item.chunk })
+    }));
+}
+
+export const NO_DOCUMENTS_ANSWER = 'No documents have been uploaded yet. Please upload a PDF first.';
+export const NO_FILTER_MATCHES_ANSWER = 'No passages match the selected filters.';
+export const NO_MATCHES_ANSWER = 'No passages match your question.';
+
+// The answer when retrieval found nothing: "no documents" only if nothing is searchable at all,
+// otherwise the scope, the filters or the question's +required terms excluded everything
+export async function noResultsAnswer(session, { scopedDocumentId, filters = {} }) {
+    const result = await session.run('MATCH (c:Chunk) RETURN c.id LIMIT 1');
+    if (result.records.length === 0) {
+        return NO_DOCUMENTS_ANSWER;
+    }
+    const filtered = scopedDocumentId || Object.values(filters ?? {}).some(value =>
+        value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0));
+    return filtered ? NO_FILTER_MATCHES_ANSWER : NO_MATCHES_ANSWER;
+}
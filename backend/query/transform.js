@@ -0,0 +1,174 @@
+import logger from '../logger.js';
+import provider from '../providers/index.js';
+
+// How a question is turned into what retrieval searches for:
+//   multi      paraphrases of the question, each searched like the question
+//   hyde       hypothetical document embeddings: the model writes a passage that would answer
+//              the question and chunks similar to it are retrieved (vector search only)
+//   step-back  a more general question about the concepts behind the question, searched along
+//              with it, for background the specific wording misses
+//   decompose  sub-questions that each need one fact of a multi-hop question; every
+//              sub-question is searched and answered in order before the final answer
+//   none       the question alone
+// The question itself is always searched. When the model's reply can't be used the strategy
+// falls back to the question alone.
+export const QUERY_STRATEGIES = ['multi', 'hyde', 'step-back', 'decompose', 'none'];
+export const DEFAULT_QUERY_STRATEGY = QUERY_STRATEGIES.includes(process.env.QUERY_STRATEGY)
+    ? process.env.QUERY_STRATEGY
+    : 'multi';
+
+const PARAPHRASES = 3;
+const MAX_SUB_QUESTIONS = 4;
+const MAX_QUERY_LENGTH = 500;
+const MAX_HYPOTHETICAL_LENGTH = 2000;
+
+// Lines that introduce a list rather than belong to it ("Here are 3 queries:", "Sure!")
+const PREAMBLE = /^(here (are|is)\b|sure[,!.]|certainly[,!.]|of course[,!.])|:$/i;
+const LABEL = /^(alternative queries?|queries?|questions?|sub-questions?|step-back question|passage|answer)\s*\d*\s*:\s*/i;
+
+// Strip list markers, labels and surrounding quotes from one item
+function cleanItem(text) {
+    return String(text)
+        .trim()
+        .replace(/^(?:[-*•]|\d+[.)]|\(\d+\)|q\d+[.:)])\s*/i, '')
+        .replace(LABEL, '')
+        .replace(/^["'“`]+|["'”`]+$/g, '')
+        .trim();
+}
+
+// The items of the first JSON array in the text, or null. An array that doesn't parse (cut off,
+// trailing comma) gives its quoted strings.
+function jsonArray(text) {
+    const start = text.indexOf('[');
+    if (start === -1) {
+        return null;
+    }
+    const match = text.slice(start).match(/^\[[\s\S]*\]/);
+    try {
+        const parsed = match && JSON.parse(match[0]);
+        if (Array.isArray(parsed)) {
+            return parsed;
+        }
+    } catch {
+        // Fall through to the quoted strings
+    }
+    const quoted = [...text.slice(start).matchAll(/"(?:[^"\\]|\\.)*"/g)].map(quote => {
+        try {
+            return JSON.parse(quote[0]);
+        } catch {
+            return quote[0].slice(1, -1);
+        }
+    });
+    return quoted.length > 0 ? quoted : null;
+}
+
+// Up to `max` distinct questions from the model's reply: a JSON array of strings if it has one,
+// otherwise one per line without preambles and list markers. The original question is left out;
+// with `questionsOnly`, so is anything that doesn't end in a question mark.
+function parseQuestionList(text, { exclude = '', max = PARAPHRASES, questionsOnly = false } = {}) {
+    const output = text || '';
+    const items = (jsonArray(output) ?? output.split('\n').filter(line => !PREAMBLE.test(line.trim())))
+        .map(item => (typeof item === 'string' ? item : item?.question))
+        .filter(item => typeof item === 'string')
+        .map(cleanItem)
+        .filter(item => item.length >= 3 && item.length <= MAX_QUERY_LENGTH && !PREAMBLE.test(item))
+        .filter(item => !questionsOnly || item.endsWith('?'));
+
+    const seen = new Set([exclude.trim().toLowerCase()]);
+    return items
+        .filter(item => {
+            const key = item.toLowerCase();
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .slice(0, max);
+}
+
+// The model's reply as one piece of text, without a preamble line, label or quotes
+function parseText(text, maxLength) {
+    const lines = (text || '').split('\n').map(line => line.trim());
+    const start = lines.findIndex(line => line && !PREAMBLE.test(line));
+    if (start === -1) {
+        return null;
+    }
+    const cleaned = cleanItem(lines.slice(start).join('\n'));
+    return cleaned.length >= 3 ? cleaned.slice(0, maxLength) : null;
+}
+
+async function paraphrases(question) {
+    const output = await provider.generate(`Generate ${PARAPHRASES} different ways to ask the following question. Each query should capture different aspects or perspectives of the original question.
+
+Original question: "${question}"
+
+Reply with a JSON array of ${PARAPHRASES} strings only.`);
+    const queries = parseQuestionList(output, { exclude: question, max: PARAPHRASES });
+    return queries.length > 0 ? { queryVariations: [question, ...queries] } : null;
+}
+
+async function hypotheticalDocument(question) {
+    const output = await provider.generate(`Write a short passage, as it could appear in a document, that answers the following question. Write the passage only, without a title or introduction.
+
+Original question: "${question}"`);
+    const passage = parseText(output, MAX_HYPOTHETICAL_LENGTH);
+    return passage ? { queryVariations: [question], hypotheticalDocuments: [passage], hypotheticalDocument: passage } : null;
+}
+
+async function stepBack(question) {
+    const output = await provider.generate(`Ask a more general "step-back" question about the concepts or principles behind the following question, whose answer gives the background needed to answer it. Reply with the step-back question only.
+
+Original question: "${question}"`);
+    const [stepBackQuestion] = parseQuestionList(output, { exclude: question, max: 1, questionsOnly: true });
+    return stepBackQuestion ? { queryVariations: [question, stepBackQuestion], stepBackQuestion } : null;
+}
+
+async function decompose(question) {
+    const output = await provider.generate(`Break the following question into the simpler sub-questions that must be answered, in order, to answer it. Each sub-question should ask for a single fact; later ones may depend on the answers to earlier ones. If the question is already simple, return it as the only sub-question. At most ${MAX_SUB_QUESTIONS} sub-questions.
+
+Original question: "${question}"
+
+Reply with a JSON array of strings only.`);
+    const subQuestions = parseQuestionList(output, { max: MAX_SUB_QUESTIONS, questionsOnly: true });
+    // One sub-question that repeats the question is no decomposition
+    if (subQuestions.length === 0 || (subQuestions.length === 1 && subQuestions[0].toLowerCase() === question.trim().toLowerCase())) {
+        return null;
+    }
+    return {
+        queryVariations: [question, ...subQuestions.filter(item => item.toLowerCase() !== question.trim().toLowerCase())],
+        subQuestions
+    };
+}
+
+const strategies = {
+    multi: paraphrases,
+    hyde: hypotheticalDocument,
+    'step-back': stepBack,
+    decompose
+};
+
+// Transform a question for retrieval. Returns
+//   { strategy, fallback, queryVariations, hypotheticalDocuments,
+//     hypotheticalDocument?, stepBackQuestion?, subQuestions? }
+// where queryVariations (the question first) are searched with vector and full-text search and
+// hypotheticalDocuments with vector search only. fallback is true when the strategy's model
+// reply couldn't be used and the question is searched alone.
+export async function transformQuery(question, strategy = DEFAULT_QUERY_STRATEGY) {
+    const plain = { strategy, fallback: false, queryVariations: [question], hypotheticalDocuments: [] };
+    if (strategy === 'none') {
+        return plain;
+    }
+
+    let transformed = null;
+    try {
+        transformed = await strategies[strategy](question);
+    } catch (error) {
+        logger.error(`Error transforming query (${strategy}):`, error);
+    }
+    if (!transformed) {
+        logger.warn(`Query transformation ${strategy} gave no usable output, searching the question alone`);
+        return { ...plain, fallback: true };
+    }
+    return { ...plain, ...transformed };
+}
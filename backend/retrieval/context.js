@@ -0,0 +1,106 @@
+import { toNative } from '../neo4j.js';
+
+// Default and maximum number of chunks added on each side of a retrieved chunk, following the
+// NEXT/PREVIOUS relationships (see ingestion/sequence.js). 0 sends retrieved chunks as they are.
+export const MAX_CONTEXT_WINDOW = 3;
+export const CONTEXT_WINDOW = Math.min(parseInt(process.env.CONTEXT_WINDOW, 10) || 0, MAX_CONTEXT_WINDOW);
+
+const SPAN_FIELDS = '{ .id, .docId, .chunkIndex, .content, .startOffset, .endOffset, .pageStart, .pageEnd }';
+
+// Text of consecutive chunks, without the text each one repeats from the previous (chunk overlap)
+function joinChunks(chunks) {
+    return chunks.reduce((text, chunk, i) => {
+        if (i === 0) {
+            return chunk.content;
+        }
+        const previous = chunks[i - 1];
+        if (previous.endOffset == null || chunk.startOffset == null) {
+            return `${text}\n${chunk.content}`;
+        }
+        const overlap = previous.endOffset - chunk.startOffset;
+        return overlap >= 0 ? text + chunk.content.slice(overlap) : `${text} ${chunk.content}`;
+    }, '');
+}
+
+const overlaps = (passage, span) =>
+    passage.docId === span.docId && span.from <= passage.to + 1 && span.to >= passage.from - 1;
+
+// Widen every retrieved chunk to a passage with up to `window` neighbouring chunks on each side.
+// Passages of the same document that overlap or touch are merged into the best ranked one, so
+// the prompt never repeats text; the results they absorbed are dropped from the list. Each
+// result keeps its matched chunk and gets
+//   context: { text, chunkIds, chunkIndexFrom, chunkIndexTo, pageStart, pageEnd, merged }
+// where merged lists the { chunkId, chunkIndex, hybridScore } of the absorbed results.
+export async function expandContext(session, results, window = CONTEXT_WINDOW) {
+    if (window === 0 || results.length === 0) {
+        return results;
+    }
+
+    const neighbours = await session.run(
+        `UNWIND $chunkIds AS chunkId
+         MATCH (c:Chunk {id: chunkId})
+         CALL {
+             WITH c
+             OPTIONAL MATCH (c)-[:PREVIOUS*1..${window}]->(before:Chunk)
+             RETURN collect(before ${SPAN_FIELDS}) AS before
+         }
+         CALL {
+             WITH c
+             OPTIONAL MATCH (c)-[:NEXT*1..${window}]->(after:Chunk)
+             RETURN collect(after ${SPAN_FIELDS}) AS after
+         }
+         RETURN chunkId, before + [c ${SPAN_FIELDS}] + after AS span`,
+        { chunkIds: results.map(item => item.chunk.id) }
+    );
+    const spans = new Map(neighbours.records.map(record => [record.get('chunkId'), toNative(record.get('span'))]));
+
+    const passages = [];
+    results.forEach(item => {
+        const chunks = spans.get(item.chunk.id);
+        if (!chunks) {
+            // Deleted since it was retrieved
+            passages.push({ item, docId: item.chunk.docId, from: item.chunk.chunkIndex, to: item.chunk.chunkIndex, chunks: null, merged: [] });
+            return;
+        }
+        const indexes = chunks.map(chunk => chunk.chunkIndex);
+        const span = { docId: item.chunk.docId, from: Math.min(...indexes), to: Math.max(...indexes) };
+
+        const [passage, ...bridged] = passages.filter(existing => existing.chunks && overlaps(existing, span));
+        if (!passage) {
+            passages.push({ item, ...span, chunks: new Map(chunks.map(chunk => [chunk.id, chunk])), merged: [] });
+            return;
+        }
+        chunks.forEach(chunk => passage.chunks.set(chunk.id, chunk));
+        passage.merged.push(item);
+        // The new span can join two passages that didn't touch before
+        bridged.forEach(other => {
+            other.chunks.forEach(chunk => passage.chunks.set(chunk.id, chunk));
+            passage.merged.push(other.item, ...other.merged);
+            passages.splice(passages.indexOf(other), 1);
+        });
+        passage.from = Math.min(passage.from, span.from, ...bridged.map(other => other.from));
+        passage.to = Math.max(passage.to, span.to, ...bridged.map(other => other.to));
+    });
+
+    return passages.map(({ item, chunks, merged }) => {
+        if (!chunks) {
+            return item;
+        }
+        const ordered = [...chunks.values()].sort((a, b) => a.chunkIndex - b.chunkIndex);
+        const pages = ordered.filter(chunk => chunk.pageStart != null);
+        return {
+            ...item,
+            context: {
+                text: joinChunks(ordered),
+                chunkIds: ordered.map(chunk => chunk.id),
+                chunkIndexFrom: ordered[0].chunkIndex,
+                chunkIndexTo: ordered[ordered.length - 1].chunkIndex,
+                pageStart: pages.length > 0 ? Math.min(...pages.map(chunk => chunk.pageStart)) : null,
+                pageEnd: pages.length > 0 ? Math.max(...pages.map(chunk => chunk.pageEnd)) : null,
+                merged: merged
+                    .sort((a, b) => a.chunk.chunkIndex - b.chunk.chunkIndex)
+                    .map(other => ({ chunkId: other.chunk.id, chunkIndex: other.chunk.chunkIndex, hybridScore: other.hybridScore }))
+            }
+        };
+    });
+}
@@ -0,0 +1,131 @@
+// How vector and lexical scores are combined into a result's hybridScore, which is always in
+// [0, 1]. Methods:
+//   weighted  wv * vector + wl * bm25, normalized over the candidates of each query variation
+//             (vector min-max, BM25 divided by the best BM25); a chunk keeps its best variation
+//   rrf       reciprocal rank fusion: sum over every ranked list (vector and lexical, for each
+//             variation) of w / (k + rank), divided by the score of a chunk ranked first in all
+//   vector    cosine similarity only
+//   lexical   normalized BM25 only; chunks the lexical search didn't match are dropped
+// Scores are relative to each query's candidates, so the best match of a query scores high
+// however weak it is in absolute terms.
+export const FUSION_METHODS = ['weighted', 'rrf', 'vector', 'lexical'];
+
+const vectorWeight = Math.min(Math.max(parseFloat(process.env.VECTOR_WEIGHT ?? '0.7') || 0, 0), 1);
+export const DEFAULT_FUSION = {
+    method: FUSION_METHODS.includes(process.env.FUSION_METHOD) ? process.env.FUSION_METHOD : 'weighted',
+    weights: { vector: vectorWeight, lexical: 1 - vectorWeight },
+    k: parseInt(process.env.RRF_K, 10) || 60
+};
+
+// Fill in the defaults and scale the weights to sum to 1
+export function resolveFusion(fusion) {
+    const weights = { ...DEFAULT_FUSION.weights, ...fusion?.weights };
+    const total = weights.vector + weights.lexical;
+    return {
+        method: fusion?.method ?? DEFAULT_FUSION.method,
+        weights: total > 0
+            ? { vector: weights.vector / total, lexical: weights.lexical / total }
+            : { ...DEFAULT_FUSION.weights },
+        k: fusion?.k ?? DEFAULT_FUSION.k
+    };
+}
+
+// Min-max normalization over one query variation's candidates
+function minMax(values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (max === min) {
+        return () => (max > 0 ? 1 : 0);
+    }
+    return value => (value - min) / (max - min);
+}
+
+// BM25 relative to the best match; 0 (and the negative scores in-memory BM25 can give) is no match
+function relativeToBest(values) {
+    const max = Math.max(0, ...values);
+    return value => (max > 0 ? Math.max(0, value) / max : 0);
+}
+
+// 1-based rank of every candidate by `score`, best first, skipping those `include` rejects
+function ranks(candidates, score, include = () => true) {
+    return new Map(candidates
+        .filter(include)
+        .sort((a, b) => score(b) - score(a))
+        .map((candidate, index) => [candidate.chunk.id, index + 1]));
+}
+
+const matchedLexically = candidate => candidate.bm25Score > 0;
+
+// Collects the candidates of every query variation ({ chunk, vectorScore, bm25Score }) and
+// returns them deduplicated by chunk with their hybridScore
+export function createFusion(options) {
+    const { method, weights, k } = resolveFusion(options);
+    const fused = new Map();
+    let lists = 0;
+
+    // A chunk keeps the variation it scored best in; for rrf, `total` sums every variation
+    const keep = (candidate, queryVariation, score) => {
+        const existing = fused.get(candidate.chunk.id);
+        const total = (existing?.total ?? 0) + score;
+        if (!existing || existing.best < score) {
+            fused.set(candidate.chunk.id, { ...candidate, queryVariation, best: score, total });
+        } else {
+            existing.total = total;
+        }
+    };
+
+    return {
+        method,
+        weights,
+        k,
+
+        add(queryVariation, candidates) {
+            if (candidates.length === 0) {
+                return;
+            }
+            if (method === 'rrf') {
+                const vectorRanks = ranks(candidates, candidate => candidate.vectorScore);
+                const lexicalRanks = ranks(candidates, candidate => candidate.bm25Score, matchedLexically);
+                lists++;
+                candidates.forEach(candidate => {
+                    const vectorRank = vectorRanks.get(candidate.chunk.id);
+                    const lexicalRank = lexicalRanks.get(candidate.chunk.id);
+                    keep(candidate, queryVariation, (vectorRank ? weights.vector / (k + vectorRank) : 0)
+                        + (lexicalRank ? weights.lexical / (k + lexicalRank) : 0));
+                });
+                return;
+            }
+
+            const vector = minMax(candidates.map(candidate => candidate.vectorScore));
+            const lexical = relativeToBest(candidates.map(candidate => candidate.bm25Score));
+            candidates.forEach(candidate => {
+                if (method === 'vector') {
+                    keep(candidate, queryVariation, Math.max(0, candidate.vectorScore));
+                } else if (method === 'lexical') {
+                    if (matchedLexically(candidate)) {
+                        keep(candidate, queryVariation, lexical(candidate.bm25Score));
+                    }
+                } else {
+                    keep(candidate, queryVariation, weights.vector * vector(candidate.vectorScore) + weights.lexical * lexical(candidate.bm25Score));
+                }
+            });
+        },
+
+        // Score of a chunk found by another retriever (graph) that is in none of the lists
+        unrankedScore(vectorScore) {
+            if (method === 'vector') {
+                return Math.max(0, vectorScore);
+            }
+            return method === 'weighted' ? weights.vector * Math.max(0, vectorScore) : 0;
+        },
+
+        results() {
+            // A chunk ranked first in every list scores 1
+            const maxRrf = lists / (k + 1);
+            return Array.from(fused.values(), ({ best, total, ...result }) => ({
+                ...result,
+                hybridScore: method === 'rrf' ? total / maxRrf : best
+            }));
+        }
+    };
+}
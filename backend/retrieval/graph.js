@@ -0,0 +1,128 @@
+import neo4j from 'neo4j-driver';
+import natural from 'natural';
+import { toChunk } from './vector.js';
+import { createScope } from './scope.js';
+import { ENTITY_TYPES, extractEntities, normalizeEntityName } from '../ingestion/entities.js';
+
+// Default and maximum number of CO_OCCURS_WITH hops expanded from the question's entities
+export const MAX_GRAPH_HOPS = 3;
+export const GRAPH_HOPS = Math.min(parseInt(process.env.GRAPH_HOPS, 10) || 1, MAX_GRAPH_HOPS);
+// Share of the final score given to graph proximity when graph retrieval is on
+export const GRAPH_WEIGHT = parseFloat(process.env.GRAPH_WEIGHT) || 0.2;
+// Strongest co-occurring entities followed from each entity per hop
+const GRAPH_FANOUT = parseInt(process.env.GRAPH_FANOUT, 10) || 10;
+// Chunks reached through the graph, closest first
+const GRAPH_CANDIDATES = parseInt(process.env.GRAPH_CANDIDATES, 10) || 50;
+// Proximity lost per hop: question entities count 1, their neighbours 0.5, and so on
+const HOP_DECAY = 0.5;
+const MAX_NGRAM = 4;
+
+const tokenizer = new natural.WordTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+// Names the question may refer to entities by: what compromise recognizes, plus every run of up
+// to MAX_NGRAM words that neither starts nor ends with a stopword, so lowercase mentions ("acme")
+// still link
+function candidateNames(question) {
+    const names = new Set(extractEntities(question).map(entity => entity.id.slice(entity.id.indexOf(':') + 1)));
+    const words = tokenizer.tokenize(question);
+    for (let start = 0; start < words.length; start++) {
+        for (let length = 1; length <= MAX_NGRAM && start + length <= words.length; length++) {
+            const ngram = words.slice(start, start + length);
+            if (stopwords.has(ngram[0].toLowerCase()) || stopwords.has(ngram[ngram.length - 1].toLowerCase())) {
+                continue;
+            }
+            const name = normalizeEntityName(ngram.join(' '));
+            if (name.length >= 2) {
+                names.add(name);
+            }
+        }
+    }
+    return [...names];
+}
+
+// Graph retrieval over the extracted entities (see ingestion/entities.js): the question's
+// entities are linked to Entity nodes, expanded through CO_OCCURS_WITH up to `hops` hops and the
+// chunks in `scope` mentioning any of them are scored by proximity,
+//   graphScore = min(1, sum over the entities a chunk mentions of HOP_DECAY^hops / question entities)
+// Each chunk carries the path from a question entity to the closest entity it mentions.
+export function createGraphRetriever(session, scope = createScope()) {
+    return {
+        // { entities, reached, results: [{ chunk, graphScore, graphPath }] }
+        async search(question, { hops = GRAPH_HOPS } = {}) {
+            const linked = await session.run(
+                `UNWIND $types AS type
+                 UNWIND $names AS name
+                 MATCH (e:Entity {id: type + ':' + name})
+                 RETURN e { .id, .name, .type } AS entity`,
+                { types: ENTITY_TYPES, names: candidateNames(question) }
+            );
+            const entities = linked.records.map(record => record.get('entity'));
+            if (entities.length === 0) {
+                return { entities, reached: 0, results: [] };
+            }
+
+            // Breadth-first expansion; every reached entity remembers the entity it was reached from
+            const reached = new Map(entities.map(entity => [entity.id, { ...entity, hops: 0, parent: null }]));
+            let frontier = entities.map(entity => entity.id);
+            for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+                const result = await session.run(
+                    `UNWIND $frontier AS entityId
+                     MATCH (:Entity {id: entityId})-[r:CO_OCCURS_WITH]-(next:Entity)
+                     WHERE NOT next.id IN $visited
+                     WITH entityId, next, r.weight AS weight
+                     ORDER BY weight DESC
+                     WITH entityId, collect(next { .id, .name, .type })[0..$fanout] AS neighbours
+                     RETURN entityId, neighbours`,
+                    { frontier, visited: [...reached.keys()], fanout: neo4j.int(GRAPH_FANOUT) }
+                );
+                frontier = [];
+                result.records.forEach(record => {
+                    record.get('neighbours').forEach(neighbour => {
+                        if (!reached.has(neighbour.id)) {
+                            reached.set(neighbour.id, { ...neighbour, hops: hop, parent: record.get('entityId') });
+                            frontier.push(neighbour.id);
+                        }
+                    });
+                });
+            }
+
+            const result = await session.run(
+                `UNWIND $reached AS entity
+                 MATCH (:Entity {id: entity.id})<-[:MENTIONS]-(c:Chunk)
+                 MATCH (d:Document {id: c.docId})
+                 WHERE ${scope.where('c')}
+                 WITH c, collect(entity) AS via, sum(entity.proximity) AS proximity
+                 ORDER BY proximity DESC
+                 LIMIT $limit
+                 RETURN c, via, proximity`,
+                {
+                    ...scope.params,
+                    reached: [...reached.values()].map(entity => ({ id: entity.id, proximity: HOP_DECAY ** entity.hops })),
+                    limit: neo4j.int(GRAPH_CANDIDATES)
+                }
+            );
+
+            const pathTo = (entityId) => {
+                const path = [];
+                for (let entity = reached.get(entityId); entity; entity = reached.get(entity.parent)) {
+                    path.unshift({ id: entity.id, name: entity.name, type: entity.type });
+                }
+                return path;
+            };
+
+            return {
+                entities,
+                reached: reached.size,
+                results: result.records.map(record => {
+                    const closest = record.get('via').reduce((best, entity) => (entity.proximity > best.proximity ? entity : best));
+                    return {
+                        chunk: toChunk(record.get('c')),
+                        graphScore: Math.min(1, record.get('proximity') / entities.length),
+                        graphPath: pathTo(closest.id)
+                    };
+                })
+            };
+        }
+    };
+}
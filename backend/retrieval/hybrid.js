@@ -0,0 +1,133 @@
+import provider from '../providers/index.js';
+import { cosineSimilarity, createVectorRetriever } from './vector.js';
+import { createScope, narrowScope } from './scope.js';
+import { GRAPH_WEIGHT, createGraphRetriever } from './graph.js';
+import { createFusion } from './fusion.js';
+import {
+    createBM25Scorer,
+    createLexicalRetriever,
+    matchesLexicalFilters,
+    parseLexicalQuery
+} from './lexical.js';
+
+// Number of nearest chunks fetched from each index per query variation
+const VECTOR_CANDIDATES = parseInt(process.env.VECTOR_CANDIDATES, 10) || 50;
+const LEXICAL_CANDIDATES = parseInt(process.env.LEXICAL_CANDIDATES, 10) || 50;
+
+// Hybrid retrieval: vector and full-text candidates for every query variation, fused into one
+// hybridScore by `fusion` (see fusion.js) and deduplicated by chunk, best score first. The first
+// variation is the user's question; its +required / -excluded clauses filter every candidate.
+// `scope` limits the chunks searched (see scope.js); by default the latest version of every
+// document.
+//
+// `hypotheticalDocuments` (HyDE passages, see query/transform.js) are searched with the vector
+// index only, as one more ranked list each; lexical-only fusion skips them.
+//
+// With `graph` ({ hops }), chunks linked to the question through shared entities are added (see
+// graph.js) and every result's score becomes
+//   (1 - GRAPH_WEIGHT) * hybridScore + GRAPH_WEIGHT * graphScore
+export async function hybridRetrieve(session, { question, queryVariations, maxResults, scope: requestedScope = createScope(), hypotheticalDocuments = [], graph = null, fusion: fusionOptions = null }) {
+    const scope = await narrowScope(session, requestedScope);
+    const vectorRetriever = createVectorRetriever(session, scope);
+    const lexicalRetriever = createLexicalRetriever(session, scope);
+    const filters = parseLexicalQuery(question);
+    const fusion = createFusion(fusionOptions);
+    let questionVector = null;
+
+    for (const queryVariation of queryVariations) {
+        const lexicalQuery = queryVariation === question ? filters : parseLexicalQuery(queryVariation);
+
+        // Generate embedding for this query variation
+        const queryVector = await provider.embed(lexicalQuery.embeddingText);
+        if (queryVariation === question) {
+            questionVector = queryVector;
+        }
+
+        const candidates = new Map();
+        const vectorHits = await vectorRetriever.search(queryVector, Math.max(VECTOR_CANDIDATES, maxResults));
+        vectorHits.forEach(({ chunk, vectorScore }) => {
+            candidates.set(chunk.id, { chunk, vectorScore, bm25Score: 0 });
+        });
+
+        // Vector-only fusion doesn't use BM25 scores
+        const lexicalHits = fusion.method === 'vector'
+            ? []
+            : await lexicalRetriever.search(lexicalQuery.luceneQuery, Math.max(LEXICAL_CANDIDATES, maxResults));
+        if (lexicalHits) {
+            lexicalHits.forEach(({ chunk, bm25Score }) => {
+                const candidate = candidates.get(chunk.id);
+                if (candidate) {
+                    candidate.bm25Score = bm25Score;
+                } else {
+                    candidates.set(chunk.id, {
+                        chunk,
+                        vectorScore: cosineSimilarity(queryVector, chunk.embedding),
+                        bm25Score
+                    });
+                }
+            });
+        } else {
+            // No full-text index: BM25 over the vector candidates
+            const entries = Array.from(candidates.values());
+            const score = createBM25Scorer(entries.map(entry => entry.chunk.content));
+            entries.forEach((entry, index) => {
+                entry.bm25Score = score(lexicalQuery.text, index);
+            });
+        }
+
+        fusion.add(queryVariation, Array.from(candidates.values())
+            .filter(candidate => matchesLexicalFilters(candidate.chunk.content, filters)));
+    }
+
+    if (fusion.method !== 'lexical') {
+        for (const document of hypotheticalDocuments) {
+            const vectorHits = await vectorRetriever.search(await provider.embed(document), Math.max(VECTOR_CANDIDATES, maxResults));
+            fusion.add(document, vectorHits
+                .map(({ chunk, vectorScore }) => ({ chunk, vectorScore, bm25Score: 0 }))
+                .filter(candidate => matchesLexicalFilters(candidate.chunk.content, filters)));
+        }
+    }
+
+    const uniqueResults = new Map(fusion.results().map(result => [result.chunk.id, result]));
+
+    let graphSearch = null;
+    if (graph) {
+        const found = await createGraphRetriever(session, scope).search(question, graph);
+        found.results.forEach(({ chunk, graphScore, graphPath }) => {
+            const existing = uniqueResults.get(chunk.id);
+            if (existing) {
+                Object.assign(existing, { graphScore, graphPath });
+            } else if (matchesLexicalFilters(chunk.content, filters)) {
+                const vectorScore = cosineSimilarity(questionVector, chunk.embedding);
+                uniqueResults.set(chunk.id, {
+                    chunk,
+                    vectorScore,
+                    bm25Score: 0,
+                    hybridScore: fusion.unrankedScore(vectorScore),
+                    graphScore,
+                    graphPath,
+                    queryVariation: question
+                });
+            }
+        });
+        uniqueResults.forEach(result => {
+            result.graphScore = result.graphScore ?? 0;
+            result.hybridScore = (1 - GRAPH_WEIGHT) * result.hybridScore + GRAPH_WEIGHT * result.graphScore;
+        });
+        graphSearch = {
+            hops: graph.hops,
+            entities: found.entities,
+            entitiesReached: found.reached,
+            chunksReached: found.results.length
+        };
+    }
+
+    return {
+        results: Array.from(uniqueResults.values()).sort((a, b) => b.hybridScore - a.hybridScore),
+        vectorSearch: vectorRetriever.method,
+        lexicalSearch: fusion.method === 'vector' ? 'none' : lexicalRetriever.method,
+        lexicalQuery: filters.luceneQuery,
+        fusion: { method: fusion.method, weights: fusion.weights, k: fusion.k },
+        graphSearch
+    };
+}
@@ -0,0 +1,200 @@
+import neo4j from 'neo4j-driver';
+import natural from 'natural';
+import driver from '../neo4j.js';
+import logger from '../logger.js';
+import { toChunk } from './vector.js';
+import { createScope } from './scope.js';
+
+export const FULLTEXT_INDEX_NAME = process.env.FULLTEXT_INDEX_NAME || 'chunk_content_index';
+
+const tokenizer = new natural.WordTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+let fulltextIndexAvailable = false;
+
+export function isFulltextIndexAvailable() {
+    return fulltextIndexAvailable;
+}
+
+export async function ensureFulltextIndex() {
+    const session = driver.session();
+    try {
+        await session.run(
+            `CREATE FULLTEXT INDEX ${FULLTEXT_INDEX_NAME} IF NOT EXISTS
+             FOR (c:Chunk) ON EACH [c.content]`
+        );
+        fulltextIndexAvailable = true;
+        logger.info(`Full-text index ${FULLTEXT_INDEX_NAME} ready`);
+    } catch (error) {
+        fulltextIndexAvailable = false;
+        logger.warn(`Full-text index unavailable, falling back to in-memory BM25: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+
+    return fulltextIndexAvailable;
+}
+
+function tokenize(text) {
+    return tokenizer.tokenize(String(text).toLowerCase());
+}
+
+// Parse a question into Lucene query syntax.
+// Supports "quoted phrases", +required / -excluded terms or phrases, and fuzzy terms (term~ or term~1).
+// Everything else becomes optional terms with stopwords removed.
+export function parseLexicalQuery(question) {
+    const parsed = { phrases: [], required: [], excluded: [], fuzzy: [], terms: [] };
+    const clauses = [];
+    // The question as written, minus query syntax and excluded clauses, stopwords kept
+    const embeddingWords = [];
+
+    const pattern = /([+-]?)"([^"]*)"|([+-]?)([^\s"]+)/g;
+    let match;
+    while ((match = pattern.exec(question)) !== null) {
+        if (match[2] !== undefined) {
+            const words = tokenize(match[2]);
+            if (words.length === 0) continue;
+            if (match[1] !== '-') {
+                embeddingWords.push(match[2].trim());
+            }
+            const phrase = words.join(' ');
+            if (match[1] === '+') {
+                parsed.required.push(phrase);
+            } else if (match[1] === '-') {
+                parsed.excluded.push(phrase);
+            } else {
+                parsed.phrases.push(phrase);
+            }
+            clauses.push(`${match[1]}"${phrase}"`);
+            continue;
+        }
+
+        const operator = match[3];
+        if (operator !== '-') {
+            embeddingWords.push(match[4].replace(/~[0-2]?([?.!,;:]*)$/, '$1'));
+        }
+        const token = match[4].replace(/[?.!,;:]+$/, '');
+        const fuzzyMatch = token.match(/^(.+?)~([0-2])?$/);
+        const words = tokenize(fuzzyMatch ? fuzzyMatch[1] : token);
+        if (words.length === 0) continue;
+
+        if (fuzzyMatch && words.length === 1) {
+            const edits = fuzzyMatch[2] || '2';
+            parsed.fuzzy.push(words[0]);
+            clauses.push(`${operator}${words[0]}~${edits}`);
+        } else if (operator === '+') {
+            parsed.required.push(...words);
+            words.forEach(word => clauses.push(`+${word}`));
+        } else if (operator === '-') {
+            parsed.excluded.push(...words);
+            words.forEach(word => clauses.push(`-${word}`));
+        } else {
+            const kept = words.filter(word => !stopwords.has(word));
+            parsed.terms.push(...kept);
+            kept.forEach(word => clauses.push(word));
+        }
+    }
+
+    // A query made only of exclusions matches nothing in Lucene
+    const hasPositiveClause = clauses.some(clause => !clause.startsWith('-'));
+    parsed.luceneQuery = hasPositiveClause ? clauses.join(' ') : '';
+
+    // Keywords for BM25: the positive clauses with stopwords removed
+    parsed.text = [...parsed.phrases, ...parsed.required, ...parsed.fuzzy, ...parsed.terms].join(' ') || question;
+
+    // Text for embedding: the question without query syntax or excluded terms, with its
+    // stopwords and word order, so negations and question words keep their meaning
+    parsed.embeddingText = embeddingWords.join(' ') || question;
+
+    return parsed;
+}
+
+function containsPhrase(tokens, phrase) {
+    const words = phrase.split(' ');
+    for (let i = 0; i <= tokens.length - words.length; i++) {
+        if (words.every((word, j) => tokens[i + j] === word)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Enforce +required and -excluded clauses on candidates that did not come from the full-text index
+export function matchesLexicalFilters(content, parsed) {
+    if (parsed.required.length === 0 && parsed.excluded.length === 0) {
+        return true;
+    }
+    const tokens = tokenize(content);
+    return parsed.required.every(phrase => containsPhrase(tokens, phrase)) &&
+        !parsed.excluded.some(phrase => containsPhrase(tokens, phrase));
+}
+
+// BM25 over a fixed set of documents. Documents are tokenized once and document frequency is
+// counted on whole tokens, so scoring n documents is O(n) rather than O(n²).
+export function createBM25Scorer(documents, { k1 = 1.2, b = 0.75 } = {}) {
+    const docTokens = documents.map(document => tokenize(document));
+    const docFreq = new Map();
+    docTokens.forEach(tokens => {
+        new Set(tokens).forEach(token => docFreq.set(token, (docFreq.get(token) || 0) + 1));
+    });
+    const avgDocLength = docTokens.reduce((sum, tokens) => sum + tokens.length, 0) / (docTokens.length || 1);
+
+    return function score(query, index) {
+        const tokens = docTokens[index];
+        const termFreqs = new Map();
+        tokens.forEach(token => termFreqs.set(token, (termFreqs.get(token) || 0) + 1));
+
+        let total = 0;
+        tokenize(query).forEach(term => {
+            const df = docFreq.get(term) || 0;
+            if (df > 0) {
+                const termFreq = termFreqs.get(term) || 0;
+                const idf = Math.log((documents.length - df + 0.5) / (df + 0.5));
+                const tf = (termFreq * (k1 + 1)) / (termFreq + k1 * (1 - b + b * (tokens.length / avgDocLength)));
+                total += idf * tf;
+            }
+        });
+        return total;
+    };
+}
+
+// Per-request lexical retriever over the chunks in `scope`, backed by the full-text index. Returns
+// null from search() when the index is unavailable or the scope is narrow, so callers can score
+// their candidates with createBM25Scorer instead.
+export function createLexicalRetriever(session, scope = createScope()) {
+    let useIndex = fulltextIndexAvailable && !scope.narrow;
+
+    return {
+        get method() {
+            return useIndex ? 'fulltext-index' : 'in-memory';
+        },
+
+        async search(luceneQuery, k) {
+            if (!useIndex) {
+                return null;
+            }
+            if (!luceneQuery) {
+                return [];
+            }
+
+            try {
+                const result = await session.run(
+                    `CALL db.index.fulltext.queryNodes($indexName, $luceneQuery, {limit: $k})
+                     YIELD node, score
+                     MATCH (d:Document {id: node.docId})
+                     WHERE ${scope.where('node')}
+                     RETURN node, score`,
+                    { ...scope.params, indexName: FULLTEXT_INDEX_NAME, luceneQuery, k: neo4j.int(k) }
+                );
+                return result.records.map(record => ({
+                    chunk: toChunk(record.get('node')),
+                    bm25Score: record.get('score')
+                }));
+            } catch (error) {
+                logger.warn(`Full-text query failed, falling back to in-memory BM25: ${error.message}`);
+                useIndex = false;
+                return null;
+            }
+        }
+    };
+}
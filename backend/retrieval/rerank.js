@@ -0,0 +1,128 @@
+import logger from '../logger.js';
+import provider from '../providers/index.js';
+import { cosineSimilarity } from './vector.js';
+
+// Reranking between retrieval and generation, over the best `candidates` retrieved results:
+//   mmr   maximal marginal relevance: picks results one at a time by
+//           lambda * hybridScore - (1 - lambda) * highest cosine similarity to a picked result
+//         so near-duplicate chunks (e.g. duplicate uploads) don't fill every slot
+//   llm   the AI provider scores each candidate's relevance to the question from 0 to 10;
+//         if its reply can't be parsed the retrieval order is kept
+//   none  retrieval order
+export const RERANK_METHODS = ['none', 'mmr', 'llm'];
+export const MAX_RERANK_CANDIDATES = 50;
+
+export const DEFAULT_RERANK = {
+    method: RERANK_METHODS.includes(process.env.RERANK_METHOD) ? process.env.RERANK_METHOD : 'none',
+    candidates: Math.min(parseInt(process.env.RERANK_CANDIDATES, 10) || 20, MAX_RERANK_CANDIDATES),
+    lambda: Math.min(Math.max(parseFloat(process.env.MMR_LAMBDA ?? '0.5') || 0, 0), 1)
+};
+
+// Characters of each candidate shown to the model
+const LLM_PASSAGE_LENGTH = 600;
+
+export function resolveRerank(rerank) {
+    return { ...DEFAULT_RERANK, ...rerank };
+}
+
+function maximalMarginalRelevance(results, count, lambda) {
+    const remaining = [...results];
+    const selected = [];
+    while (selected.length < count && remaining.length > 0) {
+        let best = null;
+        remaining.forEach((candidate, index) => {
+            const redundancy = selected.reduce((max, picked) => (
+                candidate.chunk.embedding && picked.chunk.embedding
+                    ? Math.max(max, cosineSimilarity(candidate.chunk.embedding, picked.chunk.embedding))
+                    : max
+            ), 0);
+            const score = lambda * candidate.hybridScore - (1 - lambda) * redundancy;
+            if (!best || score > best.score) {
+                best = { index, score };
+            }
+        });
+        selected.push({ ...remaining[best.index], rerankScore: best.score });
+        remaining.splice(best.index, 1);
+    }
+    return selected;
+}
+
+// Relevance scores (0-1) by candidate index, or null if the model's reply can't be used
+async function modelRelevance(question, results) {
+    const passages = results
+        .map((item, index) => `[${index + 1}] ${item.chunk.content.slice(0, LLM_PASSAGE_LENGTH).replace(/\s+/g, ' ')}`)
+        .join('\n\n');
+    const prompt = `Rate how relevant each passage is to the question, from 0 (irrelevant) to 10 (answers it directly). Reply with a JSON array only, one object per passage: {"passage": <number>, "score": <0-10>}.
+
+Question: ${question}
+
+Passages:
+${passages}
+
+JSON:`;
+
+    const output = await provider.generate(prompt);
+    const match = (output || '').match(/\[[\s\S]*\]/);
+    if (!match) {
+        return null;
+    }
+    try {
+        const parsed = JSON.parse(match[0]);
+        if (!Array.isArray(parsed)) {
+            return null;
+        }
+        const scores = new Map();
+        parsed.forEach(item => {
+            const passage = Number(item?.passage);
+            const score = Number(item?.score);
+            if (Number.isInteger(passage) && passage >= 1 && passage <= results.length && Number.isFinite(score)) {
+                scores.set(passage - 1, Math.min(Math.max(score, 0), 10) / 10);
+            }
+        });
+        return scores.size > 0 ? scores : null;
+    } catch {
+        return null;
+    }
+}
+
+// Rerank retrieved results (best first) and keep the best `count`. Every result gets its
+// 1-based retrievalRank; reranked ones also get rerankRank and rerankScore. Returns
+// { results, rerank } where rerank describes what was done, or null for `none`.
+export async function rerankResults(results, { question, count, rerank: options = null }) {
+    const rerank = resolveRerank(options);
+    const ranked = results.map((item, index) => ({ ...item, retrievalRank: index + 1 }));
+    if (rerank.method === 'none' || ranked.length === 0) {
+        return { results: ranked.slice(0, count), rerank: null };
+    }
+
+    const pool = ranked.slice(0, Math.max(rerank.candidates, count));
+    let reranked;
+    let fallback = false;
+    if (rerank.method === 'mmr') {
+        reranked = maximalMarginalRelevance(pool, count, rerank.lambda);
+    } else {
+        let scores = null;
+        try {
+            scores = await modelRelevance(question, pool);
+        } catch (error) {
+            logger.warn(`Model reranking failed, keeping retrieval order: ${error.message}`);
+        }
+        fallback = scores === null;
+        // Candidates the model didn't score keep their place behind the scored ones
+        reranked = pool
+            .map((item, index) => ({ ...item, rerankScore: scores?.get(index) ?? null }))
+            .sort((a, b) => (b.rerankScore ?? -1) - (a.rerankScore ?? -1) || a.retrievalRank - b.retrievalRank)
+            .slice(0, count);
+    }
+
+    return {
+        results: reranked.map((item, index) => ({ ...item, rerankRank: index + 1 })),
+        rerank: {
+            method: rerank.method,
+            candidates: pool.length,
+            ...(rerank.method === 'mmr' && { lambda: rerank.lambda }),
+            ...(rerank.method === 'llm' && { fallback }),
+            promoted: reranked.filter((item, index) => item.retrievalRank > index + 1).length
+        }
+    };
+}
@@ -0,0 +1,82 @@
+import neo4j from 'neo4j-driver';
+
+// Filtered scopes with at most this many chunks are scanned directly instead of post-filtering
+// index results, which could leave them with few or no candidates
+const SCOPED_SCAN_LIMIT = parseInt(process.env.SCOPED_SCAN_LIMIT, 10) || 5000;
+
+// Which chunks a query may retrieve, as a Cypher predicate over a chunk and its Document `d`.
+// Retrievers match `(d:Document {id: <chunk>.docId})` and apply `where(<chunk>)`, so the same
+// scope works for index queries and in-memory scans.
+//
+// By default only the latest version of every document is searched. `documentId` (usually a
+// historical version) or `filters.documentIds` restrict retrieval to exactly those documents,
+// whatever their version. The other filters narrow it further:
+//   collection                     the document's collection
+//   tags                           documents with any of these tags
+//   uploadedAfter, uploadedBefore  upload date range (inclusive)
+//   pageFrom, pageTo               chunks overlapping this page range
+//
+// `narrow` tells the retrievers to scan the scope's chunks rather than query the indexes; it is
+// set for document restrictions and, via narrowScope(), for other filters that match few chunks.
+export function createScope({ documentId, filters = {} } = {}) {
+    const documentConditions = [];
+    const chunkConditions = [];
+    const params = {};
+
+    if (documentId) {
+        documentConditions.push('d.id = $scopeDocumentId');
+        params.scopeDocumentId = documentId;
+    } else if (filters.documentIds?.length) {
+        documentConditions.push('d.id IN $scopeDocumentIds');
+        params.scopeDocumentIds = filters.documentIds;
+    } else {
+        documentConditions.push('coalesce(d.isLatest, true)');
+    }
+
+    if (filters.collection) {
+        documentConditions.push('d.collection = $scopeCollection');
+        params.scopeCollection = filters.collection;
+    }
+    if (filters.tags?.length) {
+        documentConditions.push('any(tag IN coalesce(d.tags, []) WHERE tag IN $scopeTags)');
+        params.scopeTags = filters.tags;
+    }
+    if (filters.uploadedAfter) {
+        documentConditions.push('d.uploadedAt >= datetime($scopeUploadedAfter)');
+        params.scopeUploadedAfter = new Date(filters.uploadedAfter).toISOString();
+    }
+    if (filters.uploadedBefore) {
+        documentConditions.push('d.uploadedAt <= datetime($scopeUploadedBefore)');
+        params.scopeUploadedBefore = new Date(filters.uploadedBefore).toISOString();
+    }
+    if (filters.pageFrom) {
+        chunkConditions.push(chunk => `${chunk}.pageEnd >= $scopePageFrom`);
+        params.scopePageFrom = neo4j.int(filters.pageFrom);
+    }
+    if (filters.pageTo) {
+        chunkConditions.push(chunk => `${chunk}.pageStart <= $scopePageTo`);
+        params.scopePageTo = neo4j.int(filters.pageTo);
+    }
+
+    return {
+        where: chunk => [...documentConditions, ...chunkConditions.map(condition => condition(chunk))].join(' AND '),
+        params,
+        narrow: Boolean(documentId || filters.documentIds?.length),
+        filtered: documentConditions.length + chunkConditions.length > 1
+    };
+}
+
+// Mark a filtered scope narrow when it holds few enough chunks to scan
+export async function narrowScope(session, scope) {
+    if (scope.narrow || !scope.filtered) {
+        return scope;
+    }
+    const result = await session.run(
+        `MATCH (c:Chunk)
+         MATCH (d:Document {id: c.docId})
+         WHERE ${scope.where('c')}
+         RETURN count(c) AS chunks`,
+        scope.params
+    );
+    return { ...scope, narrow: result.records[0].get('chunks').toNumber() <= SCOPED_SCAN_LIMIT };
+}
@@ -0,0 +1,181 @@
+import neo4j from 'neo4j-driver';
+import pkg from 'ml-distance';
+import driver from '../neo4j.js';
+import logger from '../logger.js';
+import { createScope } from './scope.js';
+
+const { cosine } = pkg;
+
+export const VECTOR_INDEX_NAME = process.env.VECTOR_INDEX_NAME || 'chunk_embedding_index';
+
+// Historical versions keep their chunks in the index, often with identical embeddings, and the
+// scope only drops them after the index picked its top k. Index queries fetch k times the number
+// of versions per latest document (at most this many times k) and keep the best k in scope.
+const MAX_VECTOR_OVERSAMPLE = 10;
+
+let vectorIndexAvailable = false;
+
+export function isVectorIndexAvailable() {
+    return vectorIndexAvailable;
+}
+
+// Enhanced cosine similarity with validation
+export function cosineSimilarity(vec1, vec2) {
+    if (!vec1 || !vec2 || vec1.length !== vec2.length) {
+        return 0;
+    }
+
+    try {
+        return 1 - cosine(vec1, vec2);
+    } catch (error) {
+        // Fallback to manual calculation
+        const dotProduct = vec1.reduce((sum, val, i) => sum + val * vec2[i], 0);
+        const magnitude1 = Math.sqrt(vec1.reduce((sum, val) => sum + val * val, 0));
+        const magnitude2 = Math.sqrt(vec2.reduce((sum, val) => sum + val * val, 0));
+
+        if (magnitude1 === 0 || magnitude2 === 0) {
+            return 0;
+        }
+
+        return dotProduct / (magnitude1 * magnitude2);
+    }
+}
+
+// Create the native vector index over Chunk.embedding (Neo4j 5.11+).
+// Schema commands don't accept parameters, so the dimension is validated before interpolation.
+export async function ensureVectorIndex(dimensions) {
+    if (!Number.isInteger(dimensions) || dimensions < 1 || dimensions > 4096) {
+        throw new Error(`Invalid embedding dimensions: ${dimensions}`);
+    }
+
+    const session = driver.session();
+    try {
+        await session.run(
+            `CREATE VECTOR INDEX ${VECTOR_INDEX_NAME} IF NOT EXISTS
+             FOR (c:Chunk) ON (c.embedding)
+             OPTIONS {indexConfig: {
+               \`vector.dimensions\`: ${dimensions},
+               \`vector.similarity_function\`: 'cosine'
+             }}`
+        );
+
+        const result = await session.run(
+            'SHOW INDEXES YIELD name, state, options WHERE name = $name RETURN state, options',
+            { name: VECTOR_INDEX_NAME }
+        );
+        const record = result.records[0];
+        const indexDimensions = record?.get('options')?.indexConfig?.['vector.dimensions'];
+
+        if (indexDimensions !== undefined && neo4j.integer.toNumber(indexDimensions) !== dimensions) {
+            logger.warn(`Vector index ${VECTOR_INDEX_NAME} has ${indexDimensions} dimensions but the provider produces ${dimensions}; using in-memory retrieval`);
+            vectorIndexAvailable = false;
+        } else {
+            vectorIndexAvailable = true;
+            logger.info(`Vector index ${VECTOR_INDEX_NAME} ready (${record?.get('state') || 'UNKNOWN'}, ${dimensions} dimensions)`);
+        }
+    } catch (error) {
+        vectorIndexAvailable = false;
+        logger.warn(`Vector index unavailable, falling back to in-memory retrieval: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+
+    return vectorIndexAvailable;
+}
+
+// Cypher that stores `value` as node variable `node`'s embedding: a typed vector property
+// when the database supports vector indexes, a plain list property otherwise
+export function setEmbeddingClause(node, value) {
+    return vectorIndexAvailable
+        ? `CALL db.create.setNodeVectorProperty(${node}, 'embedding', ${value})`
+        : `SET ${node}.embedding = ${value}`;
+}
+
+const toNumber = value => (neo4j.isInt(value) ? value.toNumber() : value);
+
+export function toChunk(node) {
+    const chunk = node.properties;
+    return {
+        id: chunk.id,
+        content: chunk.content,
+        embedding: chunk.embedding,
+        docId: chunk.docId,
+        chunkIndex: toNumber(chunk.chunkIndex),
+        pageStart: toNumber(chunk.pageStart) ?? null,
+        pageEnd: toNumber(chunk.pageEnd) ?? null,
+        positions: chunk.positions ? JSON.parse(chunk.positions) : []
+    };
+}
+
+// Per-request vector retriever over the chunks in `scope` (see scope.js): top-k from the index, or
+// the original in-memory scan over every chunk in scope when the index is unavailable, a query
+// against it fails or the scope is narrow. The scan loads chunks once.
+export function createVectorRetriever(session, scope = createScope()) {
+    let allChunks = null;
+    let oversample = null;
+    let useIndex = vectorIndexAvailable && !scope.narrow;
+
+    // Documents (every version) per latest version, counted once per request
+    async function loadOversample() {
+        if (oversample === null) {
+            const result = await session.run(
+                `MATCH (d:Document)
+                 WHERE d.status IN ['complete', 'partial']
+                 RETURN count(d) AS documents, count(CASE WHEN coalesce(d.isLatest, true) THEN 1 END) AS latest`
+            );
+            const documents = result.records[0].get('documents').toNumber();
+            const latest = result.records[0].get('latest').toNumber();
+            oversample = latest > 0 ? Math.min(Math.max(documents / latest, 1), MAX_VECTOR_OVERSAMPLE) : 1;
+        }
+        return oversample;
+    }
+
+    async function loadAllChunks() {
+        if (!allChunks) {
+            const result = await session.run(
+                `MATCH (c:Chunk) WHERE c.embedding IS NOT NULL
+                 MATCH (d:Document {id: c.docId})
+                 WHERE ${scope.where('c')}
+                 RETURN c`,
+                scope.params
+            );
+            allChunks = result.records.map(record => toChunk(record.get('c')));
+        }
+        return allChunks;
+    }
+
+    return {
+        get method() {
+            return useIndex ? 'vector-index' : 'in-memory';
+        },
+
+        async search(queryVector, k) {
+            if (useIndex) {
+                try {
+                    const candidates = Math.ceil(k * await loadOversample());
+                    const result = await session.run(
+                        `CALL db.index.vector.queryNodes($indexName, $candidates, $queryVector)
+                         YIELD node, score
+                         MATCH (d:Document {id: node.docId})
+                         WHERE ${scope.where('node')}
+                         RETURN node, score
+                         ORDER BY score DESC
+                         LIMIT $k`,
+                        { ...scope.params, indexName: VECTOR_INDEX_NAME, candidates: neo4j.int(candidates), k: neo4j.int(k), queryVector }
+                    );
+                    // Neo4j reports cosine similarity rescaled to [0, 1]; map it back to [-1, 1]
+                    return result.records.map(record => ({
+                        chunk: toChunk(record.get('node')),
+                        vectorScore: 2 * record.get('score') - 1
+                    }));
+                } catch (error) {
+                    logger.warn(`Vector index query failed, falling back to in-memory retrieval: ${error.message}`);
+                    useIndex = false;
+                }
+            }
+
+            const chunks = await loadAllChunks();
+            return chunks.map(chunk => ({ chunk, vectorScore: cosineSimilarity(queryVector, chunk.embedding) }));
+        }
+    };
+}
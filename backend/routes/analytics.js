@@ -0,0 +1,42 @@
+import express from 'express';
+import Joi from 'joi';
+import logger from '../logger.js';
+import { BUCKETS, MAX_BUCKETS, RANGES, queryAnalytics } from '../query/log.js';
+
+const router = express.Router();
+
+const queryAnalyticsSchema = Joi.object({
+    range: Joi.string().valid(...Object.keys(RANGES)).default('24h'),
+    // Defaults to the range's bucket
+    bucket: Joi.string().valid(...Object.keys(BUCKETS))
+});
+
+// Time-bucketed aggregates of the query log: volume, errors, cache hits, latency percentiles,
+// latency per stage and evaluation scores
+router.get('/queries', async (req, res) => {
+    const { error, value } = queryAnalyticsSchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { range } = value;
+    const bucket = value.bucket ?? RANGES[range].bucket;
+    if ((RANGES[range].hours * 60 * 60 * 1000) / BUCKETS[bucket] > MAX_BUCKETS) {
+        return res.status(400).json({
+            error: 'Too many buckets',
+            details: `${range} in ${bucket} buckets exceeds ${MAX_BUCKETS} buckets`
+        });
+    }
+
+    try {
+        res.json({
+            ...(await queryAnalytics({ range, bucket })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Query analytics error:', err);
+        res.status(500).json({ error: 'Failed to retrieve query analytics' });
+    }
+});
+
+export default router;
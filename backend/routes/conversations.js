@@ -0,0 +1,328 @@
+import express from 'express';
+import Joi from 'joi';
+import neo4j from 'neo4j-driver';
+import driver, { toNative } from '../neo4j.js';
+import logger from '../logger.js';
+import provider from '../providers/index.js';
+import {
+    buildAnswerPrompt,
+    contextWindowSchema,
+    evaluateSchema,
+    filtersSchema,
+    fusionSchema,
+    formatSources,
+    graphSchema,
+    noResultsAnswer,
+    passageChunks,
+    queryStrategySchema,
+    rerankSchema,
+    resolveQueryScope,
+    retrieveContext
+} from '../query/pipeline.js';
+import { HISTORY_TURNS, rewriteFollowUp } from '../query/conversation.js';
+import { validateCitations } from '../query/citations.js';
+import ragEvaluator from '../query/evaluator.js';
+import ragMetrics from '../query/metrics.js';
+
+const router = express.Router();
+
+const DEFAULT_TITLE = 'New conversation';
+
+const conversationSchema = Joi.object({
+    title: Joi.string().trim().min(1).max(200)
+});
+
+const turnSchema = Joi.object({
+    question: Joi.string().min(3).max(500).required(),
+    maxResults: Joi.number().integer().min(1).max(20).default(5),
+    documentId: Joi.string().max(100),
+    version: Joi.number().integer().min(1),
+    filters: filtersSchema,
+    queryStrategy: queryStrategySchema,
+    graph: graphSchema,
+    fusion: fusionSchema,
+    rerank: rerankSchema,
+    contextWindow: contextWindowSchema,
+    evaluate: evaluateSchema
+}).with('version', 'documentId');
+
+// Turns keep their sources, citations, evaluation and retrieval details as JSON strings
+const TURN_FIELDS = `
+    t {
+        .id, .index, .question, .standaloneQuestion, .rewrite, .answer, .sources, .citations,
+        .evaluation, .retrieval, .responseTime, .createdAt,
+        citedChunks: [(t)-[:CITES]->(chunk:Chunk) | chunk.id]
+    }`;
+
+function toTurn(record) {
+    const turn = toNative(record);
+    return {
+        ...turn,
+        sources: turn.sources ? JSON.parse(turn.sources) : [],
+        citations: turn.citations ? JSON.parse(turn.citations) : { cited: [], invalid: [] },
+        evaluation: turn.evaluation ? JSON.parse(turn.evaluation) : null,
+        retrieval: turn.retrieval ? JSON.parse(turn.retrieval) : null
+    };
+}
+
+// List conversations, most recently active first
+router.get('/', async (_req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (c:Conversation)
+             OPTIONAL MATCH (c)-[:HAS_TURN]->(t:Turn)
+             WITH c, count(t) AS turnCount
+             RETURN c { .id, .title, .createdAt, .updatedAt, turnCount: turnCount } AS conversation
+             ORDER BY conversation.updatedAt DESC`
+        );
+        res.json({
+            conversations: result.records.map(record => toNative(record.get('conversation'))),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Conversation list error:', err);
+        res.status(500).json({ error: 'Failed to list conversations' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Start a conversation
+router.post('/', async (req, res) => {
+    const { error, value } = conversationSchema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `CREATE (c:Conversation {
+               id: $id,
+               title: $title,
+               createdAt: datetime(),
+               updatedAt: datetime()
+             })
+             RETURN c { .id, .title, .createdAt, .updatedAt, turnCount: 0 } AS conversation`,
+            { id: `conv_${Date.now()}`, title: value.title || DEFAULT_TITLE }
+        ));
+        res.status(201).json(toNative(result.records[0].get('conversation')));
+    } catch (err) {
+        logger.error('Conversation create error:', err);
+        res.status(500).json({ error: 'Failed to create conversation' });
+    } finally {
+        await session.close();
+    }
+});
+
+// A conversation with all of its turns, oldest first
+router.get('/:id', async (req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (c:Conversation {id: $id})
+             OPTIONAL MATCH (c)-[:HAS_TURN]->(t:Turn)
+             WITH c, t ORDER BY t.index
+             RETURN c { .id, .title, .createdAt, .updatedAt } AS conversation,
+                    [turn IN collect(${TURN_FIELDS}) WHERE turn.id IS NOT NULL] AS turns`,
+            { id: req.params.id }
+        );
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        const record = result.records[0];
+        res.json({
+            ...toNative(record.get('conversation')),
+            turns: record.get('turns').map(toTurn)
+        });
+    } catch (err) {
+        logger.error('Conversation detail error:', err);
+        res.status(500).json({ error: 'Failed to retrieve conversation' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Ask a question in a conversation. Follow-ups are rewritten into a standalone question from the
+// previous turns before retrieval; the turn is stored with CITES links to the chunks it used.
+router.post('/:id/turns', async (req, res) => {
+    const startTime = Date.now();
+    const { error, value } = turnSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { question, maxResults, filters, queryStrategy, graph, fusion, rerank, contextWindow, evaluate } = value;
+    const conversationId = req.params.id;
+    const turnId = `${conversationId}_turn_${Date.now()}`;
+    // The turn's id is its query log id (see query/log.js)
+    const logEntry = { queryId: turnId, endpoint: 'conversation', question, stages: {} };
+    const session = driver.session();
+
+    try {
+        const historyResult = await session.run(
+            `MATCH (c:Conversation {id: $id})
+             OPTIONAL MATCH (c)-[:HAS_TURN]->(t:Turn)
+             WITH c, t ORDER BY t.index DESC
+             WITH c, [turn IN collect(t { .question, .standaloneQuestion, .answer }) WHERE turn.question IS NOT NULL] AS recent
+             RETURN c.id AS id, reverse(recent[0..$limit]) AS history`,
+            { id: conversationId, limit: neo4j.int(HISTORY_TURNS) }
+        );
+        if (historyResult.records.length === 0) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        const history = historyResult.records[0].get('history');
+
+        const scopedDocumentId = await resolveQueryScope(value);
+        if (scopedDocumentId === undefined) {
+            return res.status(404).json({ error: 'Document version not found', details: `Version ${value.version} of ${value.documentId}` });
+        }
+
+        let stageStart = Date.now();
+        const { standaloneQuestion, rewrite } = await rewriteFollowUp(question, history);
+        logEntry.stages.rewrite = Date.now() - stageStart;
+        if (rewrite !== 'none') {
+            logger.info(`Rewrote follow-up "${question}" as "${standaloneQuestion}" (${rewrite})`);
+        }
+
+        const { topResults, retrievalInfo, timings } = await retrieveContext(session, {
+            question: standaloneQuestion,
+            maxResults,
+            scopedDocumentId,
+            filters,
+            queryStrategy,
+            graph,
+            fusion,
+            rerank,
+            contextWindow
+        });
+        Object.assign(logEntry.stages, timings);
+
+        let answer;
+        let citations = { cited: [], invalid: [] };
+        let evaluation = null;
+        if (topResults.length === 0) {
+            answer = await noResultsAnswer(session, { scopedDocumentId, filters });
+        } else {
+            stageStart = Date.now();
+            ({ answer, citations } = validateCitations(
+                await provider.generate(buildAnswerPrompt(standaloneQuestion, topResults, retrievalInfo.queryTransformation)),
+                topResults.length
+            ));
+            logEntry.stages.generation = Date.now() - stageStart;
+            stageStart = Date.now();
+            evaluation = await ragEvaluator.evaluateRAGResponse(
+                standaloneQuestion,
+                answer,
+                passageChunks(topResults),
+                [],
+                evaluate
+            );
+            logEntry.stages.evaluation = Date.now() - stageStart;
+        }
+
+        const sources = formatSources(topResults, false);
+        const responseTime = Date.now() - startTime;
+
+        const stored = await session.executeWrite(tx => tx.run(
+            `MATCH (c:Conversation {id: $conversationId})
+             OPTIONAL MATCH (c)-[:HAS_TURN]->(previous:Turn)
+             WITH c, count(previous) AS index
+             CREATE (c)-[:HAS_TURN]->(t:Turn {
+               id: $turnId,
+               index: index,
+               question: $question,
+               standaloneQuestion: $standaloneQuestion,
+               rewrite: $rewrite,
+               answer: $answer,
+               sources: $sources,
+               citations: $citations,
+               evaluation: $evaluation,
+               retrieval: $retrieval,
+               responseTime: $responseTime,
+               createdAt: datetime()
+             })
+             SET c.updatedAt = datetime(),
+                 c.title = CASE WHEN index = 0 AND c.title = $defaultTitle THEN $title ELSE c.title END
+             WITH c, t
+             CALL {
+               WITH t
+               UNWIND $links AS citation
+               MATCH (chunk:Chunk {id: citation.chunkId})
+               CREATE (t)-[:CITES {rank: citation.rank, score: citation.score, inline: citation.inline}]->(chunk)
+             }
+             RETURN ${TURN_FIELDS} AS turn, c.title AS title`,
+            {
+                conversationId,
+                turnId,
+                question,
+                standaloneQuestion,
+                rewrite,
+                answer,
+                sources: JSON.stringify(sources),
+                citations: JSON.stringify(citations),
+                evaluation: evaluation && JSON.stringify(evaluation),
+                retrieval: JSON.stringify(retrievalInfo),
+                responseTime,
+                defaultTitle: DEFAULT_TITLE,
+                title: question.length > 80 ? `${question.slice(0, 77)}...` : question,
+                links: topResults.map((item, rank) => ({
+                    chunkId: item.chunk.id,
+                    rank: rank + 1,
+                    score: item.hybridScore,
+                    inline: citations.cited.includes(rank + 1)
+                }))
+            }
+        ));
+
+        ragMetrics.recordQuery(responseTime, false, false, { ...logEntry, resultCount: topResults.length, evaluation });
+
+        const record = stored.records[0];
+        res.status(201).json({
+            conversationId,
+            title: record.get('title'),
+            turn: toTurn(record.get('turn'))
+        });
+    } catch (err) {
+        logger.error('Conversation turn error:', err);
+        ragMetrics.recordQuery(Date.now() - startTime, false, true, { ...logEntry, error: err.message });
+        res.status(500).json({
+            error: 'Failed to answer question',
+            details: err.message
+        });
+    } finally {
+        await session.close();
+    }
+});
+
+// Delete a conversation and its turns
+router.delete('/:id', async (req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `MATCH (c:Conversation {id: $id})
+             OPTIONAL MATCH (c)-[:HAS_TURN]->(t:Turn)
+             WITH c, collect(t) AS turns, count(t) AS turnCount
+             FOREACH (turn IN turns | DETACH DELETE turn)
+             DETACH DELETE c
+             RETURN turnCount`,
+            { id: req.params.id }
+        ));
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        res.json({
+            message: 'Conversation deleted successfully',
+            id: req.params.id,
+            turnsDeleted: toNative(result.records[0].get('turnCount'))
+        });
+    } catch (err) {
+        logger.error('Conversation delete error:', err);
+        res.status(500).json({ error: 'Failed to delete conversation' });
+    } finally {
+        await session.close();
+    }
+});
+
+export default router;
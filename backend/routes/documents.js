@@ -0,0 +1,186 @@
+import express from 'express';
+import Joi from 'joi';
+import driver, { toNative } from '../neo4j.js';
+import logger from '../logger.js';
+import { invalidateDocument, invalidateFilteredQueries } from '../cache.js';
+import { removeDocument } from '../ingestion/ingest.js';
+import { listVersions } from '../ingestion/versions.js';
+
+const router = express.Router();
+
+// Collection and tags used by query filters; null or [] clears them
+const metadataSchema = Joi.object({
+    collection: Joi.string().trim().max(100).allow(null),
+    tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).unique()
+}).or('collection', 'tags');
+
+// Document metadata without the full extracted text
+const DOCUMENT_SUMMARY = `
+    OPTIONAL MATCH (d)-[:HAS_CHUNK]->(c:Chunk)
+    WITH d, count(c) AS chunkCount, sum(c.wordCount) AS wordCount
+    RETURN d {
+        .id, .title, .contentHash, .status, .error, .failedChunks, .uploadedAt, .processingTime, .pageCount, .embeddingModel,
+        .chunkStrategy, .chunkSize, .chunkOverlap, .chunksReused, .entityCount, .collection,
+        tags: coalesce(d.tags, []),
+        lineageId: coalesce(d.lineageId, d.id),
+        version: coalesce(d.version, 1),
+        isLatest: coalesce(d.isLatest, true),
+        versionCount: COUNT { MATCH (v:Document) WHERE coalesce(v.lineageId, v.id) = coalesce(d.lineageId, d.id) },
+        contentLength: size(d.content),
+        chunkCount: chunkCount,
+        wordCount: wordCount
+    } AS document`;
+
+// List ingested documents, newest first. Superseded versions are left out unless ?versions=all;
+// documents that are still ingesting or failed are always listed.
+router.get('/', async (req, res) => {
+    const session = driver.session();
+    try {
+        const latestOnly = req.query.versions !== 'all';
+        const result = await session.run(
+            `MATCH (d:Document)
+             WHERE NOT $latestOnly OR coalesce(d.isLatest, true) OR NOT d.status IN ['complete', 'partial']
+             ${DOCUMENT_SUMMARY}
+             ORDER BY document.uploadedAt DESC`,
+            { latestOnly }
+        );
+        res.json({
+            documents: result.records.map(record => toNative(record.get('document'))),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Document list error:', err);
+        res.status(500).json({ error: 'Failed to list documents' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Metadata for a single document
+router.get('/:id', async (req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (d:Document {id: $id}) ${DOCUMENT_SUMMARY}`,
+            { id: req.params.id }
+        );
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json(toNative(result.records[0].get('document')));
+    } catch (err) {
+        logger.error('Document detail error:', err);
+        res.status(500).json({ error: 'Failed to retrieve document' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Version history of a document, newest first
+router.get('/:id/versions', async (req, res) => {
+    const session = driver.session();
+    try {
+        const versions = await listVersions(session, req.params.id);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        res.json({
+            id: req.params.id,
+            versions: toNative(versions),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Document versions error:', err);
+        res.status(500).json({ error: 'Failed to retrieve document versions' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Set the collection and/or tags of a document. They apply to every version of it, which keeps
+// filtered queries over pinned versions consistent with the latest one.
+router.patch('/:id', async (req, res) => {
+    const { error, value } = metadataSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `MATCH (target:Document {id: $id})
+             MATCH (d:Document) WHERE coalesce(d.lineageId, d.id) = coalesce(target.lineageId, target.id)
+             SET d.collection = CASE WHEN $setCollection THEN $collection ELSE d.collection END,
+                 d.tags = CASE WHEN $setTags THEN $tags ELSE d.tags END
+             RETURN count(d) AS updated`,
+            {
+                id: req.params.id,
+                setCollection: value.collection !== undefined,
+                collection: value.collection ?? null,
+                setTags: value.tags !== undefined,
+                tags: value.tags ?? []
+            }
+        ));
+
+        if (toNative(result.records[0].get('updated')) === 0) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const cacheEntriesRemoved = invalidateFilteredQueries();
+        logger.info(`Updated collection/tags of ${req.params.id} (${cacheEntriesRemoved} cache entries)`);
+
+        const updated = await session.run(
+            `MATCH (d:Document {id: $id}) ${DOCUMENT_SUMMARY}`,
+            { id: req.params.id }
+        );
+        res.json(toNative(updated.records[0].get('document')));
+    } catch (err) {
+        logger.error('Document update error:', err);
+        res.status(500).json({ error: 'Failed to update document' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Delete a document, its chunks and any cached query results citing it. A document still
+// ingesting can't be deleted; cancel its ingestion job instead.
+router.delete('/:id', async (req, res) => {
+    const session = driver.session();
+    try {
+        const deleted = await session.executeWrite(async tx => {
+            const ingesting = await tx.run(
+                `MATCH (d:Document {id: $id, status: 'ingesting'})
+                 RETURN d.id`,
+                { id: req.params.id }
+            );
+            return ingesting.records.length > 0 ? 'ingesting' : removeDocument(tx, req.params.id);
+        });
+
+        if (deleted === null) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        if (deleted === 'ingesting') {
+            return res.status(409).json({
+                error: 'Document is still being ingested',
+                details: 'Cancel its ingestion job to discard it'
+            });
+        }
+
+        const cacheEntriesRemoved = invalidateDocument(req.params.id);
+        logger.info(`Deleted document ${req.params.id} (${deleted} chunks, ${cacheEntriesRemoved} cache entries)`);
+
+        res.json({
+            message: 'Document deleted successfully',
+            id: req.params.id,
+            chunksDeleted: deleted,
+            cacheEntriesRemoved: cacheEntriesRemoved
+        });
+    } catch (err) {
+        logger.error('Document delete error:', err);
+        res.status(500).json({ error: 'Failed to delete document' });
+    } finally {
+        await session.close();
+    }
+});
+
+export default router;
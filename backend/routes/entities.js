@@ -0,0 +1,161 @@
+import express from 'express';
+import Joi from 'joi';
+import neo4j from 'neo4j-driver';
+import driver, { toNative } from '../neo4j.js';
+import logger from '../logger.js';
+import ingestionQueue from '../ingestion/jobs.js';
+import { ENTITY_EXTRACTION, ENTITY_TYPES, relinkDocumentEntities } from '../ingestion/entities.js';
+
+const router = express.Router();
+
+const listSchema = Joi.object({
+    q: Joi.string().trim().max(100),
+    type: Joi.string().valid(...ENTITY_TYPES),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const extractSchema = Joi.object({
+    documentIds: Joi.array().items(Joi.string().max(100)).max(1000),
+    // Also documents whose entities were already extracted
+    all: Joi.boolean().default(false)
+});
+
+// Entities by number of mentions in committed chunks, optionally filtered by name and type
+router.get('/', async (req, res) => {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (e:Entity)
+             WHERE ($type IS NULL OR e.type = $type)
+               AND ($q IS NULL OR toLower(e.name) CONTAINS toLower($q))
+             MATCH (e)<-[m:MENTIONS]-(c:Chunk)
+             WITH e, sum(m.count) AS mentions, count(DISTINCT c.docId) AS documents
+             RETURN e { .id, .name, .type, mentions: mentions, documents: documents } AS entity
+             ORDER BY entity.mentions DESC, entity.name
+             LIMIT $limit`,
+            { q: value.q ?? null, type: value.type ?? null, limit: neo4j.int(value.limit) }
+        );
+        res.json({
+            entities: result.records.map(record => toNative(record.get('entity'))),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Entity list error:', err);
+        res.status(500).json({ error: 'Failed to list entities' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Re-extract entities for existing documents as a background job. By default only documents
+// ingested before entity extraction are processed; `all` includes every committed document.
+router.post('/extract', async (req, res) => {
+    const { error, value } = extractSchema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = driver.session();
+    let documentIds;
+    try {
+        const result = await session.run(
+            `MATCH (d:Document)
+             WHERE coalesce(d.status, 'complete') IN ['complete', 'partial']
+               AND ($documentIds IS NULL OR d.id IN $documentIds)
+               AND ($all OR d.entityCount IS NULL)
+             RETURN d.id AS id
+             ORDER BY d.uploadedAt`,
+            { documentIds: value.documentIds ?? null, all: value.all }
+        );
+        documentIds = result.records.map(record => record.get('id'));
+    } catch (err) {
+        logger.error('Entity extraction error:', err);
+        return res.status(500).json({ error: 'Failed to start entity extraction' });
+    } finally {
+        await session.close();
+    }
+
+    const job = ingestionQueue.enqueue(
+        'extract-entities',
+        { documentIds, extraction: ENTITY_EXTRACTION },
+        async ({ signal, report }) => {
+            const documents = [];
+            const jobSession = driver.session();
+            try {
+                for (const docId of documentIds) {
+                    report({ stage: 'extracting', documentsTotal: documentIds.length, documentsDone: documents.length, currentDocument: docId });
+                    const entityCount = await relinkDocumentEntities(jobSession, docId, { signal });
+                    documents.push({ id: docId, entityCount });
+                    logger.info(`Linked ${entityCount ?? 0} entities for document ${docId}`);
+                }
+            } finally {
+                await jobSession.close();
+            }
+            report({ stage: 'done', documentsTotal: documentIds.length, documentsDone: documents.length, currentDocument: null });
+            return { documents };
+        }
+    );
+
+    res.status(202).json({
+        message: `Extracting entities for ${documentIds.length} documents`,
+        documentIds,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        eventsUrl: `/jobs/${job.id}/events`,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// An entity with the documents that mention it and the entities it co-occurs with most
+router.get('/:id', async (req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (e:Entity {id: $id})
+             OPTIONAL MATCH (e)<-[m:MENTIONS]-(c:Chunk)<-[:HAS_CHUNK]-(d:Document)
+             WITH e, d, sum(m.count) AS mentions, collect(c.id) AS chunkIds
+             ORDER BY mentions DESC
+             RETURN e { .id, .name, .type, .createdAt } AS entity,
+                    collect(CASE WHEN d IS NOT NULL THEN {
+                        id: d.id,
+                        title: d.title,
+                        version: coalesce(d.version, 1),
+                        isLatest: coalesce(d.isLatest, true),
+                        mentions: mentions,
+                        chunkIds: chunkIds
+                    } END) AS documents`,
+            { id: req.params.id }
+        );
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Entity not found' });
+        }
+
+        const related = await session.run(
+            `MATCH (:Entity {id: $id})-[r:CO_OCCURS_WITH]-(other:Entity)
+             RETURN other { .id, .name, .type, weight: r.weight } AS entity
+             ORDER BY entity.weight DESC, entity.name
+             LIMIT 25`,
+            { id: req.params.id }
+        );
+
+        const record = result.records[0];
+        res.json({
+            ...toNative(record.get('entity')),
+            documents: toNative(record.get('documents')),
+            related: related.records.map(relatedRecord => toNative(relatedRecord.get('entity')))
+        });
+    } catch (err) {
+        logger.error('Entity detail error:', err);
+        res.status(500).json({ error: 'Failed to retrieve entity' });
+    } finally {
+        await session.close();
+    }
+});
+
+export default router;
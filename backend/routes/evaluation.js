@@ -0,0 +1,414 @@
+import express from 'express';
+import Joi from 'joi';
+import neo4j from 'neo4j-driver';
+import driver, { toNative } from '../neo4j.js';
+import logger from '../logger.js';
+import { evaluationQueue } from '../ingestion/jobs.js';
+import { executeRun } from '../evaluation/harness.js';
+import {
+    contextWindowSchema,
+    evaluateSchema,
+    filtersSchema,
+    fusionSchema,
+    graphSchema,
+    queryStrategySchema,
+    rerankSchema
+} from '../query/pipeline.js';
+
+const router = express.Router();
+
+const goldenQuestionSchema = Joi.object({
+    question: Joi.string().min(3).max(500).required(),
+    expectedAnswer: Joi.string().max(5000),
+    // Document ids, lineage ids or titles (file names); any version of them counts
+    expectedDocuments: Joi.array().items(Joi.string().max(200)).max(20).default([]),
+    // Pages of the expected documents the answer is on
+    expectedPages: Joi.array().items(Joi.number().integer().min(1)).max(50).default([])
+}).custom((value, helpers) => (
+    value.expectedAnswer || value.expectedDocuments.length > 0
+        ? value
+        : helpers.message('{{#label}} needs an expectedAnswer or expectedDocuments to be scored against')
+));
+
+// A golden set is uploaded as { name, description, questions } or, with `name` in the query
+// string, as the bare array of questions
+const goldenSetSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().trim().max(2000).allow(''),
+    questions: Joi.array().items(goldenQuestionSchema).min(1).max(500).required()
+});
+
+// A named configuration of the query options, run over every question of a golden set
+const configurationSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    maxResults: Joi.number().integer().min(1).max(20).default(5),
+    filters: filtersSchema,
+    queryStrategy: queryStrategySchema,
+    graph: graphSchema,
+    fusion: fusionSchema,
+    rerank: rerankSchema,
+    contextWindow: contextWindowSchema,
+    // Lexical or claim-level scoring of the generated answers
+    evaluate: evaluateSchema,
+    // Retrieval metrics only, without generating and scoring answers
+    generateAnswers: Joi.boolean().default(true)
+});
+
+const runsSchema = Joi.object({
+    configurations: Joi.array().items(configurationSchema).min(1).max(10).required()
+});
+
+const compareSchema = Joi.object({
+    runs: Joi.string().pattern(/^[\w-]+(,[\w-]+)*$/).required()
+});
+
+const SET_FIELDS = `set { .id, .name, .description, .createdAt, questionCount: COUNT { (set)-[:HAS_QUESTION]->() }, runCount: COUNT { (set)<-[:RUN_OF]-() } }`;
+const RUN_FIELDS = `run { .id, .name, .configuration, .status, .jobId, .questionCount, .completed, .summary, .error, .createdAt, .startedAt, .finishedAt, setId: set.id, setName: set.name }`;
+
+// A run that hasn't finished also gets its job's progress; one cancelled before it started is
+// only known to the job queue
+function toRun(record) {
+    const run = toNative(record);
+    const job = ['queued', 'running'].includes(run.status) && run.jobId ? evaluationQueue.get(run.jobId) : null;
+    return {
+        ...run,
+        ...(job && run.status === 'queued' && evaluationQueue.isTerminal(job) && { status: job.status }),
+        ...(job && { progress: job.progress }),
+        configuration: run.configuration ? JSON.parse(run.configuration) : null,
+        summary: run.summary ? JSON.parse(run.summary) : null
+    };
+}
+
+function toResult(record) {
+    const result = toNative(record);
+    return {
+        ...result,
+        metrics: result.metrics ? JSON.parse(result.metrics) : {},
+        retrieved: result.retrieved ? JSON.parse(result.retrieved) : []
+    };
+}
+
+// Golden sets, newest first
+router.get('/sets', async (_req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (set:GoldenSet)
+             RETURN ${SET_FIELDS} AS set
+             ORDER BY set.createdAt DESC`
+        );
+        res.json({
+            sets: result.records.map(record => toNative(record.get('set'))),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Golden set list error:', err);
+        res.status(500).json({ error: 'Failed to list golden sets' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Upload a golden set
+router.post('/sets', async (req, res) => {
+    const body = Array.isArray(req.body) ? { name: req.query.name, questions: req.body } : req.body || {};
+    const { error, value } = goldenSetSchema.validate(body);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `CREATE (set:GoldenSet {id: $id, name: $name, description: $description, createdAt: datetime()})
+             WITH set
+             UNWIND range(0, size($questions) - 1) AS index
+             WITH set, index, $questions[index] AS question
+             CREATE (set)-[:HAS_QUESTION]->(:GoldenQuestion {
+               id: $id + '_q' + toString(index),
+               index: index,
+               question: question.question,
+               expectedAnswer: question.expectedAnswer,
+               expectedDocuments: question.expectedDocuments,
+               expectedPages: question.expectedPages
+             })
+             WITH DISTINCT set
+             RETURN ${SET_FIELDS} AS set`,
+            {
+                id: `golden_${Date.now()}`,
+                name: value.name,
+                description: value.description || null,
+                questions: value.questions.map(question => ({
+                    ...question,
+                    expectedAnswer: question.expectedAnswer ?? null,
+                    expectedPages: question.expectedPages.map(page => neo4j.int(page))
+                }))
+            }
+        ));
+        res.status(201).json(toNative(result.records[0].get('set')));
+    } catch (err) {
+        logger.error('Golden set upload error:', err);
+        res.status(500).json({ error: 'Failed to save golden set' });
+    } finally {
+        await session.close();
+    }
+});
+
+// A golden set with its questions
+router.get('/sets/:id', async (req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (set:GoldenSet {id: $id})
+             OPTIONAL MATCH (set)-[:HAS_QUESTION]->(q:GoldenQuestion)
+             WITH set, q ORDER BY q.index
+             RETURN ${SET_FIELDS} AS set,
+                    [question IN collect(q { .index, .question, .expectedAnswer, .expectedDocuments, .expectedPages }) WHERE question.question IS NOT NULL] AS questions`,
+            { id: req.params.id }
+        );
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Golden set not found' });
+        }
+        const record = result.records[0];
+        res.json({
+            ...toNative(record.get('set')),
+            questions: toNative(record.get('questions'))
+        });
+    } catch (err) {
+        logger.error('Golden set detail error:', err);
+        res.status(500).json({ error: 'Failed to retrieve golden set' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Delete a golden set with its questions and runs, cancelling the runs that haven't finished
+router.delete('/sets/:id', async (req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `MATCH (set:GoldenSet {id: $id})
+             OPTIONAL MATCH (set)<-[:RUN_OF]-(run:EvaluationRun)
+             OPTIONAL MATCH (run)-[:HAS_RESULT]->(result:EvaluationResult)
+             OPTIONAL MATCH (set)-[:HAS_QUESTION]->(q:GoldenQuestion)
+             WITH set, collect(DISTINCT run) AS runs, collect(DISTINCT result) AS results, collect(DISTINCT q) AS questions
+             WITH set, runs, results, questions, [run IN runs WHERE run.jobId IS NOT NULL | run.jobId] AS jobIds
+             FOREACH (node IN results + runs + questions | DETACH DELETE node)
+             DETACH DELETE set
+             RETURN size(runs) AS runsDeleted, jobIds`,
+            { id: req.params.id }
+        ));
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Golden set not found' });
+        }
+        // Unfinished runs of the set stop
+        result.records[0].get('jobIds').forEach(jobId => evaluationQueue.cancel(jobId));
+        res.json({
+            message: 'Golden set deleted successfully',
+            id: req.params.id,
+            runsDeleted: toNative(result.records[0].get('runsDeleted'))
+        });
+    } catch (err) {
+        logger.error('Golden set delete error:', err);
+        res.status(500).json({ error: 'Failed to delete golden set' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Run a golden set under one or more named configurations, each as a background job
+router.post('/sets/:id/runs', async (req, res) => {
+    const { error, value } = runsSchema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = driver.session();
+    const runs = [];
+    try {
+        for (const [position, { name, ...configuration }] of value.configurations.entries()) {
+            const result = await session.executeWrite(tx => tx.run(
+                `MATCH (set:GoldenSet {id: $setId})
+                 WITH set, COUNT { (set)-[:HAS_QUESTION]->() } AS questionCount
+                 CREATE (run:EvaluationRun {
+                   id: $id,
+                   name: $name,
+                   configuration: $configuration,
+                   status: 'queued',
+                   questionCount: questionCount,
+                   completed: 0,
+                   createdAt: datetime()
+                 })-[:RUN_OF]->(set)
+                 RETURN run.id AS id`,
+                {
+                    setId: req.params.id,
+                    id: `run_${Date.now()}_${position}`,
+                    name,
+                    configuration: JSON.stringify(configuration)
+                }
+            ));
+            if (result.records.length === 0) {
+                return res.status(404).json({ error: 'Golden set not found' });
+            }
+            runs.push({ id: result.records[0].get('id'), name });
+        }
+
+        for (const run of runs) {
+            const job = evaluationQueue.enqueue(
+                'evaluation-run',
+                { runId: run.id, setId: req.params.id, name: run.name },
+                ({ signal, report }) => executeRun(run.id, { signal, report })
+            );
+            run.jobId = job.id;
+            run.statusUrl = `/jobs/${job.id}`;
+            run.eventsUrl = `/jobs/${job.id}/events`;
+            await session.executeWrite(tx => tx.run(
+                'MATCH (run:EvaluationRun {id: $id}) SET run.jobId = $jobId',
+                { id: run.id, jobId: job.id }
+            ));
+            logger.info(`Enqueued evaluation run ${run.id} (${run.name}) as job ${job.id}`);
+        }
+
+        res.status(202).json({
+            message: `Started ${runs.length} evaluation runs`,
+            runs,
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Evaluation run start error:', err);
+        res.status(500).json({ error: 'Failed to start evaluation runs', details: err.message });
+    } finally {
+        await session.close();
+    }
+});
+
+// Runs with their summaries, newest first, optionally of one golden set
+router.get('/runs', async (req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (run:EvaluationRun)-[:RUN_OF]->(set:GoldenSet)
+             WHERE $setId IS NULL OR set.id = $setId
+             RETURN ${RUN_FIELDS} AS run
+             ORDER BY run.createdAt DESC`,
+            { setId: req.query.setId ?? null }
+        );
+        res.json({
+            runs: result.records.map(record => toRun(record.get('run'))),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Evaluation run list error:', err);
+        res.status(500).json({ error: 'Failed to list evaluation runs' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Runs side by side: their summaries, and every question's metrics in each run. The runs must
+// be of the same golden set.
+router.get('/compare', async (req, res) => {
+    const { error, value } = compareSchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+    const runIds = [...new Set(value.runs.split(','))];
+
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `UNWIND $runIds AS runId
+             MATCH (run:EvaluationRun {id: runId})-[:RUN_OF]->(set:GoldenSet)
+             OPTIONAL MATCH (run)-[:HAS_RESULT]->(r:EvaluationResult)
+             WITH run, set, r ORDER BY r.index
+             RETURN ${RUN_FIELDS} AS run,
+                    [result IN collect(r { .index, .question, .metrics, .error }) WHERE result.question IS NOT NULL] AS results`,
+            { runIds }
+        );
+        if (result.records.length !== runIds.length) {
+            return res.status(404).json({ error: 'Evaluation run not found' });
+        }
+        const runs = result.records.map(record => ({ ...toRun(record.get('run')), results: record.get('results').map(toResult) }));
+        if (new Set(runs.map(run => run.setId)).size > 1) {
+            return res.status(400).json({ error: 'Only runs of the same golden set can be compared' });
+        }
+
+        const questions = new Map();
+        runs.forEach(run => run.results.forEach(({ index, question, metrics, error: questionError }) => {
+            if (!questions.has(index)) {
+                questions.set(index, { index, question, runs: {} });
+            }
+            questions.get(index).runs[run.id] = questionError ? { error: questionError } : metrics;
+        }));
+
+        res.json({
+            runs: runs.map(({ results, ...run }) => run),
+            questions: [...questions.values()].sort((a, b) => a.index - b.index),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Evaluation run comparison error:', err);
+        res.status(500).json({ error: 'Failed to compare evaluation runs' });
+    } finally {
+        await session.close();
+    }
+});
+
+// A run with the result of every question
+router.get('/runs/:id', async (req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (run:EvaluationRun {id: $id})-[:RUN_OF]->(set:GoldenSet)
+             OPTIONAL MATCH (run)-[:HAS_RESULT]->(r:EvaluationResult)
+             WITH run, set, r ORDER BY r.index
+             RETURN ${RUN_FIELDS} AS run,
+                    [result IN collect(r { .index, .question, .answer, .metrics, .retrieved, .unresolvedDocuments, .responseTime, .error }) WHERE result.question IS NOT NULL] AS results`,
+            { id: req.params.id }
+        );
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Evaluation run not found' });
+        }
+        const record = result.records[0];
+        res.json({
+            ...toRun(record.get('run')),
+            results: record.get('results').map(toResult)
+        });
+    } catch (err) {
+        logger.error('Evaluation run detail error:', err);
+        res.status(500).json({ error: 'Failed to retrieve evaluation run' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Delete a run and its results, cancelling it if it hasn't finished
+router.delete('/runs/:id', async (req, res) => {
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `MATCH (run:EvaluationRun {id: $id})
+             OPTIONAL MATCH (run)-[:HAS_RESULT]->(r:EvaluationResult)
+             WITH run, run.jobId AS jobId, collect(r) AS results
+             FOREACH (node IN results | DETACH DELETE node)
+             DETACH DELETE run
+             RETURN jobId`,
+            { id: req.params.id }
+        ));
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Evaluation run not found' });
+        }
+        const jobId = result.records[0].get('jobId');
+        if (jobId) {
+            evaluationQueue.cancel(jobId);
+        }
+        res.json({ message: 'Evaluation run deleted successfully', id: req.params.id });
+    } catch (err) {
+        logger.error('Evaluation run delete error:', err);
+        res.status(500).json({ error: 'Failed to delete evaluation run' });
+    } finally {
+        await session.close();
+    }
+});
+
+export default router;
@@ -0,0 +1,337 @@
+import express from 'express';
+import Joi from 'joi';
+import neo4j from 'neo4j-driver';
+import driver, { toNative } from '../neo4j.js';
+import logger from '../logger.js';
+
+const router = express.Router();
+
+export const RATINGS = ['up', 'down'];
+
+const queryIdSchema = Joi.string().pattern(/^[\w-]+$/).max(100).required();
+
+// Feedback on one answer, identified by the queryId of its response. Every source of the answer
+// is sent with `relevant` false when it was marked as not relevant.
+const feedbackSchema = Joi.object({
+    question: Joi.string().min(1).max(500).required(),
+    answer: Joi.string().max(20000).allow('').required(),
+    rating: Joi.string().valid(...RATINGS).allow(null).default(null),
+    comment: Joi.string().trim().max(2000).allow('').default(''),
+    sources: Joi.array().items(Joi.object({
+        chunkId: Joi.string().max(200).required(),
+        citation: Joi.number().integer().min(1).required(),
+        relevant: Joi.boolean().default(true)
+    })).max(50).default([])
+}).custom((value, helpers) => (
+    value.rating || value.comment || value.sources.some(source => !source.relevant)
+        ? value
+        : helpers.message('Feedback needs a rating, a comment or a source marked as not relevant')
+));
+
+const listSchema = Joi.object({
+    rating: Joi.string().valid(...RATINGS),
+    // Only feedback with a comment
+    commented: Joi.boolean().default(false),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const statsSchema = Joi.object({
+    days: Joi.number().integer().min(1).max(365).default(30),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Feedback with the sources marked as not relevant
+const FEEDBACK_FIELDS = `
+    f { .id, .queryId, .question, .answer, .rating, .comment, .createdAt, .updatedAt,
+        notRelevant: [(f)-[a:ABOUT]->(c:Chunk) WHERE a.relevant = false | c { chunkId: c.id, .docId, .chunkIndex, citation: a.citation }],
+        sourceCount: COUNT { (f)-[:ABOUT]->() } }`;
+
+export async function ensureFeedbackConstraint() {
+    const session = driver.session();
+    try {
+        await session.run(
+            `CREATE CONSTRAINT feedback_query_id IF NOT EXISTS
+             FOR (f:Feedback) REQUIRE f.queryId IS UNIQUE`
+        );
+    } catch (error) {
+        logger.warn(`Feedback constraint unavailable: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+}
+
+// Feedback saved before source snapshots existed gets one from its ABOUT relationships
+export async function snapshotFeedbackSources() {
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `MATCH (f:Feedback)
+             WHERE f.sourceChunkIds IS NULL
+             CALL {
+               WITH f
+               OPTIONAL MATCH (f)-[a:ABOUT]->(c:Chunk)
+               OPTIONAL MATCH (d:Document {id: c.docId})
+               WITH a, c, d ORDER BY a.citation
+               RETURN collect(c.id) AS chunkIds,
+                      collect(c.docId) AS docIds,
+                      collect(coalesce(d.title, c.docId)) AS titles,
+                      collect(a.relevant) AS relevant
+             }
+             SET f.sourceChunkIds = chunkIds,
+                 f.sourceDocIds = docIds,
+                 f.sourceTitles = titles,
+                 f.sourceRelevant = relevant
+             RETURN count(f) AS updated`
+        ));
+        const updated = toNative(result.records[0].get('updated'));
+        if (updated > 0) {
+            logger.info(`Snapshotted the sources of ${updated} feedback entries`);
+        }
+    } catch (error) {
+        logger.warn(`Feedback source snapshot failed: ${error.message}`);
+    } finally {
+        await session.close();
+    }
+}
+
+// The document of every source, for the snapshot kept on the Feedback node. Chunks deleted since
+// the answer keep the document recorded by earlier feedback on it; others are left out.
+async function snapshotSources(tx, queryId, sources) {
+    const found = await tx.run(
+        `MATCH (c:Chunk) WHERE c.id IN $chunkIds
+         OPTIONAL MATCH (d:Document {id: c.docId})
+         RETURN c.id AS chunkId, c.docId AS docId, coalesce(d.title, c.docId) AS title`,
+        { chunkIds: sources.map(source => source.chunkId) }
+    );
+    const previous = await tx.run(
+        `MATCH (f:Feedback {queryId: $queryId})
+         RETURN f.sourceChunkIds AS chunkIds, f.sourceDocIds AS docIds, f.sourceTitles AS titles`,
+        { queryId }
+    );
+
+    const documents = new Map();
+    if (previous.records.length > 0) {
+        const { chunkIds, docIds, titles } = previous.records[0].toObject();
+        (chunkIds ?? []).forEach((chunkId, index) => documents.set(chunkId, { docId: docIds[index], title: titles[index] }));
+    }
+    found.records.forEach(record => documents.set(record.get('chunkId'), { docId: record.get('docId'), title: record.get('title') }));
+
+    const snapshot = sources.filter(source => documents.has(source.chunkId));
+    return {
+        sourceChunkIds: snapshot.map(source => source.chunkId),
+        sourceDocIds: snapshot.map(source => documents.get(source.chunkId).docId),
+        sourceTitles: snapshot.map(source => documents.get(source.chunkId).title),
+        sourceRelevant: snapshot.map(source => source.relevant)
+    };
+}
+
+// The `days` dates up to today (UTC), oldest first
+function lastDays(days) {
+    const today = new Date();
+    return Array.from({ length: days }, (_, index) => {
+        const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - (days - 1 - index)));
+        return day.toISOString().slice(0, 10);
+    });
+}
+
+// Recent feedback, newest first
+router.get('/', async (req, res) => {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (f:Feedback)
+             WHERE ($rating IS NULL OR f.rating = $rating)
+               AND (NOT $commented OR f.comment IS NOT NULL)
+             WITH f ORDER BY f.updatedAt DESC LIMIT $limit
+             RETURN ${FEEDBACK_FIELDS} AS feedback`,
+            { rating: value.rating ?? null, commented: value.commented, limit: neo4j.int(value.limit) }
+        );
+        res.json({
+            feedback: result.records.map(record => toNative(record.get('feedback'))),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Feedback list error:', err);
+        res.status(500).json({ error: 'Failed to list feedback' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Satisfaction over the last `days`: totals, ratings per day and the documents whose sources
+// were most often in downvoted answers or marked as not relevant
+router.get('/stats', async (req, res) => {
+    const { error, value } = statsSchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = driver.session();
+    try {
+        const params = { days: neo4j.int(value.days), limit: neo4j.int(value.limit) };
+        const since = 'f.createdAt >= datetime({ date: date() - duration({ days: $days - 1 }) })';
+
+        const totals = await session.run(
+            `MATCH (f:Feedback)
+             WHERE ${since}
+             RETURN count(f) AS feedback,
+                    count(CASE WHEN f.rating = 'up' THEN 1 END) AS up,
+                    count(CASE WHEN f.rating = 'down' THEN 1 END) AS down,
+                    count(f.comment) AS comments,
+                    sum(size([relevant IN coalesce(f.sourceRelevant, []) WHERE NOT relevant])) AS notRelevant`,
+            params
+        );
+
+        const daily = await session.run(
+            `MATCH (f:Feedback)
+             WHERE ${since} AND f.rating IS NOT NULL
+             WITH toString(date(f.createdAt)) AS date, f.rating AS rating
+             RETURN date,
+                    count(CASE WHEN rating = 'up' THEN 1 END) AS up,
+                    count(CASE WHEN rating = 'down' THEN 1 END) AS down`,
+            params
+        );
+
+        // From the source snapshots, so deleted and replaced documents keep their history
+        const documents = await session.run(
+            `MATCH (f:Feedback)
+             WHERE ${since}
+             UNWIND range(0, size(coalesce(f.sourceDocIds, [])) - 1) AS source
+             WITH f, f.sourceDocIds[source] AS docId, f.sourceTitles[source] AS title, f.sourceRelevant[source] AS relevant
+             WITH docId,
+                  collect(title)[0] AS title,
+                  count(DISTINCT CASE WHEN f.rating = 'down' THEN f END) AS downvotes,
+                  count(DISTINCT CASE WHEN f.rating = 'up' THEN f END) AS upvotes,
+                  count(CASE WHEN NOT relevant THEN 1 END) AS notRelevant
+             WHERE downvotes + notRelevant > 0
+             OPTIONAL MATCH (d:Document {id: docId})
+             RETURN docId, coalesce(d.title, title) AS title, d IS NULL AS deleted, downvotes, upvotes, notRelevant
+             ORDER BY downvotes + notRelevant DESC, downvotes DESC, docId
+             LIMIT $limit`,
+            params
+        );
+
+        const counts = toNative(totals.records[0].toObject());
+        const byDate = new Map(daily.records.map(record => [record.get('date'), toNative(record.toObject())]));
+        const satisfaction = (up, down) => (up + down > 0 ? up / (up + down) : null);
+
+        res.json({
+            days: value.days,
+            totals: { ...counts, satisfaction: satisfaction(counts.up, counts.down) },
+            trend: lastDays(value.days).map(date => {
+                const { up = 0, down = 0 } = byDate.get(date) ?? {};
+                return { date, up, down, satisfaction: satisfaction(up, down) };
+            }),
+            documents: documents.records.map(record => toNative(record.toObject())),
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        logger.error('Feedback stats error:', err);
+        res.status(500).json({ error: 'Failed to retrieve feedback statistics' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Record or replace the feedback on an answer. The Feedback node keeps the question and answer
+// and a snapshot of every source's document, and is linked (ABOUT) to the chunks of every
+// source, with the not relevant marks, and (ON_QUERY) to the query's log entry.
+router.put('/:queryId', async (req, res) => {
+    const { error: idError, value: queryId } = queryIdSchema.validate(req.params.queryId);
+    if (idError) {
+        return res.status(400).json({ error: 'Invalid query id' });
+    }
+    const { error, value } = feedbackSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(async tx => {
+            const snapshot = await snapshotSources(tx, queryId, value.sources);
+            return tx.run(
+                `MERGE (f:Feedback {queryId: $queryId})
+                 ON CREATE SET f.id = $id, f.createdAt = datetime()
+                 SET f.question = $question,
+                     f.answer = $answer,
+                     f.rating = $rating,
+                     f.comment = $comment,
+                     f.sourceChunkIds = $sourceChunkIds,
+                     f.sourceDocIds = $sourceDocIds,
+                     f.sourceTitles = $sourceTitles,
+                     f.sourceRelevant = $sourceRelevant,
+                     f.updatedAt = datetime()
+                 WITH f
+                 CALL {
+                   WITH f
+                   MATCH (f)-[old:ABOUT]->()
+                   DELETE old
+                 }
+                 CALL {
+                   WITH f
+                   MATCH (q:QueryLog {id: f.queryId})
+                   MERGE (f)-[:ON_QUERY]->(q)
+                 }
+                 CALL {
+                   WITH f
+                   UNWIND $sources AS source
+                   MATCH (c:Chunk {id: source.chunkId})
+                   CREATE (f)-[:ABOUT {citation: source.citation, relevant: source.relevant}]->(c)
+                 }
+                 RETURN ${FEEDBACK_FIELDS} AS feedback`,
+                {
+                    queryId,
+                    id: `feedback_${Date.now()}`,
+                    question: value.question,
+                    answer: value.answer,
+                    rating: value.rating,
+                    comment: value.comment || null,
+                    sources: value.sources.map(source => ({ ...source, citation: neo4j.int(source.citation) })),
+                    ...snapshot
+                }
+            );
+        });
+        res.json(toNative(result.records[0].get('feedback')));
+    } catch (err) {
+        logger.error('Feedback save error:', err);
+        res.status(500).json({ error: 'Failed to save feedback' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Withdraw the feedback on an answer
+router.delete('/:queryId', async (req, res) => {
+    const { error: idError, value: queryId } = queryIdSchema.validate(req.params.queryId);
+    if (idError) {
+        return res.status(400).json({ error: 'Invalid query id' });
+    }
+
+    const session = driver.session();
+    try {
+        const result = await session.executeWrite(tx => tx.run(
+            `MATCH (f:Feedback {queryId: $queryId})
+             WITH f, f.rating AS rating
+             DETACH DELETE f
+             RETURN rating`,
+            { queryId }
+        ));
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Feedback not found' });
+        }
+        res.json({ message: 'Feedback deleted successfully', queryId });
+    } catch (err) {
+        logger.error('Feedback delete error:', err);
+        res.status(500).json({ error: 'Failed to delete feedback' });
+    } finally {
+        await session.close();
+    }
+});
+
+export default router;
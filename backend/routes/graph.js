@@ -0,0 +1,317 @@
+import express from 'express';
+import Joi from 'joi';
+import neo4j from 'neo4j-driver';
+import driver, { toNative } from '../neo4j.js';
+import logger from '../logger.js';
+
+const router = express.Router();
+
+// Bounded neighbourhoods of the stored graph for the graph explorer. Every endpoint returns
+//   { nodes: [{ id, kind, label, ... }], edges: [{ source, target, type, weight }], truncated }
+// where node ids are "<kind>:<id>" (kind is document, chunk or entity) and `truncated` tells
+// which limits cut the neighbourhood short. Only committed chunks are included.
+const limitsSchema = Joi.object({
+    chunks: Joi.number().integer().min(1).max(200).default(40),
+    entities: Joi.number().integer().min(1).max(200).default(60),
+    documents: Joi.number().integer().min(0).max(50).default(10)
+});
+
+const DOCUMENT_FIELDS = `{
+    .id, .title, .collection, .pageCount,
+    version: coalesce(d.version, 1),
+    isLatest: coalesce(d.isLatest, true)
+}`;
+const CHUNK_FIELDS = '{ .id, .docId, .chunkIndex, .pageStart, .pageEnd, .wordCount, .content }';
+const ENTITY_FIELDS = '{ .id, .name, .type }';
+
+// Nodes and edges collected once each, in the order they were added
+function createSubgraph() {
+    const nodes = new Map();
+    const edges = new Map();
+    const truncated = {};
+
+    return {
+        document(document) {
+            const id = `document:${document.id}`;
+            if (!nodes.has(id)) {
+                nodes.set(id, {
+                    id,
+                    kind: 'document',
+                    label: document.title || document.id,
+                    documentId: document.id,
+                    version: document.version,
+                    isLatest: document.isLatest,
+                    collection: document.collection ?? null,
+                    pageCount: document.pageCount ?? null
+                });
+            }
+            return id;
+        },
+        chunk(chunk) {
+            const id = `chunk:${chunk.id}`;
+            if (!nodes.has(id)) {
+                nodes.set(id, {
+                    id,
+                    kind: 'chunk',
+                    label: `#${chunk.chunkIndex + 1}`,
+                    chunkId: chunk.id,
+                    documentId: chunk.docId,
+                    chunkIndex: chunk.chunkIndex,
+                    pageStart: chunk.pageStart ?? null,
+                    pageEnd: chunk.pageEnd ?? null,
+                    wordCount: chunk.wordCount ?? null,
+                    content: chunk.content
+                });
+            }
+            return id;
+        },
+        entity(entity) {
+            const id = `entity:${entity.id}`;
+            if (!nodes.has(id)) {
+                nodes.set(id, { id, kind: 'entity', label: entity.name, entityId: entity.id, entityType: entity.type });
+            }
+            return id;
+        },
+        edge(source, target, type, weight = 1) {
+            edges.set(`${source}|${type}|${target}`, { source, target, type, weight });
+        },
+        truncate(limit, isTruncated) {
+            truncated[limit] = Boolean(truncated[limit] || isTruncated);
+        },
+        toJSON() {
+            return { nodes: [...nodes.values()], edges: [...edges.values()], truncated };
+        }
+    };
+}
+
+// Other latest documents whose chunks mention `entityIds`, most shared entities first. They are
+// linked straight to the entities, weighted by how many of their chunks mention each one.
+async function addMentioningDocuments(session, graph, entityIds, { excludeLineageId = null, limit }) {
+    if (limit === 0 || entityIds.length === 0) {
+        return;
+    }
+    const result = await session.run(
+        `UNWIND $entityIds AS entityId
+         MATCH (e:Entity {id: entityId})<-[:MENTIONS]-(c:Chunk)
+         MATCH (d:Document {id: c.docId})
+         WHERE coalesce(d.isLatest, true)
+           AND ($excludeLineageId IS NULL OR coalesce(d.lineageId, d.id) <> $excludeLineageId)
+         WITH d, e, count(c) AS chunks
+         WITH d, collect({ id: e.id, chunks: chunks }) AS shared
+         ORDER BY size(shared) DESC, d.uploadedAt DESC
+         LIMIT $limit
+         RETURN d ${DOCUMENT_FIELDS} AS document, shared`,
+        { entityIds, excludeLineageId, limit: neo4j.int(limit + 1) }
+    );
+    graph.truncate('documents', result.records.length > limit);
+    result.records.slice(0, limit).forEach(record => {
+        const documentId = graph.document(toNative(record.get('document')));
+        toNative(record.get('shared')).forEach(({ id, chunks }) => {
+            graph.edge(documentId, `entity:${id}`, 'MENTIONS', chunks);
+        });
+    });
+}
+
+// NEXT relationships between the given chunks
+async function addChunkSequence(session, graph, chunkIds) {
+    const result = await session.run(
+        `UNWIND $chunkIds AS chunkId
+         MATCH (:Chunk {id: chunkId})-[:NEXT]->(next:Chunk)
+         WHERE next.id IN $chunkIds
+         RETURN chunkId, next.id AS nextId`,
+        { chunkIds }
+    );
+    result.records.forEach(record => {
+        graph.edge(`chunk:${record.get('chunkId')}`, `chunk:${record.get('nextId')}`, 'NEXT');
+    });
+}
+
+// Entities mentioned by the given chunks, most mentioned first, linked to those chunks
+async function addChunkEntities(session, graph, chunkIds, limit) {
+    const result = await session.run(
+        `UNWIND $chunkIds AS chunkId
+         MATCH (c:Chunk {id: chunkId})-[m:MENTIONS]->(e:Entity)
+         WITH e, sum(m.count) AS mentions, collect({ chunkId: c.id, count: m.count }) AS mentionedBy
+         ORDER BY mentions DESC, e.name
+         LIMIT $limit
+         RETURN e ${ENTITY_FIELDS} AS entity, mentionedBy`,
+        { chunkIds, limit: neo4j.int(limit + 1) }
+    );
+    graph.truncate('entities', result.records.length > limit);
+    return result.records.slice(0, limit).map(record => {
+        const entity = toNative(record.get('entity'));
+        const entityNode = graph.entity(entity);
+        toNative(record.get('mentionedBy')).forEach(({ chunkId, count }) => {
+            graph.edge(`chunk:${chunkId}`, entityNode, 'MENTIONS', count);
+        });
+        return entity.id;
+    });
+}
+
+function parseLimits(req, res) {
+    const { error, value } = limitsSchema.validate(req.query);
+    if (error) {
+        res.status(400).json({ error: error.details[0].message });
+        return null;
+    }
+    return value;
+}
+
+// A document with its first chunks in reading order, the entities they mention and the other
+// documents that mention those entities
+router.get('/documents/:id', async (req, res) => {
+    const limits = parseLimits(req, res);
+    if (!limits) {
+        return;
+    }
+
+    const session = driver.session();
+    try {
+        const documentResult = await session.run(
+            `MATCH (d:Document {id: $id})
+             RETURN d ${DOCUMENT_FIELDS} AS document, coalesce(d.lineageId, d.id) AS lineageId`,
+            { id: req.params.id }
+        );
+        if (documentResult.records.length === 0) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+
+        const graph = createSubgraph();
+        const documentNode = graph.document(toNative(documentResult.records[0].get('document')));
+
+        const chunkResult = await session.run(
+            `MATCH (:Document {id: $id})-[:HAS_CHUNK]->(c:Chunk)
+             RETURN c ${CHUNK_FIELDS} AS chunk
+             ORDER BY c.chunkIndex
+             LIMIT $limit`,
+            { id: req.params.id, limit: neo4j.int(limits.chunks + 1) }
+        );
+        graph.truncate('chunks', chunkResult.records.length > limits.chunks);
+        const chunkIds = chunkResult.records.slice(0, limits.chunks).map(record => {
+            const chunk = toNative(record.get('chunk'));
+            graph.edge(documentNode, graph.chunk(chunk), 'HAS_CHUNK');
+            return chunk.id;
+        });
+        await addChunkSequence(session, graph, chunkIds);
+
+        const entityIds = await addChunkEntities(session, graph, chunkIds, limits.entities);
+        await addMentioningDocuments(session, graph, entityIds, {
+            excludeLineageId: documentResult.records[0].get('lineageId'),
+            limit: limits.documents
+        });
+
+        res.json({ root: documentNode, ...graph.toJSON(), timestamp: new Date().toISOString() });
+    } catch (err) {
+        logger.error('Document graph error:', err);
+        res.status(500).json({ error: 'Failed to load document graph' });
+    } finally {
+        await session.close();
+    }
+});
+
+// A chunk with its document, the chunks before and after it and the entities it mentions
+router.get('/chunks/:id', async (req, res) => {
+    const limits = parseLimits(req, res);
+    if (!limits) {
+        return;
+    }
+
+    const session = driver.session();
+    try {
+        const result = await session.run(
+            `MATCH (d:Document)-[:HAS_CHUNK]->(c:Chunk {id: $id})
+             OPTIONAL MATCH (c)-[:PREVIOUS]->(previous:Chunk)
+             OPTIONAL MATCH (c)-[:NEXT]->(next:Chunk)
+             RETURN c ${CHUNK_FIELDS} AS chunk, d ${DOCUMENT_FIELDS} AS document,
+                    previous ${CHUNK_FIELDS} AS previous, next ${CHUNK_FIELDS} AS next`,
+            { id: req.params.id }
+        );
+        if (result.records.length === 0) {
+            return res.status(404).json({ error: 'Chunk not found' });
+        }
+
+        const graph = createSubgraph();
+        const record = result.records[0];
+        const chunkNode = graph.chunk(toNative(record.get('chunk')));
+        const documentNode = graph.document(toNative(record.get('document')));
+        graph.edge(documentNode, chunkNode, 'HAS_CHUNK');
+        if (record.get('previous')) {
+            const previousNode = graph.chunk(toNative(record.get('previous')));
+            graph.edge(documentNode, previousNode, 'HAS_CHUNK');
+            graph.edge(previousNode, chunkNode, 'NEXT');
+        }
+        if (record.get('next')) {
+            const nextNode = graph.chunk(toNative(record.get('next')));
+            graph.edge(documentNode, nextNode, 'HAS_CHUNK');
+            graph.edge(chunkNode, nextNode, 'NEXT');
+        }
+        await addChunkEntities(session, graph, [req.params.id], limits.entities);
+
+        res.json({ root: chunkNode, ...graph.toJSON(), timestamp: new Date().toISOString() });
+    } catch (err) {
+        logger.error('Chunk graph error:', err);
+        res.status(500).json({ error: 'Failed to load chunk graph' });
+    } finally {
+        await session.close();
+    }
+});
+
+// An entity with the chunks of latest documents that mention it most, their documents and the
+// entities it co-occurs with most
+router.get('/entities/:id', async (req, res) => {
+    const limits = parseLimits(req, res);
+    if (!limits) {
+        return;
+    }
+
+    const session = driver.session();
+    try {
+        const entityResult = await session.run(
+            `MATCH (e:Entity {id: $id}) RETURN e ${ENTITY_FIELDS} AS entity`,
+            { id: req.params.id }
+        );
+        if (entityResult.records.length === 0) {
+            return res.status(404).json({ error: 'Entity not found' });
+        }
+
+        const graph = createSubgraph();
+        const entityNode = graph.entity(toNative(entityResult.records[0].get('entity')));
+
+        const chunkResult = await session.run(
+            `MATCH (:Entity {id: $id})<-[m:MENTIONS]-(c:Chunk)
+             MATCH (d:Document {id: c.docId})
+             WHERE coalesce(d.isLatest, true)
+             RETURN c ${CHUNK_FIELDS} AS chunk, d ${DOCUMENT_FIELDS} AS document, m.count AS mentions
+             ORDER BY mentions DESC, d.uploadedAt DESC, c.chunkIndex
+             LIMIT $limit`,
+            { id: req.params.id, limit: neo4j.int(limits.chunks + 1) }
+        );
+        graph.truncate('chunks', chunkResult.records.length > limits.chunks);
+        chunkResult.records.slice(0, limits.chunks).forEach(record => {
+            const chunkNode = graph.chunk(toNative(record.get('chunk')));
+            graph.edge(graph.document(toNative(record.get('document'))), chunkNode, 'HAS_CHUNK');
+            graph.edge(chunkNode, entityNode, 'MENTIONS', toNative(record.get('mentions')));
+        });
+
+        const relatedResult = await session.run(
+            `MATCH (e:Entity {id: $id})-[r:CO_OCCURS_WITH]-(other:Entity)
+             RETURN other ${ENTITY_FIELDS} AS entity, r.weight AS weight
+             ORDER BY weight DESC, other.name
+             LIMIT $limit`,
+            { id: req.params.id, limit: neo4j.int(limits.entities + 1) }
+        );
+        graph.truncate('entities', relatedResult.records.length > limits.entities);
+        relatedResult.records.slice(0, limits.entities).forEach(record => {
+            graph.edge(entityNode, graph.entity(toNative(record.get('entity'))), 'CO_OCCURS_WITH', toNative(record.get('weight')));
+        });
+
+        res.json({ root: entityNode, ...graph.toJSON(), timestamp: new Date().toISOString() });
+    } catch (err) {
+        logger.error('Entity graph error:', err);
+        res.status(500).json({ error: 'Failed to load entity graph' });
+    } finally {
+        await session.close();
+    }
+});
+
+export default router;
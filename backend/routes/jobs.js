@@ -0,0 +1,60 @@
+import express from 'express';
+import { queueOf } from '../ingestion/jobs.js';
+
+const router = express.Router();
+
+// Current status of a job, ingestion or evaluation run
+router.get('/:id', (req, res) => {
+    const job = queueOf(req.params.id)?.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+// Server-sent events: the current snapshot, then one event per update until the job finishes
+router.get('/:id/events', (req, res) => {
+    const queue = queueOf(req.params.id);
+    const job = queue?.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (snapshot) => {
+        res.write(`event: ${queue.isTerminal(snapshot) ? snapshot.status : 'progress'}\n`);
+        res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+        if (queue.isTerminal(snapshot)) {
+            cleanup();
+            res.end();
+        }
+    };
+
+    const eventName = `job:${job.id}`;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        queue.off(eventName, send);
+    };
+
+    queue.on(eventName, send);
+    req.on('close', cleanup);
+    send(job);
+});
+
+// Cancel a queued or running job
+router.post('/:id/cancel', (req, res) => {
+    const job = queueOf(req.params.id)?.cancel(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+export default router;
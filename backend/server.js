@@ -4,50 +4,64 @@ import cors from 'cors';
 import multer from 'multer';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import NodeCache from 'node-cache';
-import winston from 'winston';
 import Joi from 'joi';
-import natural from 'natural';
-import compromise from 'compromise';
-import pkg from 'ml-distance';
-const { cosine } = pkg;
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import driver from './neo4j.js';
+import driver, { toNative } from './neo4j.js';
+import logger from './logger.js';
+import cache from './cache.js';
+import provider from './providers/index.js';
+import { ensureVectorIndex } from './retrieval/vector.js';
+import { ensureFulltextIndex } from './retrieval/lexical.js';
+import { CHUNKING_STRATEGIES, resolveChunkingOptions } from './ingestion/chunking.js';
+import {
+    DEFAULT_DUPLICATE_POLICY,
+    DUPLICATE_POLICIES,
+    ensureContentHashIndex,
+    failInterruptedIngestions,
+    findDuplicate,
+    hashFile,
+    ingestPdf
+} from './ingestion/ingest.js';
+import { resolveNextVersion } from './ingestion/versions.js';
+import { ensureEntityConstraint } from './ingestion/entities.js';
+import { ensureChunkSequence } from './ingestion/sequence.js';
+import ingestionQueue from './ingestion/jobs.js';
+import {
+    buildAnswerPrompt,
+    contextWindowSchema,
+    createQueryId,
+    evaluateSchema,
+    filtersSchema,
+    fusionSchema,
+    graphSchema,
+    formatSources,
+    noResultsAnswer,
+    passageChunks,
+    queryCacheKey,
+    queryStrategySchema,
+    rerankSchema,
+    resolveQueryScope,
+    retrieveContext
+} from './query/pipeline.js';
+import { validateCitations } from './query/citations.js';
+import ragEvaluator from './query/evaluator.js';
+import ragMetrics from './query/metrics.js';
+import documentsRouter from './routes/documents.js';
+import jobsRouter from './routes/jobs.js';
+import conversationsRouter from './routes/conversations.js';
+import entitiesRouter from './routes/entities.js';
+import graphRouter from './routes/graph.js';
+import evaluationRouter from './routes/evaluation.js';
+import feedbackRouter, { ensureFeedbackConstraint, snapshotFeedbackSources } from './routes/feedback.js';
+import analyticsRouter from './routes/analytics.js';
+import { ensureQueryLogIndexes, pruneQueryLog } from './query/log.js';
+import { failInterruptedRuns } from './evaluation/harness.js';
 import fs from 'fs';
 import path from 'path';
-import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Initialize cache with 1 hour TTL
-const cache = new NodeCache({ stdTTL: 3600 });
-
-// Configure Winston logger
-const logger = winston.createLogger({
-    level: 'info',
-    format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-    ),
-    transports: [
-        new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-        new winston.transports.File({ filename: 'logs/combined.log' }),
-        new winston.transports.Console({
-            format: winston.format.combine(
-                winston.format.colorize(),
-                winston.format.simple()
-            )
-        })
-    ]
-});
-
-// Create logs directory if it doesn't exist
-if (!fs.existsSync('logs')) {
-    fs.mkdirSync('logs');
-}
-
 // Security middleware
 app.use(helmet());
 
@@ -67,16 +81,56 @@ app.use(cors({
 
 app.use(express.json({ limit: '10mb' }));
 
-// Google Generative AI setup
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const generationModel = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-const embeddingModel = genAI.getGenerativeModel({ model: 'text-embedding-004' });
+logger.info(`Using AI provider: ${provider.name} (embedding: ${provider.embeddingModel}, generation: ${provider.generationModel})`);
 
 // Validation schemas
 const querySchema = Joi.object({
     question: Joi.string().min(3).max(500).required(),
     includeMetadata: Joi.boolean().default(false),
-    maxResults: Joi.number().integer().min(1).max(20).default(5)
+    maxResults: Joi.number().integer().min(1).max(20).default(5),
+    // Query one version of a document instead of the latest version of every document
+    documentId: Joi.string().max(100),
+    version: Joi.number().integer().min(1),
+    filters: filtersSchema,
+    // How the question is transformed into what retrieval searches for
+    queryStrategy: queryStrategySchema,
+    // Also retrieve chunks linked to the question's entities in the knowledge graph
+    graph: graphSchema,
+    // Score fusion method and weights
+    fusion: fusionSchema,
+    // Reranking of the retrieved candidates before generation
+    rerank: rerankSchema,
+    // Neighbouring chunks sent to the model around every retrieved chunk
+    contextWindow: contextWindowSchema,
+    // Lexical or claim-level evaluation of the answer
+    evaluate: evaluateSchema
+}).with('version', 'documentId');
+
+// Chunking options arrive as multipart form fields; omitted values use the strategy's defaults
+const uploadSchema = Joi.object({
+    chunkStrategy: Joi.string().valid(...CHUNKING_STRATEGIES),
+    chunkSize: Joi.number().integer().min(20).max(10000),
+    chunkOverlap: Joi.number().integer().min(0),
+    onDuplicate: Joi.string().valid(...DUPLICATE_POLICIES).default(DEFAULT_DUPLICATE_POLICY),
+    // Id of any version of an existing document to upload this PDF as its next version
+    versionOf: Joi.string().max(100),
+    // Used by query filters; new versions inherit them from the previous version unless given
+    collection: Joi.string().trim().max(100),
+    tags: Joi.string().max(1000).allow('')
+}).custom((value, helpers) => {
+    const { onDuplicate, versionOf, collection, tags, ...chunking } = value;
+    const options = resolveChunkingOptions(chunking);
+    if (options.chunkOverlap >= options.chunkSize) {
+        return helpers.message('"chunkOverlap" must be smaller than "chunkSize"');
+    }
+    return {
+        onDuplicate,
+        versionOf,
+        collection,
+        // Comma-separated in the form
+        tags: tags === undefined ? undefined : [...new Set(tags.split(',').map(tag => tag.trim()).filter(Boolean))],
+        chunking: options
+    };
 });
 
 // Multer configuration
@@ -105,193 +159,6 @@ const upload = multer({
     }
 });
 
-// Helper function to chunk text
-function chunkText(text, chunkSize = 1000) {
-    const chunks = [];
-    for (let i = 0; i < text.length; i += chunkSize) {
-        chunks.push(text.substring(i, i + chunkSize));
-    }
-    return chunks;
-}
-
-// Enhanced cosine similarity with validation
-function cosineSimilarity(vec1, vec2) {
-    if (!vec1 || !vec2 || vec1.length !== vec2.length) {
-        return 0;
-    }
-
-    try {
-        return 1 - cosine(vec1, vec2);
-    } catch (error) {
-        // Fallback to manual calculation
-        const dotProduct = vec1.reduce((sum, val, i) => sum + val * vec2[i], 0);
-        const magnitude1 = Math.sqrt(vec1.reduce((sum, val) => sum + val * val, 0));
-        const magnitude2 = Math.sqrt(vec2.reduce((sum, val) => sum + val * val, 0));
-
-        if (magnitude1 === 0 || magnitude2 === 0) {
-            return 0;
-        }
-
-        return dotProduct / (magnitude1 * magnitude2);
-    }
-}
-
-// BM25 scoring function
-function calculateBM25Score(query, document, corpus) {
-    const tokenizer = new natural.WordTokenizer();
-    const queryTokens = tokenizer.tokenize(query.toLowerCase());
-    const docTokens = tokenizer.tokenize(document.toLowerCase());
-
-    const k1 = 1.2;
-    const b = 0.75;
-    const avgDocLength = corpus.reduce((sum, doc) => sum + doc.length, 0) / corpus.length;
-
-    let score = 0;
-
-    queryTokens.forEach(term => {
-        const termFreq = docTokens.filter(token => token === term).length;
-        const docFreq = corpus.filter(doc => doc.toLowerCase().includes(term)).length;
-
-        if (docFreq > 0) {
-            const idf = Math.log((corpus.length - docFreq + 0.5) / (docFreq + 0.5));
-            const tf = (termFreq * (k1 + 1)) / (termFreq + k1 * (1 - b + b * (docTokens.length / avgDocLength)));
-            score += idf * tf;
-        }
-    });
-
-    return score;
-}
-
-// JavaScript-native evaluation functions
-class RAGEvaluator {
-    constructor() {
-        this.tfidf = new natural.TfIdf();
-    }
-
-    // Calculate semantic similarity using compromise.js
-    calculateSemanticSimilarity(text1, text2) {
-        const doc1 = compromise(text1);
-        const doc2 = compromise(text2);
-
-        const terms1 = new Set(doc1.terms().out('array'));
-        const terms2 = new Set(doc2.terms().out('array'));
-
-        const intersection = new Set([...terms1].filter(term => terms2.has(term)));
-        const union = new Set([...terms1, ...terms2]);
-
-        return intersection.size / union.size; // Jaccard similarity
-    }
-
-    // Calculate answer relevance
-    calculateAnswerRelevance(question, answer) {
-        return this.calculateSemanticSimilarity(question, answer);
-    }
-
-    // Calculate context precision
-    calculateContextPrecision(retrievedChunks, relevantChunks) {
-        if (retrievedChunks.length === 0) return 0;
-
-        let relevant = 0;
-        retrievedChunks.forEach(chunk => {
-            if (relevantChunks.some(rel =>
-                this.calculateSemanticSimilarity(chunk.content, rel.content) > 0.5
-            )) {
-                relevant++;
-            }
-        });
-
-        return relevant / retrievedChunks.length;
-    }
-
-    // Calculate faithfulness
-    calculateFaithfulness(answer, context) {
-        const answerSentences = natural.SentenceTokenizer.tokenize(answer);
-        if (answerSentences.length === 0) return 1;
-
-        let faithfulSentences = 0;
-        answerSentences.forEach(sentence => {
-            if (this.calculateSemanticSimilarity(sentence, context) > 0.3) {
-                faithfulSentences++;
-            }
-        });
-
-        return faithfulSentences / answerSentences.length;
-    }
-
-    // Comprehensive evaluation
-    async evaluateRAGResponse(question, answer, retrievedChunks, relevantChunks = []) {
-        const context = retrievedChunks.map(chunk => chunk.content).join('\n');
-
-        return {
-            answerRelevance: this.calculateAnswerRelevance(question, answer),
-            contextPrecision: this.calculateContextPrecision(retrievedChunks, relevantChunks),
-            faithfulness: this.calculateFaithfulness(answer, context),
-            timestamp: new Date().toISOString()
-        };
-    }
-}
-
-// Query transformation functions
-async function generateMultipleQueries(originalQuery, numQueries = 3) {
-    const prompt = `Generate ${numQueries} different ways to ask the following question. Each query should capture different aspects or perspectives of the original question:
-
-Original Question: "${originalQuery}"
-
-Please provide ${numQueries} alternative queries, each on a new line:`;
-
-    try {
-        const response = await generationModel.generateContent(prompt);
-        const generatedText = response.response.text();
-        const queries = generatedText.split('\n')
-            .filter(line => line.trim())
-            .map(line => line.replace(/^\d+\.\s*/, '').trim())
-            .slice(0, numQueries);
-
-        return [originalQuery, ...queries];
-    } catch (error) {
-        logger.error('Error generating multiple queries:', error);
-        return [originalQuery];
-    }
-}
-
-// Performance monitoring
-class RAGMetrics {
-    constructor() {
-        this.metrics = {
-            totalQueries: 0,
-            averageResponseTime: 0,
-            cacheHitRate: 0,
-            errorRate: 0,
-            averageRetrievalAccuracy: 0
-        };
-    }
-
-    recordQuery(responseTime, cacheHit, error = false) {
-        this.metrics.totalQueries++;
-        this.metrics.averageResponseTime =
-            (this.metrics.averageResponseTime * (this.metrics.totalQueries - 1) + responseTime) / this.metrics.totalQueries;
-
-        if (cacheHit) {
-            this.metrics.cacheHitRate = (this.metrics.cacheHitRate * (this.metrics.totalQueries - 1) + 1) / this.metrics.totalQueries;
-        } else {
-            this.metrics.cacheHitRate = (this.metrics.cacheHitRate * (this.metrics.totalQueries - 1)) / this.metrics.totalQueries;
-        }
-
-        if (error) {
-            this.metrics.errorRate = (this.metrics.errorRate * (this.metrics.totalQueries - 1) + 1) / this.metrics.totalQueries;
-        } else {
-            this.metrics.errorRate = (this.metrics.errorRate * (this.metrics.totalQueries - 1)) / this.metrics.totalQueries;
-        }
-    }
-
-    getMetrics() {
-        return this.metrics;
-    }
-}
-
-const ragMetrics = new RAGMetrics();
-const ragEvaluator = new RAGEvaluator();
-
 // Enhanced health check endpoint
 app.get('/health', async (_req, res) => {
     const session = driver.session();
@@ -310,7 +177,7 @@ app.get('/health', async (_req, res) => {
 
         // Test embedding model
         try {
-            await embeddingModel.embedContent('Health check test');
+            await provider.embed('Health check test');
             logger.info('Embedding model test successful');
         } catch (error) {
             logger.error('Embedding model test failed:', error);
@@ -321,7 +188,7 @@ app.get('/health', async (_req, res) => {
 
         // Test generation model
         try {
-            await generationModel.generateContent('Health check test');
+            await provider.generate('Health check test');
             logger.info('Generation model test successful');
         } catch (error) {
             logger.error('Generation model test failed:', error);
@@ -333,8 +200,9 @@ app.get('/health', async (_req, res) => {
         res.json({
             status: overallStatus,
             neo4j: neo4jStatus,
-            geminiEmbedding: embeddingStatus,
-            geminiGeneration: generationStatus,
+            provider: provider.name,
+            embedding: embeddingStatus,
+            generation: generationStatus,
             cache: cache.getStats(),
             metrics: ragMetrics.getMetrics(),
             ...(errorMessage && { error: errorMessage }),
@@ -346,8 +214,9 @@ app.get('/health', async (_req, res) => {
         res.json({
             status: 'ERROR',
             neo4j: neo4jStatus,
-            geminiEmbedding: 'Unknown',
-            geminiGeneration: 'Unknown',
+            provider: provider.name,
+            embedding: 'Unknown',
+            generation: 'Unknown',
             error: err.message,
             timestamp: new Date().toISOString()
         });
@@ -356,10 +225,11 @@ app.get('/health', async (_req, res) => {
     }
 });
 
-// Enhanced PDF upload endpoint
+// PDF upload endpoint: validates the upload and enqueues an ingestion job.
+// Responds 202 with the job id; pass ?wait=true to block until ingestion finishes.
 app.post('/upload', upload.single('pdf'), async (req, res) => {
-    const startTime = Date.now();
-
+    // Once enqueued, the ingestion job deletes the uploaded file
+    let enqueued = false;
     try {
         logger.info('Processing PDF upload');
 
@@ -367,117 +237,160 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
             return res.status(400).json({ error: 'No PDF file provided' });
         }
 
-        // Read and process PDF
-        const pdfBuffer = fs.readFileSync(req.file.path);
-        const pdfUint8Array = new Uint8Array(pdfBuffer);
-        const loadingTask = pdfjsLib.getDocument({ data: pdfUint8Array });
-        const pdfDocument = await loadingTask.promise;
-        let text = '';
-
-        for (let i = 1; i <= pdfDocument.numPages; i++) {
-            const page = await pdfDocument.getPage(i);
-            const content = await page.getTextContent();
-            text += content.items.map(item => item.str).join(' ') + '\n';
+        const { error, value } = uploadSchema.validate(req.body);
+        if (error) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: error.details[0].message });
         }
 
-        logger.info('PDF text extracted successfully');
-
-        // Generate unique document ID
-        const docId = `doc_${Date.now()}`;
-        const chunks = chunkText(text, 1000);
-
-        logger.info(`Created ${chunks.length} chunks from PDF`);
+        const { onDuplicate, versionOf, chunking } = value;
+        const filePath = req.file.path;
+        const title = req.file.originalname;
+        const contentHash = await hashFile(filePath);
+
+        // The same file may still be waiting in the queue or mid-ingestion
+        const activeJob = ingestionQueue.findActive(job => job.payload.contentHash === contentHash);
+        if (activeJob) {
+            fs.unlinkSync(filePath);
+            return res.status(409).json({
+                error: 'This PDF is already being ingested',
+                duplicatePolicy: onDuplicate,
+                contentHash,
+                jobId: activeJob.id,
+                statusUrl: `/jobs/${activeJob.id}`,
+                eventsUrl: `/jobs/${activeJob.id}/events`
+            });
+        }
 
         const session = driver.session();
-
+        let existing;
+        let versioning = null;
         try {
-            // Create document node
-            await session.run(
-                'CREATE (d:Document {id: $id, title: $title, content: $content, uploadedAt: datetime(), processingTime: $processingTime})',
-                {
-                    id: docId,
-                    title: req.file.originalname,
-                    content: text,
-                    processingTime: Date.now() - startTime
-                }
-            );
+            existing = toNative(await findDuplicate(session, contentHash));
+            if (versionOf) {
+                versioning = await resolveNextVersion(session, versionOf);
+            }
+        } finally {
+            await session.close();
+        }
 
-            // Process chunks with both vector embeddings and BM25 preparation
-            const allChunks = [];
-
-            for (let i = 0; i < chunks.length; i++) {
-                const chunk = chunks[i];
-
-                try {
-                    logger.info(`Processing chunk ${i + 1}/${chunks.length}`);
-
-                    // Generate embedding
-                    const result = await embeddingModel.embedContent(chunk);
-                    const embedding = result.embedding.values;
-
-                    // Store chunk with embedding
-                    await session.run(
-                        `CREATE (c:Chunk {
-                          id: $chunkId,
-                          docId: $docId,
-                          content: $content,
-                          chunkIndex: $index,
-                          embedding: $embedding,
-                          wordCount: $wordCount,
-                          createdAt: datetime()
-                        })`,
-                        {
-                            chunkId: `${docId}_chunk_${i}`,
-                            docId: docId,
-                            content: chunk,
-                            index: i,
-                            embedding: embedding,
-                            wordCount: chunk.split(' ').length
-                        }
-                    );
-
-                    // Create relationship
-                    await session.run(
-                        `MATCH (d:Document {id: $docId})
-                         MATCH (c:Chunk {id: $chunkId})
-                         CREATE (d)-[:HAS_CHUNK]->(c)`,
-                        {
-                            docId: docId,
-                            chunkId: `${docId}_chunk_${i}`
-                        }
-                    );
-
-                    allChunks.push(chunk);
-
-                } catch (embeddingError) {
-                    logger.error(`Failed to process chunk ${i}:`, embeddingError);
-                }
+        if (versionOf) {
+            if (!versioning) {
+                fs.unlinkSync(filePath);
+                return res.status(404).json({ error: 'Document not found', details: `No document with id ${versionOf}` });
             }
 
-            // Cache the document chunks for BM25 retrieval
-            cache.set(`doc_chunks_${docId}`, allChunks);
+            // Two versions ingested at once would both claim the same version number
+            const activeVersionJob = ingestionQueue.findActive(job => job.payload.lineageId === versioning.lineageId);
+            if (activeVersionJob) {
+                fs.unlinkSync(filePath);
+                return res.status(409).json({
+                    error: 'Another version of this document is already being ingested',
+                    jobId: activeVersionJob.id,
+                    statusUrl: `/jobs/${activeVersionJob.id}`,
+                    eventsUrl: `/jobs/${activeVersionJob.id}/events`
+                });
+            }
+        }
 
-            logger.info('PDF processing completed successfully');
+        // An unchanged file can't become a new version, so "replace" only applies to plain uploads
+        if (existing && (onDuplicate !== 'replace' || versioning)) {
+            fs.unlinkSync(filePath);
+            logger.info(`Duplicate upload of ${title} matches ${existing.id} (policy: ${onDuplicate})`);
+
+            if (onDuplicate !== 'existing') {
+                return res.status(409).json({
+                    error: 'An identical PDF has already been ingested',
+                    details: `Matches document ${existing.id} (${existing.title})`,
+                    duplicatePolicy: onDuplicate,
+                    contentHash,
+                    existingDocument: existing
+                });
+            }
 
-            res.json({
-                message: 'PDF processed and stored successfully',
-                id: docId,
-                chunksProcessed: chunks.length,
-                processingTime: Date.now() - startTime,
+            return res.json({
+                message: 'An identical PDF has already been ingested; returning the existing document',
+                duplicate: true,
+                duplicatePolicy: onDuplicate,
+                contentHash,
+                id: existing.id,
+                existingDocument: existing,
                 timestamp: new Date().toISOString()
             });
-
-        } finally {
-            await session.close();
         }
 
-        // Clean up uploaded file
-        if (fs.existsSync(req.file.path)) {
-            fs.unlinkSync(req.file.path);
+        const replaces = existing ? existing.id : null;
+        const collection = value.collection ?? versioning?.collection ?? null;
+        const tags = value.tags ?? versioning?.tags ?? [];
+        const job = ingestionQueue.enqueue(
+            'ingest-pdf',
+            {
+                filename: title,
+                chunking,
+                contentHash,
+                replaces,
+                lineageId: versioning?.lineageId ?? null,
+                version: versioning?.version ?? null
+            },
+            ({ signal, report }) => ingestPdf({ filePath, title, chunking, contentHash, collection, tags, replaces, versioning, report, signal }),
+            // ingestPdf deletes the file once it runs; a job cancelled while queued never does
+            { onCancel: () => fs.unlinkSync(filePath) }
+        );
+        enqueued = true;
+
+        logger.info(`Enqueued ingestion job ${job.id} for ${title}`);
+
+        if (req.query.wait === 'true') {
+            const finished = await new Promise(resolve => {
+                const listener = (snapshot) => {
+                    if (ingestionQueue.isTerminal(snapshot)) {
+                        ingestionQueue.off(`job:${job.id}`, listener);
+                        resolve(snapshot);
+                    }
+                };
+                ingestionQueue.on(`job:${job.id}`, listener);
+            });
+
+            if (finished.status !== 'completed') {
+                return res.status(500).json({
+                    error: 'Failed to process PDF',
+                    details: finished.error || finished.status,
+                    jobId: job.id
+                });
+            }
+
+            return res.json({
+                message: 'PDF processed and stored successfully',
+                duplicate: Boolean(replaces),
+                duplicatePolicy: onDuplicate,
+                jobId: job.id,
+                ...finished.result,
+                timestamp: new Date().toISOString()
+            });
         }
 
+        res.status(202).json({
+            message: replaces
+                ? `PDF accepted for processing; it will replace document ${replaces}`
+                : 'PDF accepted for processing',
+            duplicate: Boolean(replaces),
+            duplicatePolicy: onDuplicate,
+            contentHash,
+            replaces,
+            versionOf: versioning?.previousId ?? null,
+            version: versioning?.version ?? 1,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`,
+            eventsUrl: `/jobs/${job.id}/events`,
+            timestamp: new Date().toISOString()
+        });
+
     } catch (err) {
         logger.error('PDF processing error:', err);
+        if (!enqueued && req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
         res.status(500).json({
             error: 'Failed to process PDF',
             details: err.message
@@ -488,7 +401,10 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
 // Enhanced query endpoint with hybrid retrieval
 app.post('/query', async (req, res) => {
     const startTime = Date.now();
+    const queryId = createQueryId();
     let cacheHit = false;
+    // What the query log records about this query (see query/log.js)
+    let logEntry = null;
 
     try {
         // Validate input
@@ -497,139 +413,80 @@ app.post('/query', async (req, res) => {
             return res.status(400).json({ error: error.details[0].message });
         }
 
-        const { question, includeMetadata, maxResults } = value;
+        const { question, includeMetadata, maxResults, filters, queryStrategy, graph, fusion, rerank, contextWindow, evaluate } = value;
 
         logger.info(`Processing query: ${question}`);
+        logEntry = { queryId, endpoint: 'query', question, stages: {} };
+
+        const scopedDocumentId = await resolveQueryScope(value);
+        if (scopedDocumentId === undefined) {
+            return res.status(404).json({ error: 'Document version not found', details: `Version ${value.version} of ${value.documentId}` });
+        }
 
         // Check cache first
-        const cacheKey = `query_${Buffer.from(question).toString('base64')}`;
+        const cacheKey = queryCacheKey(question, scopedDocumentId, { filters, queryStrategy, graph, fusion, rerank, contextWindow: contextWindow || null, evaluate });
         const cachedResult = cache.get(cacheKey);
 
         if (cachedResult) {
             cacheHit = true;
-            ragMetrics.recordQuery(Date.now() - startTime, true);
+            ragMetrics.recordQuery(Date.now() - startTime, true, false, {
+                ...logEntry,
+                resultCount: cachedResult.sources.length,
+                evaluation: cachedResult.evaluation
+            });
             logger.info('Returning cached result');
             return res.json({
                 ...cachedResult,
+                queryId,
                 cached: true,
                 responseTime: Date.now() - startTime
             });
         }
 
-        // Generate multiple query variations
-        const queryVariations = await generateMultipleQueries(question, 3);
-        logger.info(`Generated ${queryVariations.length} query variations`);
-
         const session = driver.session();
 
         try {
-            // Retrieve all chunks for hybrid search
-            const result = await session.run(
-                'MATCH (c:Chunk) WHERE c.embedding IS NOT NULL RETURN c'
-            );
+            const { topResults, retrievalInfo, timings } = await retrieveContext(session, { question, maxResults, scopedDocumentId, filters, queryStrategy, graph, fusion, rerank, contextWindow });
+
+            logEntry.stages = { ...timings };
 
-            if (result.records.length === 0) {
+            if (topResults.length === 0) {
+                ragMetrics.recordQuery(Date.now() - startTime, false, false, { ...logEntry, resultCount: 0 });
                 return res.json({
-                    answer: 'No documents have been uploaded yet. Please upload a PDF first.',
+                    queryId,
+                    answer: await noResultsAnswer(session, { scopedDocumentId, filters }),
+                    citations: { cited: [], invalid: [] },
                     sources: [],
-                    queryVariations: queryVariations,
+                    queryVariations: retrievalInfo.queryVariations,
                     responseTime: Date.now() - startTime
                 });
             }
 
-            // Collect all chunks with their data
-            const allChunks = result.records.map(record => {
-                const chunk = record.get('c').properties;
-                return {
-                    id: chunk.id,
-                    content: chunk.content,
-                    embedding: chunk.embedding,
-                    docId: chunk.docId,
-                    chunkIndex: chunk.chunkIndex
-                };
-            });
-
-            // Prepare corpus for BM25
-            const corpus = allChunks.map(chunk => chunk.content);
-
-            // Hybrid retrieval: combine vector and BM25 scores
-            const hybridResults = [];
-
-            for (const queryVariation of queryVariations) {
-                // Generate embedding for this query variation
-                const questionEmbedding = await embeddingModel.embedContent(queryVariation);
-                const queryVector = questionEmbedding.embedding.values;
-
-                // Calculate similarities for each chunk
-                for (const chunk of allChunks) {
-                    const vectorScore = cosineSimilarity(queryVector, chunk.embedding);
-                    const bm25Score = calculateBM25Score(queryVariation, chunk.content, corpus);
-
-                    // Combine scores (weighted hybrid)
-                    const hybridScore = (0.7 * vectorScore) + (0.3 * bm25Score);
-
-                    hybridResults.push({
-                        chunk: chunk,
-                        vectorScore: vectorScore,
-                        bm25Score: bm25Score,
-                        hybridScore: hybridScore,
-                        queryVariation: queryVariation
-                    });
-                }
-            }
-
-            // Sort by hybrid score and remove duplicates
-            const uniqueResults = new Map();
-            hybridResults.forEach(result => {
-                const key = result.chunk.id;
-                if (!uniqueResults.has(key) || uniqueResults.get(key).hybridScore < result.hybridScore) {
-                    uniqueResults.set(key, result);
-                }
-            });
-
-            const topResults = Array.from(uniqueResults.values())
-                .sort((a, b) => b.hybridScore - a.hybridScore)
-                .slice(0, maxResults);
-
-            logger.info(`Found ${topResults.length} relevant chunks using hybrid retrieval`);
-
-            // Prepare context for generation
-            const context = topResults
-                .map(item => item.chunk.content)
-                .join('\n\n');
-
-            // Generate response
-            const prompt = `Context: ${context}\n\nQuestion: ${question}\n\nPlease provide a comprehensive answer based on the context above. If the context doesn't contain enough information to answer the question, please say so.`;
-
-            const response = await generationModel.generateContent(prompt);
-
-            let generatedText;
-            try {
-                generatedText = response.response.text();
-            } catch (textError) {
-                generatedText = response.response.candidates[0].content.parts[0].text;
+            // Generate response; citation markers must refer to retrieved sources
+            let stageStart = Date.now();
+            const generatedText = await provider.generate(buildAnswerPrompt(question, topResults, retrievalInfo.queryTransformation));
+            const { answer, citations } = validateCitations(generatedText, topResults.length);
+            if (citations.invalid.length > 0) {
+                logger.warn(`Dropped citations to unknown sources: ${citations.invalid.join(', ')}`);
             }
+            logEntry.stages.generation = Date.now() - stageStart;
 
             // Evaluate the response
+            stageStart = Date.now();
             const evaluation = await ragEvaluator.evaluateRAGResponse(
                 question,
-                generatedText,
-                topResults.map(r => r.chunk)
+                answer,
+                passageChunks(topResults),
+                [],
+                evaluate
             );
+            logEntry.stages.evaluation = Date.now() - stageStart;
 
             const finalResult = {
-                answer: generatedText,
-                sources: topResults.map(item => ({
-                    content: item.chunk.content.substring(0, 200) + '...',
-                    vectorScore: item.vectorScore,
-                    bm25Score: item.bm25Score,
-                    hybridScore: item.hybridScore,
-                    docId: item.chunk.docId,
-                    chunkIndex: item.chunk.chunkIndex,
-                    ...(includeMetadata && { metadata: item.chunk })
-                })),
-                queryVariations: queryVariations,
-                retrievalMethod: 'hybrid',
+                answer,
+                citations,
+                sources: formatSources(topResults, includeMetadata),
+                ...retrievalInfo,
                 evaluation: evaluation,
                 responseTime: Date.now() - startTime,
                 timestamp: new Date().toISOString()
@@ -638,9 +495,9 @@ app.post('/query', async (req, res) => {
             // Cache the result
             cache.set(cacheKey, finalResult, 1800); // 30 minutes
 
-            ragMetrics.recordQuery(Date.now() - startTime, false);
+            ragMetrics.recordQuery(Date.now() - startTime, false, false, { ...logEntry, resultCount: topResults.length, evaluation });
 
-            res.json(finalResult);
+            res.json({ queryId, ...finalResult });
 
         } finally {
             await session.close();
@@ -648,7 +505,7 @@ app.post('/query', async (req, res) => {
 
     } catch (err) {
         logger.error('Query processing error:', err);
-        ragMetrics.recordQuery(Date.now() - startTime, cacheHit, true);
+        ragMetrics.recordQuery(Date.now() - startTime, cacheHit, true, logEntry && { ...logEntry, error: err.message });
         res.status(500).json({
             error: 'Failed to process query',
             details: err.message,
@@ -657,6 +514,166 @@ app.post('/query', async (req, res) => {
     }
 });
 
+// Streaming variant of /query over server-sent events. Same request body; the response is a
+// sequence of events:
+//   sources     { sources, queryVariations, retrievalMethod, ... } once retrieval is done
+//   token       { text } for every piece of the answer as it is generated
+//   evaluation  { evaluation } after the answer is complete
+//   done        { queryId, answer, citations, responseTime, cached } where answer is the
+//               streamed text with its citation markers validated
+//   error       { error, details } if anything fails after the stream has started
+// Closing the connection stops generation; a stopped answer is not cached.
+app.post('/query/stream', async (req, res) => {
+    const startTime = Date.now();
+    const { error, value } = querySchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { question, includeMetadata, maxResults, filters, queryStrategy, graph, fusion, rerank, contextWindow, evaluate } = value;
+    let scopedDocumentId;
+    try {
+        scopedDocumentId = await resolveQueryScope(value);
+    } catch (err) {
+        logger.error('Query scope error:', err);
+        return res.status(500).json({ error: 'Failed to process query', details: err.message });
+    }
+    if (scopedDocumentId === undefined) {
+        return res.status(404).json({ error: 'Document version not found', details: `Version ${value.version} of ${value.documentId}` });
+    }
+
+    logger.info(`Processing streaming query: ${question}`);
+    const queryId = createQueryId();
+    const logEntry = { queryId, endpoint: 'stream', question, stages: {} };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const send = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    const cacheKey = queryCacheKey(question, scopedDocumentId, { filters, queryStrategy, graph, fusion, rerank, contextWindow: contextWindow || null, evaluate });
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+        const { answer, citations, evaluation, ...rest } = cachedResult;
+        ragMetrics.recordQuery(Date.now() - startTime, true, false, { ...logEntry, resultCount: rest.sources.length, evaluation });
+        send('sources', rest);
+        send('token', { text: answer });
+        send('evaluation', { evaluation });
+        send('done', { queryId, answer, citations, cached: true, responseTime: Date.now() - startTime });
+        return res.end();
+    }
+
+    const session = driver.session();
+    try {
+        const { topResults, retrievalInfo, timings } = await retrieveContext(session, { question, maxResults, scopedDocumentId, filters, queryStrategy, graph, fusion, rerank, contextWindow });
+        logEntry.stages = { ...timings };
+        const sources = formatSources(topResults, includeMetadata);
+        send('sources', { sources, ...retrievalInfo });
+
+        if (topResults.length === 0) {
+            ragMetrics.recordQuery(Date.now() - startTime, false, false, { ...logEntry, resultCount: 0 });
+            const answer = await noResultsAnswer(session, { scopedDocumentId, filters });
+            send('token', { text: answer });
+            send('done', {
+                queryId,
+                answer,
+                citations: { cited: [], invalid: [] },
+                cached: false,
+                responseTime: Date.now() - startTime
+            });
+            return;
+        }
+
+        let streamed = '';
+        let stageStart = Date.now();
+        try {
+            for await (const text of provider.generateStream(buildAnswerPrompt(question, topResults, retrievalInfo.queryTransformation), { signal: controller.signal })) {
+                streamed += text;
+                send('token', { text });
+            }
+        } catch (err) {
+            if (!controller.signal.aborted) {
+                throw err;
+            }
+        }
+        logEntry.stages.generation = Date.now() - stageStart;
+
+        if (controller.signal.aborted) {
+            logger.info(`Streaming query stopped by the client after ${streamed.length} characters`);
+            ragMetrics.recordQuery(Date.now() - startTime, false, false, { ...logEntry, resultCount: topResults.length, stopped: true });
+            return;
+        }
+
+        const { answer, citations } = validateCitations(streamed, topResults.length);
+        if (citations.invalid.length > 0) {
+            logger.warn(`Dropped citations to unknown sources: ${citations.invalid.join(', ')}`);
+        }
+
+        stageStart = Date.now();
+        const evaluation = await ragEvaluator.evaluateRAGResponse(
+            question,
+            answer,
+            passageChunks(topResults),
+            [],
+            evaluate
+        );
+        logEntry.stages.evaluation = Date.now() - stageStart;
+        send('evaluation', { evaluation });
+
+        cache.set(cacheKey, {
+            answer,
+            citations,
+            sources,
+            ...retrievalInfo,
+            evaluation,
+            responseTime: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        }, 1800);
+        ragMetrics.recordQuery(Date.now() - startTime, false, false, { ...logEntry, resultCount: topResults.length, evaluation });
+
+        send('done', { queryId, answer, citations, cached: false, responseTime: Date.now() - startTime });
+    } catch (err) {
+        logger.error('Streaming query error:', err);
+        ragMetrics.recordQuery(Date.now() - startTime, false, true, { ...logEntry, error: err.message });
+        send('error', { error: 'Failed to process query', details: err.message });
+    } finally {
+        await session.close();
+        res.end();
+    }
+});
+
+// Document management endpoints
+app.use('/documents', documentsRouter);
+
+// Ingestion job status, progress stream and cancellation
+app.use('/jobs', jobsRouter);
+
+// Multi-turn conversations
+app.use('/conversations', conversationsRouter);
+
+// Extracted entities and their co-occurrence graph
+app.use('/entities', entitiesRouter);
+
+// Bounded subgraphs for the graph explorer
+app.use('/graph', graphRouter);
+
+// Golden sets and offline evaluation runs
+app.use('/evaluation', evaluationRouter);
+
+// Ratings, comments and not relevant marks on answers
+app.use('/feedback', feedbackRouter);
+
 // Analytics endpoint
 app.get('/analytics', async (_req, res) => {
     try {
@@ -687,6 +704,9 @@ app.get('/analytics', async (_req, res) => {
     }
 });
 
+// Time-series analytics over the persistent query log
+app.use('/analytics', analyticsRouter);
+
 // Clear cache endpoint
 app.post('/admin/clear-cache', async (_req, res) => {
     try {
@@ -709,6 +729,19 @@ app.use((error, req, res, next) => {
 });
 
 // Start server
+ensureVectorIndex(provider.dimensions).catch(err => logger.error('Vector index setup failed:', err));
+ensureFulltextIndex().catch(err => logger.error('Full-text index setup failed:', err));
+ensureContentHashIndex();
+ensureEntityConstraint();
+ensureChunkSequence();
+ensureFeedbackConstraint();
+snapshotFeedbackSources();
+ensureQueryLogIndexes();
+pruneQueryLog();
+setInterval(pruneQueryLog, 24 * 60 * 60 * 1000).unref();
+failInterruptedRuns();
+failInterruptedIngestions();
+
 app.listen(PORT, () => {
     logger.info(`🚀 Phase 5 PDF RAG Backend listening on http://localhost:${PORT}`);
     logger.info(`📊 Features: Hybrid Retrieval, Query Transformation, Monitoring, Security, Caching`);
@@ -3,6 +3,9 @@ import { BrowserRouter as Router, Routes, Route, NavLink } from 'react-router-do
 import Upload from './components/Upload';
 import Query from './components/Query';
 import Analytics from './components/Analytics';
+import Documents from './components/Documents';
+import Chat from './components/Chat';
+import GraphExplorer from './components/GraphExplorer';
 import './App.css';
 
 const App = () => {
@@ -58,6 +61,15 @@ const App = () => {
                         <NavLink to="/" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
                             Upload & Query
                         </NavLink>
+                        <NavLink to="/chat" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                            Chat
+                        </NavLink>
+                        <NavLink to="/documents" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                            Documents
+                        </NavLink>
+                        <NavLink to="/graph" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
+                            Graph
+                        </NavLink>
                         <NavLink to="/analytics" className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}>
                             Analytics
                         </NavLink>
@@ -73,11 +85,11 @@ const App = () => {
                         <div className={`status-item ${getStatusClass(healthStatus?.neo4j)}`}>
                             Neo4j: {healthStatus?.neo4j || 'Unknown'}
                         </div>
-                        <div className={`status-item ${getStatusClass(healthStatus?.geminiEmbedding)}`}>
-                            Gemini Embedding: {healthStatus?.geminiEmbedding || 'Unknown'}
+                        <div className={`status-item ${getStatusClass(healthStatus?.embedding)}`}>
+                            Embedding ({healthStatus?.provider || 'unknown'}): {healthStatus?.embedding || 'Unknown'}
                         </div>
-                        <div className={`status-item ${getStatusClass(healthStatus?.geminiGeneration)}`}>
-                            Gemini Generation: {healthStatus?.geminiGeneration || 'Unknown'}
+                        <div className={`status-item ${getStatusClass(healthStatus?.generation)}`}>
+                            Generation ({healthStatus?.provider || 'unknown'}): {healthStatus?.generation || 'Unknown'}
                         </div>
                         {healthStatus?.cache && (
                             <div className="status-item status-info">
@@ -120,6 +132,9 @@ const App = () => {
                             <Query />
                         </div>
                     } />
+                    <Route path="/chat" element={<Chat />} />
+                    <Route path="/documents" element={<Documents />} />
+                    <Route path="/graph" element={<GraphExplorer />} />
                     <Route path="/analytics" element={<Analytics />} />
                 </Routes>
             </div>
@@ -1,4 +1,4 @@
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useState, useContext, useCallback } from 'react';
 
 const AppContext = createContext();
 
@@ -20,6 +20,27 @@ const AppProvider = ({ children }) => {
         setUploadedDocuments(prev => [...prev, document]);
     };
 
+    // Replace the local list with what the backend has stored
+    const refreshDocuments = useCallback(async () => {
+        const response = await fetch('/documents');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        setUploadedDocuments(data.documents);
+        return data.documents;
+    }, []);
+
+    const deleteDocument = async (id) => {
+        const response = await fetch(`/documents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || `HTTP error! status: ${response.status}`);
+        }
+        setUploadedDocuments(prev => prev.filter(document => document.id !== id));
+        return response.json();
+    };
+
     const clearQueryResults = () => {
         setQueryResults([]);
     };
@@ -30,6 +51,8 @@ const AppProvider = ({ children }) => {
         uploadedDocuments,
         setUploadedDocuments,
         addDocument,
+        refreshDocuments,
+        deleteDocument,
         queryResults,
         setQueryResults,
         clearQueryResults,
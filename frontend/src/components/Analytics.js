@@ -1,10 +1,48 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import Evaluation from './Evaluation';
+import Feedback from './Feedback';
+
+const RANGES = [
+    { value: '1h', label: 'Last hour' },
+    { value: '24h', label: 'Last 24 hours' },
+    { value: '7d', label: 'Last 7 days' },
+    { value: '30d', label: 'Last 30 days' },
+    { value: '90d', label: 'Last 90 days' }
+];
+
+const STAGE_LABELS = {
+    rewrite: 'Rewrite',
+    transform: 'Transform',
+    retrieval: 'Retrieval',
+    rerank: 'Rerank',
+    context: 'Context',
+    subQuestions: 'Sub-questions',
+    generation: 'Generation',
+    evaluation: 'Evaluation'
+};
+
+const percentOf = value => (typeof value === 'number' ? value * 100 : null);
+
+const formatMs = value => (typeof value === 'number' ? `${value.toFixed(0)}ms` : '—');
+
+const formatPercent = value => (typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : '—');
+
+// Axis label of a bucket start: the time for minute and hour buckets, the date for days
+const formatBucket = (start, bucket) => {
+    const date = new Date(start);
+    return bucket === 'day'
+        ? date.toLocaleDateString()
+        : date.toLocaleString([], { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
 
 const Analytics = () => {
     const [analytics, setAnalytics] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [range, setRange] = useState('24h');
+    const [trends, setTrends] = useState(null);
+    const [trendsError, setTrendsError] = useState(null);
 
     useEffect(() => {
         fetchAnalytics();
@@ -12,6 +50,26 @@ const Analytics = () => {
         return () => clearInterval(interval);
     }, []);
 
+    const fetchTrends = useCallback(async () => {
+        try {
+            const response = await fetch(`/analytics/queries?range=${range}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            setTrends(await response.json());
+            setTrendsError(null);
+        } catch (error) {
+            console.error('Query analytics error:', error);
+            setTrendsError(error.message);
+        }
+    }, [range]);
+
+    useEffect(() => {
+        fetchTrends();
+        const interval = setInterval(fetchTrends, 30000);
+        return () => clearInterval(interval);
+    }, [fetchTrends]);
+
     const fetchAnalytics = async () => {
         try {
             const response = await fetch('/analytics');
@@ -92,16 +150,22 @@ const Analytics = () => {
                     <h3>⚡ Performance Metrics</h3>
                     <div className="stats-grid">
                         <div className="stat-item">
-                            <strong>Total Queries:</strong> {analytics.metrics.totalQueries}
+                            <strong>Queries:</strong> {trends ? trends.totals.queries : '—'}
                         </div>
                         <div className="stat-item">
-                            <strong>Average Response Time:</strong> {analytics.metrics.averageResponseTime?.toFixed(2)}ms
+                            <strong>Average Response Time:</strong> {formatMs(trends?.totals.latency.avg)}
                         </div>
                         <div className="stat-item">
-                            <strong>Cache Hit Rate:</strong> {(analytics.metrics.cacheHitRate * 100).toFixed(1)}%
+                            <strong>p95 Response Time:</strong> {formatMs(trends?.totals.latency.p95)}
                         </div>
                         <div className="stat-item">
-                            <strong>Error Rate:</strong> {(analytics.metrics.errorRate * 100).toFixed(1)}%
+                            <strong>Cache Hit Rate:</strong> {formatPercent(trends?.totals.cacheHitRate)}
+                        </div>
+                        <div className="stat-item">
+                            <strong>Error Rate:</strong> {formatPercent(trends?.totals.errorRate)}
+                        </div>
+                        <div className="stat-item">
+                            <strong>Since Restart:</strong> {analytics.metrics.totalQueries} queries
                         </div>
                     </div>
                 </div>
@@ -130,24 +194,122 @@ const Analytics = () => {
             </div>
 
             <div className="charts-section">
-                <div className="chart-container">
-                    <h3>📈 Performance Overview</h3>
-                    <ResponsiveContainer width="100%" height={300}>
-                        <BarChart data={[
-                            { name: 'Response Time', value: analytics.metrics.averageResponseTime },
-                            { name: 'Cache Hit Rate', value: analytics.metrics.cacheHitRate * 100 },
-                            { name: 'Error Rate', value: analytics.metrics.errorRate * 100 }
-                        ]}>
-                            <CartesianGrid strokeDasharray="3 3" />
-                            <XAxis dataKey="name" />
-                            <YAxis />
-                            <Tooltip />
-                            <Bar dataKey="value" fill="#8884d8" />
-                        </BarChart>
-                    </ResponsiveContainer>
+                <div className="charts-header">
+                    <h3>📈 Query Trends</h3>
+                    <label className="option-label">
+                        Range:
+                        <select value={range} onChange={(e) => setRange(e.target.value)} className="results-select">
+                            {RANGES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                        </select>
+                    </label>
                 </div>
+
+                {trendsError && <div className="error">Error loading query trends: {trendsError}</div>}
+
+                {trends && (
+                    <div className="charts-grid">
+                        <div className="chart-container">
+                            <h4>Latency</h4>
+                            <ResponsiveContainer width="100%" height={250}>
+                                <LineChart data={trends.buckets.map(point => ({
+                                    name: formatBucket(point.start, trends.bucket),
+                                    p50: point.latency.p50,
+                                    p95: point.latency.p95,
+                                    p99: point.latency.p99
+                                }))}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" minTickGap={20} />
+                                    <YAxis unit="ms" />
+                                    <Tooltip formatter={formatMs} />
+                                    <Legend />
+                                    <Line dataKey="p50" name="p50" stroke="#82ca9d" dot={false} connectNulls />
+                                    <Line dataKey="p95" name="p95" stroke="#8884d8" dot={false} connectNulls />
+                                    <Line dataKey="p99" name="p99" stroke="#ff7f50" dot={false} connectNulls />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+
+                        <div className="chart-container">
+                            <h4>Volume</h4>
+                            <ResponsiveContainer width="100%" height={250}>
+                                <BarChart data={trends.buckets.map(point => ({
+                                    name: formatBucket(point.start, trends.bucket),
+                                    answered: point.queries - point.errors,
+                                    errors: point.errors
+                                }))}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" minTickGap={20} />
+                                    <YAxis allowDecimals={false} />
+                                    <Tooltip />
+                                    <Legend />
+                                    <Bar dataKey="answered" name="Answered" stackId="queries" fill="#8884d8" />
+                                    <Bar dataKey="errors" name="Errors" stackId="queries" fill="#ff7f50" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+
+                        <div className="chart-container">
+                            <h4>Error and Cache Hit Rate</h4>
+                            <ResponsiveContainer width="100%" height={250}>
+                                <LineChart data={trends.buckets.map(point => ({
+                                    name: formatBucket(point.start, trends.bucket),
+                                    errorRate: percentOf(point.errorRate),
+                                    cacheHitRate: percentOf(point.cacheHitRate)
+                                }))}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" minTickGap={20} />
+                                    <YAxis domain={[0, 100]} unit="%" />
+                                    <Tooltip formatter={(value) => (typeof value === 'number' ? `${value.toFixed(1)}%` : '—')} />
+                                    <Legend />
+                                    <Line dataKey="errorRate" name="Error rate" stroke="#ff7f50" dot={false} connectNulls />
+                                    <Line dataKey="cacheHitRate" name="Cache hit rate" stroke="#82ca9d" dot={false} connectNulls />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+
+                        <div className="chart-container">
+                            <h4>Answer Quality</h4>
+                            <ResponsiveContainer width="100%" height={250}>
+                                <LineChart data={trends.buckets.map(point => ({
+                                    name: formatBucket(point.start, trends.bucket),
+                                    answerRelevance: percentOf(point.answerRelevance),
+                                    faithfulness: percentOf(point.faithfulness)
+                                }))}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" minTickGap={20} />
+                                    <YAxis domain={[0, 100]} unit="%" />
+                                    <Tooltip formatter={(value) => (typeof value === 'number' ? `${value.toFixed(1)}%` : '—')} />
+                                    <Legend />
+                                    <Line dataKey="answerRelevance" name="Answer relevance" stroke="#8884d8" dot={false} connectNulls />
+                                    <Line dataKey="faithfulness" name="Faithfulness" stroke="#82ca9d" dot={false} connectNulls />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+
+                        <div className="chart-container">
+                            <h4>Latency by Stage</h4>
+                            <ResponsiveContainer width="100%" height={250}>
+                                <BarChart data={Object.entries(trends.totals.stages)
+                                    .filter(([, stage]) => stage.avg !== null)
+                                    .map(([key, stage]) => ({ name: STAGE_LABELS[key] || key, avg: stage.avg, p95: stage.p95 }))}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" />
+                                    <YAxis unit="ms" />
+                                    <Tooltip formatter={formatMs} />
+                                    <Legend />
+                                    <Bar dataKey="avg" name="Average" fill="#8884d8" />
+                                    <Bar dataKey="p95" name="p95" fill="#ffc658" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </div>
+                )}
             </div>
 
+            <Feedback />
+
+            <Evaluation />
+
             <div className="system-info">
                 <h3>🔧 System Information</h3>
                 <div className="info-grid">
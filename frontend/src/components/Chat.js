@@ -0,0 +1,219 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { formatPages } from './Query';
+
+const Chat = () => {
+    const [conversations, setConversations] = useState([]);
+    const [activeId, setActiveId] = useState(null);
+    const [turns, setTurns] = useState([]);
+    const [question, setQuestion] = useState('');
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState(null);
+    const messagesEndRef = useRef(null);
+
+    const loadConversations = useCallback(async () => {
+        const response = await fetch('/conversations');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        setConversations(data.conversations);
+    }, []);
+
+    useEffect(() => {
+        loadConversations().catch(error => {
+            console.error('Conversations error:', error);
+            setError(error.message);
+        });
+    }, [loadConversations]);
+
+    useEffect(() => {
+        messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }, [turns, sending]);
+
+    const openConversation = async (id) => {
+        setError(null);
+        try {
+            const response = await fetch(`/conversations/${encodeURIComponent(id)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const conversation = await response.json();
+            setActiveId(conversation.id);
+            setTurns(conversation.turns);
+        } catch (error) {
+            console.error('Conversation error:', error);
+            setError(error.message);
+        }
+    };
+
+    const newConversation = () => {
+        setActiveId(null);
+        setTurns([]);
+        setError(null);
+    };
+
+    const deleteConversation = async (conversation) => {
+        if (!window.confirm(`Delete "${conversation.title}"?`)) return;
+
+        try {
+            const response = await fetch(`/conversations/${encodeURIComponent(conversation.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            setConversations(prev => prev.filter(item => item.id !== conversation.id));
+            if (activeId === conversation.id) newConversation();
+        } catch (error) {
+            console.error('Conversation delete error:', error);
+            setError(error.message);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (question.trim().length < 3) return;
+
+        setSending(true);
+        setError(null);
+
+        try {
+            // The first question starts a new conversation
+            let conversationId = activeId;
+            if (!conversationId) {
+                const response = await fetch('/conversations', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({})
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                conversationId = (await response.json()).id;
+                setActiveId(conversationId);
+            }
+
+            const response = await fetch(`/conversations/${encodeURIComponent(conversationId)}/turns`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ question })
+            });
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.details || body.error || `HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            setTurns(prev => [...prev, data.turn]);
+            setQuestion('');
+            await loadConversations();
+        } catch (error) {
+            console.error('Chat error:', error);
+            setError(error.message);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="chat-section">
+            <h2>💬 Conversations</h2>
+
+            <div className="chat-layout">
+                <aside className="chat-sidebar">
+                    <button onClick={newConversation} className="query-button new-conversation-button">
+                        + New conversation
+                    </button>
+                    {conversations.length === 0 ? (
+                        <p className="empty-state">No conversations yet.</p>
+                    ) : (
+                        <ul className="conversation-list">
+                            {conversations.map(conversation => (
+                                <li
+                                    key={conversation.id}
+                                    className={`conversation-item ${conversation.id === activeId ? 'active' : ''}`}
+                                >
+                                    <button className="link-button" onClick={() => openConversation(conversation.id)}>
+                                        {conversation.title}
+                                    </button>
+                                    <span className="conversation-meta">
+                                        {conversation.turnCount} turns · {conversation.updatedAt ? new Date(conversation.updatedAt).toLocaleString() : '—'}
+                                    </span>
+                                    <button
+                                        className="conversation-delete"
+                                        onClick={() => deleteConversation(conversation)}
+                                        title="Delete conversation"
+                                    >
+                                        ×
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </aside>
+
+                <div className="chat-main">
+                    <div className="chat-messages">
+                        {turns.length === 0 && !sending && (
+                            <p className="empty-state">Ask a question to start. Follow-up questions can refer to earlier answers.</p>
+                        )}
+
+                        {turns.map(turn => (
+                            <div key={turn.id} className="chat-turn">
+                                <div className="chat-bubble user">{turn.question}</div>
+                                {turn.rewrite !== 'none' && turn.standaloneQuestion !== turn.question && (
+                                    <div className="chat-rewrite">Searched for: {turn.standaloneQuestion}</div>
+                                )}
+                                <div className="chat-bubble assistant">
+                                    <p>{turn.answer}</p>
+                                    {turn.sources.length > 0 && (
+                                        <details className="chat-sources">
+                                            <summary>{turn.sources.length} sources</summary>
+                                            <ul>
+                                                {turn.sources.map((source, index) => (
+                                                    <li key={index}>
+                                                        [{source.citation ?? index + 1}] <strong>{source.docId}</strong> · chunk {source.chunkIndex}
+                                                        {formatPages(source) && ` · ${formatPages(source)}`}
+                                                        <div className="source-content">{source.content}</div>
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        </details>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+
+                        {sending && <div className="loading">Thinking...</div>}
+                        <div ref={messagesEndRef} />
+                    </div>
+
+                    {error && (
+                        <div className="error">
+                            Error: {error}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleSubmit} className="query-input-group chat-input-form">
+                        <input
+                            type="text"
+                            value={question}
+                            onChange={(e) => setQuestion(e.target.value)}
+                            placeholder={activeId ? 'Ask a follow-up question...' : 'Ask a question about your documents...'}
+                            className="query-input"
+                            disabled={sending}
+                        />
+                        <button
+                            type="submit"
+                            disabled={sending || question.trim().length < 3}
+                            className="query-button"
+                        >
+                            {sending ? 'Sending...' : 'Send'}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default Chat;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAppContext } from '../AppContext';
+
+const Documents = () => {
+    const { uploadedDocuments, setUploadedDocuments, refreshDocuments, deleteDocument } = useAppContext();
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [versions, setVersions] = useState([]);
+    const [deleting, setDeleting] = useState(null);
+    const [metadata, setMetadata] = useState({ collection: '', tags: '' });
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        refreshDocuments()
+            .catch(error => {
+                console.error('Documents error:', error);
+                setError(error.message);
+            })
+            .finally(() => setLoading(false));
+    }, [refreshDocuments]);
+
+    const showDetails = async (id) => {
+        if (selected?.id === id) {
+            setSelected(null);
+            return;
+        }
+
+        try {
+            const [detailResponse, versionsResponse] = await Promise.all([
+                fetch(`/documents/${encodeURIComponent(id)}`),
+                fetch(`/documents/${encodeURIComponent(id)}/versions`)
+            ]);
+            if (!detailResponse.ok) {
+                throw new Error(`HTTP error! status: ${detailResponse.status}`);
+            }
+            const detail = await detailResponse.json();
+            setSelected(detail);
+            setMetadata({ collection: detail.collection || '', tags: (detail.tags || []).join(', ') });
+            setVersions(versionsResponse.ok ? (await versionsResponse.json()).versions : []);
+        } catch (error) {
+            console.error('Document detail error:', error);
+            setError(error.message);
+        }
+    };
+
+    const saveMetadata = async (e) => {
+        e.preventDefault();
+
+        setSaving(true);
+        try {
+            const response = await fetch(`/documents/${encodeURIComponent(selected.id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    collection: metadata.collection.trim() || null,
+                    tags: [...new Set(metadata.tags.split(',').map(tag => tag.trim()).filter(Boolean))]
+                })
+            });
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `HTTP error! status: ${response.status}`);
+            }
+            const updated = await response.json();
+            setSelected(prev => ({ ...prev, ...updated }));
+            // Collection and tags are shared by every version of the document
+            setUploadedDocuments(prev => prev.map(document =>
+                document.lineageId === updated.lineageId
+                    ? { ...document, collection: updated.collection, tags: updated.tags }
+                    : document
+            ));
+        } catch (error) {
+            console.error('Document update error:', error);
+            setError(error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (document) => {
+        if (!window.confirm(`Delete "${document.title}" and all of its chunks?`)) return;
+
+        setDeleting(document.id);
+        try {
+            await deleteDocument(document.id);
+            if (selected?.id === document.id) setSelected(null);
+            // The previous version, if any, becomes the latest
+            if (document.versionCount > 1) await refreshDocuments();
+        } catch (error) {
+            console.error('Document delete error:', error);
+            setError(error.message);
+        } finally {
+            setDeleting(null);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="documents-section">
+                <div className="loading">Loading documents...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="documents-section">
+            <h2>📚 Document Library</h2>
+
+            {error && (
+                <div className="error">
+                    Error: {error}
+                </div>
+            )}
+
+            {uploadedDocuments.length === 0 ? (
+                <p className="empty-state">No documents have been uploaded yet.</p>
+            ) : (
+                <table className="documents-table">
+                    <thead>
+                        <tr>
+                            <th>Title</th>
+                            <th>Status</th>
+                            <th>Version</th>
+                            <th>Collection</th>
+                            <th>Uploaded</th>
+                            <th>Pages</th>
+                            <th>Chunks</th>
+                            <th>Chunking</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {uploadedDocuments.map(document => (
+                            <React.Fragment key={document.id}>
+                                <tr>
+                                    <td>
+                                        <button className="link-button" onClick={() => showDetails(document.id)}>
+                                            {document.title}
+                                        </button>
+                                    </td>
+                                    <td>
+                                        <span className={`document-status ${document.status || 'complete'}`}>
+                                            {document.status || 'complete'}
+                                        </span>
+                                    </td>
+                                    <td>v{document.version ?? 1}{document.versionCount > 1 ? ` of ${document.versionCount}` : ''}</td>
+                                    <td>
+                                        {document.collection || '—'}
+                                        {document.tags?.map(tag => (
+                                            <span key={tag} className="document-tag">{tag}</span>
+                                        ))}
+                                    </td>
+                                    <td>{document.uploadedAt ? new Date(document.uploadedAt).toLocaleString() : '—'}</td>
+                                    <td>{document.pageCount ?? '—'}</td>
+                                    <td>{document.chunkCount}</td>
+                                    <td>{document.chunkStrategy || '—'}</td>
+                                    <td>
+                                        <button
+                                            className="delete-button"
+                                            onClick={() => handleDelete(document)}
+                                            disabled={deleting === document.id || document.status === 'ingesting'}
+                                            title={document.status === 'ingesting' ? 'Cancel the upload to discard a document that is still ingesting' : undefined}
+                                        >
+                                            {deleting === document.id ? 'Deleting...' : 'Delete'}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {selected?.id === document.id && (
+                                    <tr className="document-details">
+                                        <td colSpan={9}>
+                                            <div className="stats-grid">
+                                                <div className="stat-item"><strong>ID:</strong> {selected.id}</div>
+                                                <div className="stat-item"><strong>Chunks:</strong> {selected.chunkCount}</div>
+                                                <div className="stat-item"><strong>Words:</strong> {selected.wordCount}</div>
+                                                <div className="stat-item"><strong>Characters:</strong> {selected.contentLength}</div>
+                                                <div className="stat-item"><strong>Entities:</strong> {selected.entityCount ?? '—'}</div>
+                                                <div className="stat-item"><strong>Processing Time:</strong> {selected.processingTime ?? '—'}ms</div>
+                                                {selected.failedChunks?.length > 0 && (
+                                                    <div className="stat-item"><strong>Failed Chunks:</strong> {selected.failedChunks.join(', ')}</div>
+                                                )}
+                                                {selected.error && (
+                                                    <div className="stat-item"><strong>Error:</strong> {selected.error}</div>
+                                                )}
+                                                <div className="stat-item"><strong>Embedding Model:</strong> {selected.embeddingModel || '—'}</div>
+                                                <div className="stat-item">
+                                                    <strong>Chunking:</strong> {selected.chunkStrategy
+                                                        ? `${selected.chunkStrategy} (size ${selected.chunkSize}, overlap ${selected.chunkOverlap})`
+                                                        : '—'}
+                                                </div>
+                                            </div>
+                                            <form onSubmit={saveMetadata} className="document-metadata-form">
+                                                <label className="option-label">
+                                                    Collection:
+                                                    <input
+                                                        type="text"
+                                                        value={metadata.collection}
+                                                        onChange={(e) => setMetadata(prev => ({ ...prev, collection: e.target.value }))}
+                                                        placeholder="none"
+                                                        className="option-input wide"
+                                                    />
+                                                </label>
+                                                <label className="option-label">
+                                                    Tags:
+                                                    <input
+                                                        type="text"
+                                                        value={metadata.tags}
+                                                        onChange={(e) => setMetadata(prev => ({ ...prev, tags: e.target.value }))}
+                                                        placeholder="comma-separated"
+                                                        className="option-input wide"
+                                                    />
+                                                </label>
+                                                <button type="submit" className="query-button" disabled={saving}>
+                                                    {saving ? 'Saving...' : 'Save'}
+                                                </button>
+                                                <Link to={`/graph?document=${encodeURIComponent(selected.id)}`} className="link-button">
+                                                    View in graph
+                                                </Link>
+                                            </form>
+                                            {versions.length > 1 && (
+                                                <div className="version-history">
+                                                    <h4>Version History</h4>
+                                                    <ul>
+                                                        {versions.map(version => (
+                                                            <li key={version.id}>
+                                                                <strong>v{version.version}</strong>
+                                                                {' '}{version.uploadedAt ? new Date(version.uploadedAt).toLocaleString() : '—'}
+                                                                {' · '}{version.status || 'complete'}
+                                                                {version.chunksReused > 0 && ` · ${version.chunksReused}/${version.chunksStored} embeddings reused`}
+                                                                {version.isLatest && <span className="version-latest">latest</span>}
+                                                                <span className="version-id">{version.id}</span>
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                </div>
+                                            )}
+                                        </td>
+                                    </tr>
+                                )}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default Documents;
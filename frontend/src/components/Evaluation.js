@@ -0,0 +1,450 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const METRICS = [
+    { key: 'recallAtK', label: 'Recall@k' },
+    { key: 'reciprocalRank', label: 'MRR' },
+    { key: 'precisionAtK', label: 'Precision@k' },
+    { key: 'hitAtK', label: 'Hit rate' },
+    { key: 'answerSimilarity', label: 'Answer F1' },
+    { key: 'answerRelevance', label: 'Answer relevance' },
+    { key: 'faithfulness', label: 'Faithfulness' },
+    { key: 'contextPrecision', label: 'Context precision' }
+];
+
+const RUN_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff7f50', '#8dd1e1', '#a4de6c'];
+
+const EMPTY_CONFIGURATION = {
+    name: '',
+    maxResults: 5,
+    queryStrategy: '',
+    fusion: '',
+    rerank: '',
+    graphHops: '',
+    contextWindow: '',
+    evaluate: '',
+    generateAnswers: true
+};
+
+const percent = value => (typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : '—');
+
+const isActive = run => run.status === 'queued' || run.status === 'running';
+
+async function request(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `HTTP error! status: ${response.status}`);
+    }
+    return body;
+}
+
+const Evaluation = () => {
+    const [sets, setSets] = useState([]);
+    const [setId, setSetId] = useState('');
+    const [runs, setRuns] = useState([]);
+    const [selectedRuns, setSelectedRuns] = useState([]);
+    const [comparison, setComparison] = useState(null);
+    const [configuration, setConfiguration] = useState(EMPTY_CONFIGURATION);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchSets = useCallback(async () => {
+        const { sets } = await request('/evaluation/sets');
+        setSets(sets);
+        setSetId(current => (sets.some(set => set.id === current) ? current : sets[0]?.id || ''));
+    }, []);
+
+    const fetchRuns = useCallback(async () => {
+        if (!setId) {
+            setRuns([]);
+            return;
+        }
+        const { runs } = await request(`/evaluation/runs?setId=${encodeURIComponent(setId)}`);
+        setRuns(runs);
+    }, [setId]);
+
+    useEffect(() => {
+        fetchSets().catch(error => setError(error.message));
+    }, [fetchSets]);
+
+    useEffect(() => {
+        setSelectedRuns([]);
+        setComparison(null);
+        fetchRuns().catch(error => setError(error.message));
+    }, [fetchRuns]);
+
+    // Follow unfinished runs
+    const hasActiveRuns = runs.some(isActive);
+    useEffect(() => {
+        if (!hasActiveRuns) return undefined;
+        const interval = setInterval(() => fetchRuns().catch(error => setError(error.message)), 3000);
+        return () => clearInterval(interval);
+    }, [hasActiveRuns, fetchRuns]);
+
+    // A golden set file is { name, description, questions } or a bare array of questions
+    const uploadSet = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setBusy(true);
+        setError(null);
+        try {
+            const content = JSON.parse(await file.text());
+            const name = file.name.replace(/\.json$/i, '');
+            const created = await request(
+                Array.isArray(content) ? `/evaluation/sets?name=${encodeURIComponent(name)}` : '/evaluation/sets',
+                {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(Array.isArray(content) ? content : { name, ...content })
+                }
+            );
+            await fetchSets();
+            setSetId(created.id);
+        } catch (error) {
+            console.error('Golden set upload error:', error);
+            setError(error.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const deleteSet = async () => {
+        const set = sets.find(candidate => candidate.id === setId);
+        if (!set || !window.confirm(`Delete the golden set "${set.name}" and all of its runs?`)) return;
+
+        try {
+            await request(`/evaluation/sets/${encodeURIComponent(set.id)}`, { method: 'DELETE' });
+            await fetchSets();
+        } catch (error) {
+            setError(error.message);
+        }
+    };
+
+    const startRun = async (e) => {
+        e.preventDefault();
+
+        setBusy(true);
+        setError(null);
+        try {
+            const { name, maxResults, queryStrategy, fusion, rerank, graphHops, contextWindow, evaluate, generateAnswers } = configuration;
+            await request(`/evaluation/sets/${encodeURIComponent(setId)}/runs`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    configurations: [{
+                        name: name.trim(),
+                        maxResults: Number(maxResults),
+                        generateAnswers,
+                        ...(queryStrategy !== '' && { queryStrategy }),
+                        ...(fusion !== '' && { fusion }),
+                        ...(rerank !== '' && { rerank }),
+                        ...(graphHops !== '' && { graph: { hops: Number(graphHops) } }),
+                        ...(contextWindow !== '' && { contextWindow: Number(contextWindow) }),
+                        ...(evaluate !== '' && { evaluate: evaluate === 'judge' ? { mode: 'claims', judge: true } : evaluate })
+                    }]
+                })
+            });
+            setConfiguration(prev => ({ ...prev, name: '' }));
+            await fetchRuns();
+        } catch (error) {
+            console.error('Evaluation run error:', error);
+            setError(error.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const deleteRun = async (run) => {
+        if (!window.confirm(`Delete the run "${run.name}"${isActive(run) ? ' and stop it' : ''}?`)) return;
+
+        try {
+            await request(`/evaluation/runs/${encodeURIComponent(run.id)}`, { method: 'DELETE' });
+            setSelectedRuns(prev => prev.filter(id => id !== run.id));
+            setComparison(null);
+            await fetchRuns();
+        } catch (error) {
+            setError(error.message);
+        }
+    };
+
+    const toggleRun = (id) => {
+        setSelectedRuns(prev => (prev.includes(id) ? prev.filter(runId => runId !== id) : [...prev, id]));
+    };
+
+    const compare = async () => {
+        try {
+            setComparison(await request(`/evaluation/compare?runs=${selectedRuns.map(encodeURIComponent).join(',')}`));
+        } catch (error) {
+            setError(error.message);
+        }
+    };
+
+    const updateConfiguration = (field) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setConfiguration(prev => ({ ...prev, [field]: value }));
+    };
+
+    // Metrics with a value in any compared run, and the best value of each
+    const comparedMetrics = comparison
+        ? METRICS.filter(metric => comparison.runs.some(run => typeof run.summary?.[metric.key] === 'number'))
+        : [];
+    const best = Object.fromEntries(comparedMetrics.map(metric => [
+        metric.key,
+        Math.max(...comparison.runs.map(run => run.summary?.[metric.key] ?? -1))
+    ]));
+
+    return (
+        <div className="evaluation-panel">
+            <h3>🧪 Offline Evaluation</h3>
+
+            {error && <div className="error">Error: {error}</div>}
+
+            <div className="evaluation-controls">
+                <label className="option-label">
+                    Golden set:
+                    <select value={setId} onChange={(e) => setSetId(e.target.value)} className="results-select">
+                        {sets.length === 0 && <option value="">No golden sets</option>}
+                        {sets.map(set => (
+                            <option key={set.id} value={set.id}>
+                                {set.name} ({set.questionCount} questions)
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="link-button evaluation-upload">
+                    Upload golden set (JSON)
+                    <input type="file" accept=".json,application/json" onChange={uploadSet} disabled={busy} hidden />
+                </label>
+                {setId && (
+                    <button type="button" className="link-button" onClick={deleteSet}>
+                        Delete set
+                    </button>
+                )}
+            </div>
+
+            {setId && (
+                <form onSubmit={startRun} className="evaluation-controls">
+                    <input
+                        type="text"
+                        value={configuration.name}
+                        onChange={updateConfiguration('name')}
+                        placeholder="Configuration name"
+                        maxLength={100}
+                        required
+                        className="evaluation-name"
+                    />
+                    <label className="option-label">
+                        k:
+                        <select value={configuration.maxResults} onChange={updateConfiguration('maxResults')} className="results-select">
+                            {[3, 5, 10, 20].map(k => <option key={k} value={k}>{k}</option>)}
+                        </select>
+                    </label>
+                    <label className="option-label">
+                        Query:
+                        <select value={configuration.queryStrategy} onChange={updateConfiguration('queryStrategy')} className="results-select">
+                            <option value="">Default</option>
+                            <option value="multi">Paraphrases</option>
+                            <option value="hyde">HyDE</option>
+                            <option value="step-back">Step-back</option>
+                            <option value="decompose">Sub-questions</option>
+                            <option value="none">Question only</option>
+                        </select>
+                    </label>
+                    <label className="option-label">
+                        Fusion:
+                        <select value={configuration.fusion} onChange={updateConfiguration('fusion')} className="results-select">
+                            <option value="">Default</option>
+                            <option value="weighted">Weighted</option>
+                            <option value="rrf">RRF</option>
+                            <option value="vector">Vector only</option>
+                            <option value="lexical">Lexical only</option>
+                        </select>
+                    </label>
+                    <label className="option-label">
+                        Rerank:
+                        <select value={configuration.rerank} onChange={updateConfiguration('rerank')} className="results-select">
+                            <option value="">Default</option>
+                            <option value="none">None</option>
+                            <option value="mmr">MMR</option>
+                            <option value="llm">AI relevance</option>
+                        </select>
+                    </label>
+                    <label className="option-label">
+                        Graph:
+                        <select value={configuration.graphHops} onChange={updateConfiguration('graphHops')} className="results-select">
+                            <option value="">Off</option>
+                            <option value="1">1 hop</option>
+                            <option value="2">2 hops</option>
+                        </select>
+                    </label>
+                    <label className="option-label">
+                        Context window:
+                        <select value={configuration.contextWindow} onChange={updateConfiguration('contextWindow')} className="results-select">
+                            <option value="">Default</option>
+                            <option value="0">Off</option>
+                            <option value="1">±1</option>
+                            <option value="2">±2</option>
+                        </select>
+                    </label>
+                    <label className="option-label">
+                        Scoring:
+                        <select
+                            value={configuration.evaluate}
+                            onChange={updateConfiguration('evaluate')}
+                            className="results-select"
+                            disabled={!configuration.generateAnswers}
+                        >
+                            <option value="">Default</option>
+                            <option value="lexical">Word overlap</option>
+                            <option value="claims">Claims</option>
+                            <option value="judge">Claims + AI judge</option>
+                        </select>
+                    </label>
+                    <label className="option-label">
+                        <input type="checkbox" checked={configuration.generateAnswers} onChange={updateConfiguration('generateAnswers')} />
+                        Generate answers
+                    </label>
+                    <button type="submit" className="query-button" disabled={busy || !configuration.name.trim()}>
+                        Run
+                    </button>
+                </form>
+            )}
+
+            {runs.length > 0 && (
+                <table className="documents-table evaluation-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Run</th>
+                            <th>Status</th>
+                            {METRICS.slice(0, 5).map(metric => <th key={metric.key}>{metric.label}</th>)}
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {runs.map(run => (
+                            <tr key={run.id}>
+                                <td>
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedRuns.includes(run.id)}
+                                        onChange={() => toggleRun(run.id)}
+                                        disabled={isActive(run)}
+                                    />
+                                </td>
+                                <td title={JSON.stringify(run.configuration)}>
+                                    {run.name}
+                                    <div className="evaluation-date">{new Date(run.createdAt).toLocaleString()}</div>
+                                </td>
+                                <td title={run.error || undefined}>
+                                    <span className={`document-status ${run.status}`}>{run.status}</span>
+                                    {isActive(run) && ` ${run.completed}/${run.questionCount}`}
+                                </td>
+                                {METRICS.slice(0, 5).map(metric => (
+                                    <td key={metric.key}>{percent(run.summary?.[metric.key])}</td>
+                                ))}
+                                <td>
+                                    <button type="button" className="delete-button" onClick={() => deleteRun(run)}>
+                                        Delete
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {runs.length > 0 && (
+                <button type="button" className="query-button" onClick={compare} disabled={selectedRuns.length === 0}>
+                    Compare selected ({selectedRuns.length})
+                </button>
+            )}
+
+            {comparison && (
+                <div className="evaluation-comparison">
+                    <table className="documents-table evaluation-table">
+                        <thead>
+                            <tr>
+                                <th>Metric</th>
+                                {comparison.runs.map(run => <th key={run.id}>{run.name}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {comparedMetrics.map(metric => (
+                                <tr key={metric.key}>
+                                    <td>{metric.label}</td>
+                                    {comparison.runs.map(run => (
+                                        <td
+                                            key={run.id}
+                                            className={comparison.runs.length > 1 && run.summary?.[metric.key] === best[metric.key] ? 'evaluation-best' : undefined}
+                                        >
+                                            {percent(run.summary?.[metric.key])}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                            <tr>
+                                <td>Average response time</td>
+                                {comparison.runs.map(run => (
+                                    <td key={run.id}>
+                                        {run.summary?.averageResponseTime != null ? `${run.summary.averageResponseTime.toFixed(0)}ms` : '—'}
+                                    </td>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+
+                    <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={comparedMetrics.map(metric => ({
+                            name: metric.label,
+                            ...Object.fromEntries(comparison.runs.map(run => [run.id, (run.summary?.[metric.key] ?? 0) * 100]))
+                        }))}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="name" />
+                            <YAxis domain={[0, 100]} />
+                            <Tooltip formatter={(value) => `${value.toFixed(1)}%`} />
+                            <Legend />
+                            {comparison.runs.map((run, index) => (
+                                <Bar key={run.id} dataKey={run.id} name={run.name} fill={RUN_COLORS[index % RUN_COLORS.length]} />
+                            ))}
+                        </BarChart>
+                    </ResponsiveContainer>
+
+                    <h4>Per question (recall@k / reciprocal rank / answer F1)</h4>
+                    <table className="documents-table evaluation-table">
+                        <thead>
+                            <tr>
+                                <th>Question</th>
+                                {comparison.runs.map(run => <th key={run.id}>{run.name}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {comparison.questions.map(question => (
+                                <tr key={question.index}>
+                                    <td>{question.question}</td>
+                                    {comparison.runs.map(run => {
+                                        const metrics = question.runs[run.id];
+                                        return (
+                                            <td key={run.id}>
+                                                {!metrics ? '—' : metrics.error ? (
+                                                    <span className="evaluation-error" title={metrics.error}>Failed</span>
+                                                ) : (
+                                                    `${percent(metrics.recallAtK)} / ${percent(metrics.reciprocalRank)} / ${percent(metrics.answerSimilarity)}`
+                                                )}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Evaluation;
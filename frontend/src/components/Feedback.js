@@ -0,0 +1,146 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const RANGES = [7, 30, 90];
+
+const percent = value => (typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : '—');
+
+async function request(url) {
+    const response = await fetch(url);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `HTTP error! status: ${response.status}`);
+    }
+    return body;
+}
+
+const Feedback = () => {
+    const [days, setDays] = useState(30);
+    const [stats, setStats] = useState(null);
+    const [comments, setComments] = useState([]);
+    const [error, setError] = useState(null);
+
+    const fetchFeedback = useCallback(async () => {
+        try {
+            const [statsData, commentData] = await Promise.all([
+                request(`/feedback/stats?days=${days}`),
+                request('/feedback?commented=true&limit=10')
+            ]);
+            setStats(statsData);
+            setComments(commentData.feedback);
+            setError(null);
+        } catch (error) {
+            console.error('Feedback analytics error:', error);
+            setError(error.message);
+        }
+    }, [days]);
+
+    useEffect(() => {
+        fetchFeedback();
+        const interval = setInterval(fetchFeedback, 30000);
+        return () => clearInterval(interval);
+    }, [fetchFeedback]);
+
+    return (
+        <div className="feedback-panel">
+            <div className="feedback-panel-header">
+                <h3>👍 User Feedback</h3>
+                <label className="option-label">
+                    Range:
+                    <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="results-select">
+                        {RANGES.map(range => <option key={range} value={range}>Last {range} days</option>)}
+                    </select>
+                </label>
+            </div>
+
+            {error && <div className="error">Error: {error}</div>}
+
+            {stats && (
+                <>
+                    <div className="stats-grid">
+                        <div className="stat-item">
+                            <strong>Satisfaction:</strong> {percent(stats.totals.satisfaction)}
+                        </div>
+                        <div className="stat-item">
+                            <strong>Helpful:</strong> {stats.totals.up}
+                        </div>
+                        <div className="stat-item">
+                            <strong>Unhelpful:</strong> {stats.totals.down}
+                        </div>
+                        <div className="stat-item">
+                            <strong>Comments:</strong> {stats.totals.comments}
+                        </div>
+                        <div className="stat-item">
+                            <strong>Sources marked not relevant:</strong> {stats.totals.notRelevant}
+                        </div>
+                    </div>
+
+                    <ResponsiveContainer width="100%" height={300}>
+                        <ComposedChart data={stats.trend.map(day => ({
+                            ...day,
+                            satisfaction: day.satisfaction !== null ? day.satisfaction * 100 : null
+                        }))}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="date" />
+                            <YAxis yAxisId="ratings" allowDecimals={false} />
+                            <YAxis yAxisId="satisfaction" orientation="right" domain={[0, 100]} unit="%" />
+                            <Tooltip formatter={(value, name) => (name === 'Satisfaction' && typeof value === 'number' ? `${value.toFixed(1)}%` : value)} />
+                            <Legend />
+                            <Bar yAxisId="ratings" dataKey="up" name="Helpful" stackId="ratings" fill="#82ca9d" />
+                            <Bar yAxisId="ratings" dataKey="down" name="Unhelpful" stackId="ratings" fill="#ff7f50" />
+                            <Line yAxisId="satisfaction" dataKey="satisfaction" name="Satisfaction" stroke="#8884d8" connectNulls />
+                        </ComposedChart>
+                    </ResponsiveContainer>
+
+                    <h4>Most downvoted documents</h4>
+                    {stats.documents.length === 0 ? (
+                        <p className="feedback-empty">No document has been in an unhelpful answer or marked as not relevant.</p>
+                    ) : (
+                        <table className="documents-table feedback-table">
+                            <thead>
+                                <tr>
+                                    <th>Document</th>
+                                    <th>Unhelpful answers</th>
+                                    <th>Marked not relevant</th>
+                                    <th>Helpful answers</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {stats.documents.map(document => (
+                                    <tr key={document.docId}>
+                                        <td title={document.docId}>
+                                            {document.title || document.docId}
+                                            {document.deleted && <span className="feedback-deleted"> (deleted)</span>}
+                                        </td>
+                                        <td>{document.downvotes}</td>
+                                        <td>{document.notRelevant}</td>
+                                        <td>{document.upvotes}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </>
+            )}
+
+            {comments.length > 0 && (
+                <>
+                    <h4>Recent comments</h4>
+                    <ul className="feedback-comments">
+                        {comments.map(item => (
+                            <li key={item.queryId}>
+                                <div className="feedback-comment-question">
+                                    {item.rating === 'up' ? '👍' : item.rating === 'down' ? '👎' : '💬'} {item.question}
+                                </div>
+                                <div>{item.comment}</div>
+                                <div className="evaluation-date">{new Date(item.updatedAt).toLocaleString()}</div>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default Feedback;
@@ -0,0 +1,479 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useAppContext } from '../AppContext';
+import { formatPages } from './Query';
+
+const WIDTH = 900;
+const HEIGHT = 600;
+// Expanding stops adding nodes past this many; start a new exploration instead
+const MAX_NODES = 400;
+const NODE_RADIUS = { document: 14, entity: 8, chunk: 6 };
+const LINK_DISTANCE = { HAS_CHUNK: 45, NEXT: 30, MENTIONS: 80, CO_OCCURS_WITH: 110 };
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 5;
+
+const ENDPOINTS = {
+    document: node => `/graph/documents/${encodeURIComponent(node.documentId)}`,
+    chunk: node => `/graph/chunks/${encodeURIComponent(node.chunkId)}`,
+    entity: node => `/graph/entities/${encodeURIComponent(node.entityId)}`
+};
+
+const EMPTY_GRAPH = { nodes: [], edges: [] };
+
+// One step of a small force layout: nodes repel each other, edges pull their ends towards the
+// link distance and everything drifts towards the centre. `alpha` cools from 1 to 0.
+const layoutStep = (graph, positions, alpha) => {
+    const points = graph.nodes.map(node => positions.get(node.id));
+    for (let i = 0; i < points.length; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            const a = points[i];
+            const b = points[j];
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distanceSquared = Math.max(dx * dx + dy * dy, 1);
+            const distance = Math.sqrt(distanceSquared);
+            const force = (900 * alpha) / distanceSquared;
+            a.vx += (dx / distance) * force;
+            a.vy += (dy / distance) * force;
+            b.vx -= (dx / distance) * force;
+            b.vy -= (dy / distance) * force;
+        }
+    }
+    graph.edges.forEach(edge => {
+        const a = positions.get(edge.source);
+        const b = positions.get(edge.target);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+        const pull = (distance - LINK_DISTANCE[edge.type]) * 0.05 * alpha;
+        a.vx += (dx / distance) * pull;
+        a.vy += (dy / distance) * pull;
+        b.vx -= (dx / distance) * pull;
+        b.vy -= (dy / distance) * pull;
+    });
+    points.forEach(point => {
+        point.vx = (point.vx - point.x * 0.01 * alpha) * 0.6;
+        point.vy = (point.vy - point.y * 0.01 * alpha) * 0.6;
+        point.x += point.vx;
+        point.y += point.vy;
+    });
+};
+
+const edgeWidth = weight => Math.min(1 + Math.log2(weight || 1), 4);
+
+const nodeTitle = (node) => {
+    switch (node.kind) {
+        case 'document':
+            return `${node.label} (v${node.version})`;
+        case 'chunk':
+            return `Chunk ${node.label}${formatPages(node) ? ` · ${formatPages(node)}` : ''}`;
+        default:
+            return `${node.label} (${node.entityType})`;
+    }
+};
+
+const GraphExplorer = () => {
+    const { uploadedDocuments, refreshDocuments } = useAppContext();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [graph, setGraph] = useState(EMPTY_GRAPH);
+    const [expanded, setExpanded] = useState(new Set());
+    const [selectedId, setSelectedId] = useState(null);
+    const [truncated, setTruncated] = useState({});
+    const [search, setSearch] = useState('');
+    const [entityResults, setEntityResults] = useState([]);
+    const [view, setView] = useState({ x: WIDTH / 2, y: HEIGHT / 2, k: 1 });
+    const [loading, setLoading] = useState(null);
+    const [error, setError] = useState(null);
+    // Layout positions are mutated by the simulation; `frame` re-renders every step
+    const positionsRef = useRef(new Map());
+    const [, setFrame] = useState(0);
+    const svgRef = useRef(null);
+    const panRef = useRef(null);
+    // The graph as last rendered, for merging fetched neighbourhoods
+    const graphRef = useRef(graph);
+    graphRef.current = graph;
+
+    const hasNodes = graph.nodes.length > 0;
+    const rootDocument = searchParams.get('document');
+    const rootEntity = searchParams.get('entity');
+
+    useEffect(() => {
+        refreshDocuments().catch(error => console.error('Documents error:', error));
+    }, [refreshDocuments]);
+
+    // Fetch a node's neighbourhood and merge it into the graph, or replace the graph with it
+    const loadNeighbourhood = useCallback(async (node, { replace = false } = {}) => {
+        setLoading(node.id);
+        setError(null);
+        try {
+            const response = await fetch(ENDPOINTS[node.kind](node));
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            const base = replace ? EMPTY_GRAPH : graphRef.current;
+            const nodes = new Map(base.nodes.map(existing => [existing.id, existing]));
+            data.nodes.forEach(added => nodes.set(added.id, nodes.get(added.id) || added));
+            if (nodes.size > MAX_NODES) {
+                throw new Error(`The graph is limited to ${MAX_NODES} nodes. Start a new exploration from this node instead.`);
+            }
+
+            // New nodes start around the node they were reached from
+            const positions = positionsRef.current;
+            if (replace) {
+                positions.clear();
+            }
+            const origin = positions.get(data.root) || { x: 0, y: 0 };
+            nodes.forEach((_, id) => {
+                if (!positions.has(id)) {
+                    positions.set(id, {
+                        x: origin.x + (Math.random() - 0.5) * 80,
+                        y: origin.y + (Math.random() - 0.5) * 80,
+                        vx: 0,
+                        vy: 0
+                    });
+                }
+            });
+
+            const edges = new Map(base.edges.map(edge => [`${edge.source}|${edge.type}|${edge.target}`, edge]));
+            data.edges
+                .filter(edge => nodes.has(edge.source) && nodes.has(edge.target))
+                .forEach(edge => edges.set(`${edge.source}|${edge.type}|${edge.target}`, edge));
+            setGraph({ nodes: [...nodes.values()], edges: [...edges.values()] });
+            setExpanded(current => new Set(replace ? [data.root] : [...current, data.root]));
+            setTruncated(data.truncated);
+            if (replace) {
+                setSelectedId(data.root);
+                setView({ x: WIDTH / 2, y: HEIGHT / 2, k: 1 });
+            }
+        } catch (error) {
+            console.error('Graph error:', error);
+            setError(error.message);
+        } finally {
+            setLoading(null);
+        }
+    }, []);
+
+    // The URL names the node the exploration starts from
+    useEffect(() => {
+        if (rootDocument) {
+            loadNeighbourhood({ id: `document:${rootDocument}`, kind: 'document', documentId: rootDocument }, { replace: true });
+        } else if (rootEntity) {
+            loadNeighbourhood({ id: `entity:${rootEntity}`, kind: 'entity', entityId: rootEntity }, { replace: true });
+        }
+    }, [rootDocument, rootEntity, loadNeighbourhood]);
+
+    // Run the layout until it cools down whenever nodes or edges change
+    useEffect(() => {
+        if (graph.nodes.length === 0) return undefined;
+        let alpha = 1;
+        let frame;
+        const step = () => {
+            layoutStep(graph, positionsRef.current, alpha);
+            setFrame(count => count + 1);
+            alpha *= 0.97;
+            if (alpha > 0.02) {
+                frame = requestAnimationFrame(step);
+            }
+        };
+        frame = requestAnimationFrame(step);
+        return () => cancelAnimationFrame(frame);
+    }, [graph]);
+
+    // Entities matching the search, as starting points
+    useEffect(() => {
+        const q = search.trim();
+        if (q.length < 2) {
+            setEntityResults([]);
+            return undefined;
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            try {
+                const response = await fetch(`/entities?q=${encodeURIComponent(q)}&limit=10`, { signal: controller.signal });
+                if (response.ok) {
+                    setEntityResults((await response.json()).entities);
+                }
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.error('Entity search error:', error);
+                }
+            }
+        }, 300);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [search]);
+
+    // Convert a mouse position to SVG coordinates
+    const toSvgPoint = (event) => {
+        const svg = svgRef.current;
+        const point = svg.createSVGPoint();
+        point.x = event.clientX;
+        point.y = event.clientY;
+        return point.matrixTransform(svg.getScreenCTM().inverse());
+    };
+
+    const zoomAt = useCallback((point, factor) => {
+        setView(current => {
+            const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current.k * factor));
+            const ratio = k / current.k;
+            return { k, x: point.x - (point.x - current.x) * ratio, y: point.y - (point.y - current.y) * ratio };
+        });
+    }, []);
+
+    // React registers wheel listeners as passive, so page scrolling can only be stopped natively
+    useEffect(() => {
+        const svg = svgRef.current;
+        if (!svg) return undefined;
+        const onWheel = (event) => {
+            event.preventDefault();
+            const point = svg.createSVGPoint();
+            point.x = event.clientX;
+            point.y = event.clientY;
+            zoomAt(point.matrixTransform(svg.getScreenCTM().inverse()), event.deltaY < 0 ? 1.1 : 1 / 1.1);
+        };
+        svg.addEventListener('wheel', onWheel, { passive: false });
+        return () => svg.removeEventListener('wheel', onWheel);
+    }, [hasNodes, zoomAt]);
+
+    const fitToView = () => {
+        const points = graph.nodes.map(node => positionsRef.current.get(node.id));
+        if (points.length === 0) return;
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+        const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.min(WIDTH / (maxX - minX + 80), HEIGHT / (maxY - minY + 80))));
+        setView({ k, x: WIDTH / 2 - ((minX + maxX) / 2) * k, y: HEIGHT / 2 - ((minY + maxY) / 2) * k });
+    };
+
+    const startPan = (event) => {
+        const point = toSvgPoint(event);
+        panRef.current = { x: point.x, y: point.y, view };
+    };
+
+    const movePan = (event) => {
+        if (!panRef.current) return;
+        const point = toSvgPoint(event);
+        const { x, y, view: start } = panRef.current;
+        setView({ ...start, x: start.x + point.x - x, y: start.y + point.y - y });
+    };
+
+    const endPan = () => {
+        panRef.current = null;
+    };
+
+    const selectNode = (node) => {
+        setSelectedId(node.id);
+        if (!expanded.has(node.id) && !loading) {
+            loadNeighbourhood(node);
+        }
+    };
+
+    const startFrom = (kind, id) => {
+        setSearch('');
+        setSearchParams({ [kind]: id });
+    };
+
+    const nodesById = useMemo(() => new Map(graph.nodes.map(node => [node.id, node])), [graph]);
+    const selected = nodesById.get(selectedId);
+    const neighbours = useMemo(() => {
+        if (!selectedId) return [];
+        return graph.edges
+            .filter(edge => edge.source === selectedId || edge.target === selectedId)
+            .map(edge => ({ edge, node: nodesById.get(edge.source === selectedId ? edge.target : edge.source) }))
+            .sort((a, b) => b.edge.weight - a.edge.weight);
+    }, [graph, nodesById, selectedId]);
+
+    const q = search.trim().toLowerCase();
+    const matches = (node) => q.length >= 2 && node.label.toLowerCase().includes(q);
+    const documentResults = q.length >= 2
+        ? uploadedDocuments.filter(document => (document.title || '').toLowerCase().includes(q)).slice(0, 10)
+        : [];
+    const truncatedLimits = Object.keys(truncated).filter(limit => truncated[limit]);
+
+    return (
+        <div className="graph-section">
+            <h2>Graph Explorer</h2>
+
+            <div className="graph-toolbar">
+                <div className="graph-search-box">
+                    <input
+                        type="text"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Search documents and entities..."
+                        className="query-input"
+                    />
+                    {(documentResults.length > 0 || entityResults.length > 0) && (
+                        <ul className="graph-search-results">
+                            {documentResults.map(document => (
+                                <li key={document.id}>
+                                    <button className="link-button" onClick={() => startFrom('document', document.id)}>
+                                        {document.title}
+                                    </button>
+                                    <span className="graph-result-kind">document v{document.version}</span>
+                                </li>
+                            ))}
+                            {entityResults.map(entity => (
+                                <li key={entity.id}>
+                                    <button className="link-button" onClick={() => startFrom('entity', entity.id)}>
+                                        {entity.name}
+                                    </button>
+                                    <span className="graph-result-kind">{entity.type} · {entity.documents} documents</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+                <div className="graph-zoom">
+                    <button onClick={() => zoomAt({ x: WIDTH / 2, y: HEIGHT / 2 }, 1.25)} title="Zoom in">+</button>
+                    <button onClick={() => zoomAt({ x: WIDTH / 2, y: HEIGHT / 2 }, 0.8)} title="Zoom out">−</button>
+                    <button onClick={fitToView}>Fit</button>
+                </div>
+            </div>
+
+            {error && <div className="error">Error: {error}</div>}
+
+            {!hasNodes ? (
+                <p className="empty-state">
+                    {loading ? 'Loading graph...' : 'Search for a document or entity to explore its neighbourhood.'}
+                </p>
+            ) : (
+                <div className="graph-layout">
+                    <div className="graph-canvas">
+                        <svg
+                            ref={svgRef}
+                            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                            onMouseDown={startPan}
+                            onMouseMove={movePan}
+                            onMouseUp={endPan}
+                            onMouseLeave={endPan}
+                        >
+                            <g transform={`translate(${view.x},${view.y}) scale(${view.k})`}>
+                                {graph.edges.map(edge => {
+                                    const source = positionsRef.current.get(edge.source);
+                                    const target = positionsRef.current.get(edge.target);
+                                    return (
+                                        <line
+                                            key={`${edge.source}|${edge.type}|${edge.target}`}
+                                            className={`graph-edge ${edge.type.toLowerCase()}`}
+                                            x1={source.x}
+                                            y1={source.y}
+                                            x2={target.x}
+                                            y2={target.y}
+                                            strokeWidth={edgeWidth(edge.weight)}
+                                        />
+                                    );
+                                })}
+                                {graph.nodes.map(node => {
+                                    const position = positionsRef.current.get(node.id);
+                                    const classes = ['graph-node', node.kind, node.entityType,
+                                        node.id === selectedId && 'selected',
+                                        expanded.has(node.id) && 'expanded',
+                                        matches(node) && 'matched',
+                                        loading === node.id && 'loading'].filter(Boolean).join(' ');
+                                    return (
+                                        <g
+                                            key={node.id}
+                                            className={classes}
+                                            transform={`translate(${position.x},${position.y})`}
+                                            onMouseDown={(e) => e.stopPropagation()}
+                                            onClick={() => selectNode(node)}
+                                        >
+                                            <title>{nodeTitle(node)}</title>
+                                            <circle r={NODE_RADIUS[node.kind]} />
+                                            {node.kind !== 'chunk' && (
+                                                <text x={NODE_RADIUS[node.kind] + 3} y={4}>
+                                                    {node.label.length > 30 ? `${node.label.slice(0, 29)}…` : node.label}
+                                                </text>
+                                            )}
+                                        </g>
+                                    );
+                                })}
+                            </g>
+                        </svg>
+                        <div className="graph-legend">
+                            <span className="graph-legend-item document">Document</span>
+                            <span className="graph-legend-item chunk">Chunk</span>
+                            <span className="graph-legend-item person">Person</span>
+                            <span className="graph-legend-item organization">Organization</span>
+                            <span className="graph-legend-item place">Place</span>
+                            <span className="graph-legend-item date">Date</span>
+                            <span className="graph-legend-item term">Term</span>
+                            <span className="graph-stats">
+                                {graph.nodes.length} nodes · {graph.edges.length} edges
+                            </span>
+                        </div>
+                        {truncatedLimits.length > 0 && (
+                            <p className="graph-truncated">
+                                The last expansion hit its limit on {truncatedLimits.join(', ')}; only the strongest connections are shown.
+                            </p>
+                        )}
+                    </div>
+
+                    <aside className="graph-panel">
+                        {selected ? (
+                            <>
+                                <h3>{selected.label}</h3>
+                                <div className="graph-panel-meta">
+                                    {selected.kind === 'document' && (
+                                        <>
+                                            Document · version {selected.version}{selected.isLatest ? ' (latest)' : ''}
+                                            {selected.collection && <> · {selected.collection}</>}
+                                            {selected.pageCount && <> · {selected.pageCount} pages</>}
+                                        </>
+                                    )}
+                                    {selected.kind === 'chunk' && (
+                                        <>
+                                            Chunk {selected.label} of {nodesById.get(`document:${selected.documentId}`)?.label || selected.documentId}
+                                            {formatPages(selected) && <> · {formatPages(selected)}</>}
+                                            {selected.wordCount && <> · {selected.wordCount} words</>}
+                                        </>
+                                    )}
+                                    {selected.kind === 'entity' && <>Entity · {selected.entityType}</>}
+                                </div>
+
+                                {selected.kind === 'chunk' && <p className="graph-chunk-text">{selected.content}</p>}
+
+                                <div className="graph-panel-actions">
+                                    {!expanded.has(selected.id) && (
+                                        <button onClick={() => loadNeighbourhood(selected)} disabled={Boolean(loading)}>
+                                            Expand
+                                        </button>
+                                    )}
+                                    {selected.kind === 'document' && (
+                                        <button onClick={() => startFrom('document', selected.documentId)}>Explore from here</button>
+                                    )}
+                                    {selected.kind === 'entity' && (
+                                        <button onClick={() => startFrom('entity', selected.entityId)}>Explore from here</button>
+                                    )}
+                                </div>
+
+                                <h4>Connections ({neighbours.length})</h4>
+                                <ul className="graph-neighbours">
+                                    {neighbours.map(({ edge, node }) => (
+                                        <li key={`${edge.source}|${edge.type}|${edge.target}`}>
+                                            <button className="link-button" onClick={() => setSelectedId(node.id)}>
+                                                {node.kind === 'chunk' ? `Chunk ${node.label}` : node.label}
+                                            </button>
+                                            <span className="graph-result-kind">
+                                                {edge.type.toLowerCase().replace(/_/g, ' ')}{edge.weight > 1 ? ` ×${edge.weight}` : ''}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        ) : (
+                            <p className="empty-state">Click a node to see its details and expand it.</p>
+                        )}
+                    </aside>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GraphExplorer;
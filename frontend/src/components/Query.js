@@ -1,28 +1,218 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useAppContext } from '../AppContext';
 
+export const formatPages = (source) => {
+    if (!source.pageStart) return null;
+    return source.pageStart === source.pageEnd
+        ? `Page ${source.pageStart}`
+        : `Pages ${source.pageStart}–${source.pageEnd}`;
+};
+
+// Label of the fused score for the fusion method a result was retrieved with
+const FUSION_LABELS = { weighted: 'Weighted', rrf: 'RRF', vector: 'Vector only', lexical: 'Lexical only' };
+
+// Verdict badges of claim-level evaluation
+const VERDICT_LABELS = { supported: 'Supported', partial: 'Partly supported', unsupported: 'Unsupported', contradicted: 'Contradicted' };
+
+// The API's `evaluate` option for each choice of the Evaluation select
+const EVALUATION_OPTIONS = {
+    lexical: { mode: 'lexical' },
+    claims: { mode: 'claims', judge: false },
+    judge: { mode: 'claims', judge: true }
+};
+
+// Read a server-sent events response body, calling onEvent(event, data) for each message
+const readEventStream = async (response, onEvent) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let done = false;
+
+    while (!done) {
+        const chunk = await reader.read();
+        done = chunk.done;
+        buffer += decoder.decode(chunk.value || new Uint8Array(), { stream: !done });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const message = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            const data = [];
+            message.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+            });
+            if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+        }
+    }
+};
+
+// The answer with its [n] citation markers as links to the matching source cards. Markers that
+// don't match a source (possible while the answer is still streaming) stay plain text.
+const CitedAnswer = ({ answer, sourceCount, onCite }) => (
+    answer.split(/(\[\d{1,3}\])/).map((part, index) => {
+        const number = /^\[(\d+)\]$/.test(part) ? Number(part.slice(1, -1)) : null;
+        if (!number || number > sourceCount) {
+            return <React.Fragment key={index}>{part}</React.Fragment>;
+        }
+        return (
+            <a
+                key={index}
+                href={`#source-${number}`}
+                className="citation-link"
+                onClick={(e) => {
+                    e.preventDefault();
+                    onCite(number);
+                }}
+            >
+                [{number}]
+            </a>
+        );
+    })
+);
+
+const EMPTY_FEEDBACK = { rating: null, comment: '', notRelevant: [] };
+
+const EMPTY_FILTERS = {
+    documentIds: [],
+    collection: '',
+    tags: '',
+    uploadedAfter: '',
+    uploadedBefore: '',
+    pageFrom: '',
+    pageTo: ''
+};
+
+// The API's `filters` object with only the fields that are set
+const buildFilters = (form) => {
+    const filters = {};
+    if (form.documentIds.length > 0) filters.documentIds = form.documentIds;
+    if (form.collection.trim()) filters.collection = form.collection.trim();
+    const tags = form.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length > 0) filters.tags = tags;
+    if (form.uploadedAfter) filters.uploadedAfter = new Date(`${form.uploadedAfter}T00:00:00`).toISOString();
+    // The whole "to" day is included
+    if (form.uploadedBefore) filters.uploadedBefore = new Date(`${form.uploadedBefore}T23:59:59.999`).toISOString();
+    if (form.pageFrom) filters.pageFrom = Number(form.pageFrom);
+    if (form.pageTo) filters.pageTo = Number(form.pageTo);
+    return filters;
+};
+
 const Query = () => {
     const [question, setQuestion] = useState('');
     const [result, setResult] = useState(null);
-    const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [includeMetadata, setIncludeMetadata] = useState(false);
     const [maxResults, setMaxResults] = useState(5);
+    const [queryStrategy, setQueryStrategy] = useState('');
+    const [graphHops, setGraphHops] = useState('');
+    const [contextWindow, setContextWindow] = useState('');
+    const [fusionMethod, setFusionMethod] = useState('');
+    const [vectorWeight, setVectorWeight] = useState(0.7);
+    const [rerankMethod, setRerankMethod] = useState('');
+    const [evaluationMode, setEvaluationMode] = useState('');
+    const [filterForm, setFilterForm] = useState(EMPTY_FILTERS);
+    const [highlightedSource, setHighlightedSource] = useState(null);
+    const [feedback, setFeedback] = useState(EMPTY_FEEDBACK);
+    const [commentDraft, setCommentDraft] = useState('');
+    const [feedbackStatus, setFeedbackStatus] = useState(null);
+    const abortRef = useRef(null);
+
+    const { isQuerying: loading, setIsQuerying, uploadedDocuments, refreshDocuments } = useAppContext();
+
+    // Stop any running generation when leaving the page
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    useEffect(() => {
+        refreshDocuments().catch(error => console.error('Documents error:', error));
+    }, [refreshDocuments]);
+
+    const searchableDocuments = uploadedDocuments.filter(document =>
+        document.isLatest !== false && ['complete', 'partial'].includes(document.status || 'complete')
+    );
+    const collections = [...new Set(uploadedDocuments.map(document => document.collection).filter(Boolean))];
+    const filters = buildFilters(filterForm);
+    const activeFilterCount = Object.keys(filters).length;
 
-    const { isQuerying, setIsQuerying } = useAppContext();
+    const setFilter = (name, value) => {
+        setFilterForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const showSource = (number) => {
+        document.getElementById(`source-${number}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setHighlightedSource(number);
+    };
+
+    // Store the feedback on the current answer; feedback with nothing left in it is withdrawn
+    const saveFeedback = async (next) => {
+        const previous = feedback;
+        setFeedback(next);
+        setFeedbackStatus('Saving...');
+        try {
+            const empty = !next.rating && !next.comment && next.notRelevant.length === 0;
+            const response = await fetch(`/feedback/${encodeURIComponent(result.queryId)}`, empty ? { method: 'DELETE' } : {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    question: result.question,
+                    answer: result.answer,
+                    rating: next.rating,
+                    comment: next.comment,
+                    sources: result.sources
+                        .filter(source => source.chunkId)
+                        .map(source => ({
+                            chunkId: source.chunkId,
+                            citation: source.citation,
+                            relevant: !next.notRelevant.includes(source.citation)
+                        }))
+                })
+            });
+            if (!response.ok && !(empty && response.status === 404)) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `HTTP error! status: ${response.status}`);
+            }
+            setFeedbackStatus(empty ? null : 'Thanks for your feedback');
+        } catch (error) {
+            console.error('Feedback error:', error);
+            setFeedback(previous);
+            setFeedbackStatus(`Feedback not saved: ${error.message}`);
+        }
+    };
+
+    const rate = (rating) => {
+        saveFeedback({ ...feedback, rating: feedback.rating === rating ? null : rating });
+    };
+
+    const toggleNotRelevant = (number) => {
+        saveFeedback({
+            ...feedback,
+            notRelevant: feedback.notRelevant.includes(number)
+                ? feedback.notRelevant.filter(citation => citation !== number)
+                : [...feedback.notRelevant, number]
+        });
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
 
         if (!question.trim()) return;
 
-        setLoading(true);
+        const controller = new AbortController();
+        abortRef.current = controller;
         setIsQuerying(true);
         setError(null);
         setResult(null);
+        setHighlightedSource(null);
+        setFeedback(EMPTY_FEEDBACK);
+        setCommentDraft('');
+        setFeedbackStatus(null);
 
         try {
-            const response = await fetch('/query', {
+            const response = await fetch('/query/stream', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -30,26 +220,77 @@ const Query = () => {
                 body: JSON.stringify({
                     question,
                     includeMetadata,
-                    maxResults
-                })
+                    maxResults,
+                    ...(queryStrategy !== '' && { queryStrategy }),
+                    ...(graphHops !== '' && { graph: { hops: Number(graphHops) } }),
+                    ...(contextWindow !== '' && { contextWindow: Number(contextWindow) }),
+                    ...(rerankMethod !== '' && { rerank: rerankMethod }),
+                    ...(evaluationMode !== '' && { evaluate: EVALUATION_OPTIONS[evaluationMode] }),
+                    ...(fusionMethod !== '' && {
+                        fusion: fusionMethod === 'weighted' || fusionMethod === 'rrf'
+                            ? { method: fusionMethod, weights: { vector: vectorWeight, lexical: 1 - vectorWeight } }
+                            : { method: fusionMethod }
+                    }),
+                    ...(activeFilterCount > 0 && { filters })
+                }),
+                signal: controller.signal
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `HTTP error! status: ${response.status}`);
             }
 
-            const data = await response.json();
-            setResult(data);
+            await readEventStream(response, (event, data) => {
+                switch (event) {
+                    case 'sources':
+                        setResult({ ...data, question, answer: '', streaming: true });
+                        break;
+                    case 'token':
+                        setResult(prev => ({ ...prev, answer: prev.answer + data.text }));
+                        break;
+                    case 'evaluation':
+                        setResult(prev => ({ ...prev, evaluation: data.evaluation }));
+                        break;
+                    case 'done':
+                        // The final answer has its citation markers validated by the server
+                        setResult(prev => ({
+                            ...prev,
+                            queryId: data.queryId,
+                            answer: data.answer,
+                            citations: data.citations,
+                            streaming: false,
+                            cached: data.cached,
+                            responseTime: data.responseTime
+                        }));
+                        break;
+                    case 'error':
+                        setError(data.details || data.error);
+                        break;
+                    default:
+                        break;
+                }
+            });
 
         } catch (error) {
-            console.error('Query error:', error);
-            setError(error.message);
+            if (error.name === 'AbortError') {
+                setResult(prev => prev && { ...prev, streaming: false, stopped: true });
+            } else {
+                console.error('Query error:', error);
+                setError(error.message);
+            }
         } finally {
-            setLoading(false);
+            // An error event or a dropped connection ends the stream without a done event
+            setResult(prev => (prev?.streaming ? { ...prev, streaming: false } : prev));
+            abortRef.current = null;
             setIsQuerying(false);
         }
     };
 
+    const stopGeneration = () => {
+        abortRef.current?.abort();
+    };
+
     return (
         <div className="query-section">
             <h2>🔍 Query Your Documents</h2>
@@ -64,13 +305,19 @@ const Query = () => {
                         className="query-input"
                         disabled={loading}
                     />
-                    <button
-                        type="submit"
-                        disabled={loading || !question.trim()}
-                        className="query-button"
-                    >
-                        {loading ? 'Searching...' : 'Search'}
-                    </button>
+                    {loading ? (
+                        <button type="button" onClick={stopGeneration} className="stop-button">
+                            Stop
+                        </button>
+                    ) : (
+                        <button
+                            type="submit"
+                            disabled={!question.trim()}
+                            className="query-button"
+                        >
+                            Search
+                        </button>
+                    )}
                 </div>
 
                 <div className="query-options">
@@ -98,7 +345,223 @@ const Query = () => {
                             <option value={20}>20</option>
                         </select>
                     </label>
+
+                    <label className="option-label" title="How the question is turned into searches">
+                        Query strategy:
+                        <select
+                            value={queryStrategy}
+                            onChange={(e) => setQueryStrategy(e.target.value)}
+                            disabled={loading}
+                            className="results-select"
+                        >
+                            <option value="">Default</option>
+                            <option value="multi">Paraphrases</option>
+                            <option value="hyde">Hypothetical answer (HyDE)</option>
+                            <option value="step-back">Step-back question</option>
+                            <option value="decompose">Sub-questions</option>
+                            <option value="none">Question only</option>
+                        </select>
+                    </label>
+
+                    <label className="option-label" title="Also retrieve passages linked to the question's entities in the knowledge graph">
+                        Graph expansion:
+                        <select
+                            value={graphHops}
+                            onChange={(e) => setGraphHops(e.target.value)}
+                            disabled={loading}
+                            className="results-select"
+                        >
+                            <option value="">Off</option>
+                            <option value="0">Question entities</option>
+                            <option value="1">1 hop</option>
+                            <option value="2">2 hops</option>
+                            <option value="3">3 hops</option>
+                        </select>
+                    </label>
+
+                    <label className="option-label" title="How vector similarity and BM25 are combined into one score">
+                        Fusion:
+                        <select
+                            value={fusionMethod}
+                            onChange={(e) => setFusionMethod(e.target.value)}
+                            disabled={loading}
+                            className="results-select"
+                        >
+                            <option value="">Default</option>
+                            <option value="weighted">Weighted sum</option>
+                            <option value="rrf">Reciprocal rank</option>
+                            <option value="vector">Vector only</option>
+                            <option value="lexical">Lexical only</option>
+                        </select>
+                    </label>
+
+                    {(fusionMethod === 'weighted' || fusionMethod === 'rrf') && (
+                        <label className="option-label">
+                            Vector weight: {vectorWeight.toFixed(1)}
+                            <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.1"
+                                value={vectorWeight}
+                                onChange={(e) => setVectorWeight(Number(e.target.value))}
+                                disabled={loading}
+                            />
+                        </label>
+                    )}
+
+                    <label className="option-label" title="Reorder a larger pool of retrieved passages before answering">
+                        Reranking:
+                        <select
+                            value={rerankMethod}
+                            onChange={(e) => setRerankMethod(e.target.value)}
+                            disabled={loading}
+                            className="results-select"
+                        >
+                            <option value="">Default</option>
+                            <option value="none">None</option>
+                            <option value="mmr">Diversify (MMR)</option>
+                            <option value="llm">AI relevance</option>
+                        </select>
+                    </label>
+
+                    <label className="option-label" title="Send neighbouring chunks around every retrieved chunk to the model">
+                        Context window:
+                        <select
+                            value={contextWindow}
+                            onChange={(e) => setContextWindow(e.target.value)}
+                            disabled={loading}
+                            className="results-select"
+                        >
+                            <option value="">Default</option>
+                            <option value="0">Matched chunk only</option>
+                            <option value="1">±1 chunk</option>
+                            <option value="2">±2 chunks</option>
+                            <option value="3">±3 chunks</option>
+                        </select>
+                    </label>
+
+                    <label className="option-label" title="Score the answer by word overlap, or claim by claim against the retrieved passages">
+                        Evaluation:
+                        <select
+                            value={evaluationMode}
+                            onChange={(e) => setEvaluationMode(e.target.value)}
+                            disabled={loading}
+                            className="results-select"
+                        >
+                            <option value="">Default</option>
+                            <option value="lexical">Word overlap</option>
+                            <option value="claims">Claims</option>
+                            <option value="judge">Claims + AI judge</option>
+                        </select>
+                    </label>
                 </div>
+
+                <details className="query-filters">
+                    <summary>
+                        Filters{activeFilterCount > 0 && ` (${activeFilterCount} active)`}
+                    </summary>
+                    <div className="filters-grid">
+                        <label className="option-label filter-documents">
+                            Documents:
+                            <select
+                                multiple
+                                value={filterForm.documentIds}
+                                onChange={(e) => setFilter('documentIds', Array.from(e.target.selectedOptions, option => option.value))}
+                                disabled={loading}
+                                className="results-select"
+                            >
+                                {searchableDocuments.map(document => (
+                                    <option key={document.id} value={document.id}>{document.title}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <label className="option-label">
+                            Collection:
+                            <input
+                                type="text"
+                                list="filter-collections"
+                                value={filterForm.collection}
+                                onChange={(e) => setFilter('collection', e.target.value)}
+                                placeholder="any"
+                                disabled={loading}
+                                className="option-input wide"
+                            />
+                            <datalist id="filter-collections">
+                                {collections.map(collection => <option key={collection} value={collection} />)}
+                            </datalist>
+                        </label>
+
+                        <label className="option-label">
+                            Tags:
+                            <input
+                                type="text"
+                                value={filterForm.tags}
+                                onChange={(e) => setFilter('tags', e.target.value)}
+                                placeholder="any of, comma-separated"
+                                disabled={loading}
+                                className="option-input wide"
+                            />
+                        </label>
+
+                        <label className="option-label">
+                            Uploaded from:
+                            <input
+                                type="date"
+                                value={filterForm.uploadedAfter}
+                                onChange={(e) => setFilter('uploadedAfter', e.target.value)}
+                                disabled={loading}
+                                className="option-input wide"
+                            />
+                        </label>
+
+                        <label className="option-label">
+                            to:
+                            <input
+                                type="date"
+                                value={filterForm.uploadedBefore}
+                                onChange={(e) => setFilter('uploadedBefore', e.target.value)}
+                                disabled={loading}
+                                className="option-input wide"
+                            />
+                        </label>
+
+                        <label className="option-label">
+                            Pages:
+                            <input
+                                type="number"
+                                min="1"
+                                value={filterForm.pageFrom}
+                                onChange={(e) => setFilter('pageFrom', e.target.value)}
+                                placeholder="from"
+                                disabled={loading}
+                                className="option-input"
+                            />
+                            –
+                            <input
+                                type="number"
+                                min="1"
+                                value={filterForm.pageTo}
+                                onChange={(e) => setFilter('pageTo', e.target.value)}
+                                placeholder="to"
+                                disabled={loading}
+                                className="option-input"
+                            />
+                        </label>
+
+                        {activeFilterCount > 0 && (
+                            <button
+                                type="button"
+                                onClick={() => setFilterForm(EMPTY_FILTERS)}
+                                disabled={loading}
+                                className="link-button"
+                            >
+                                Clear filters
+                            </button>
+                        )}
+                    </div>
+                </details>
             </form>
 
             {error && (
@@ -107,9 +570,9 @@ const Query = () => {
                 </div>
             )}
 
-            {loading && (
+            {loading && !result && (
                 <div className="loading">
-                    Processing your query with AI...
+                    Retrieving relevant sources...
                 </div>
             )}
 
@@ -118,16 +581,192 @@ const Query = () => {
                     <div className="result-header">
                         <h3>🤖 AI Answer</h3>
                         <div className="result-metadata">
-                            <span>Response Time: {result.responseTime}ms</span>
+                            {result.streaming && <span>Generating...</span>}
+                            {result.stopped && <span className="stopped-indicator">Stopped</span>}
+                            {result.responseTime !== undefined && <span>Response Time: {result.responseTime}ms</span>}
                             {result.cached && <span className="cached-indicator">📄 Cached</span>}
                             <span>Method: {result.retrievalMethod}</span>
+                            {result.rerank && (
+                                <span title={result.rerank.fallback ? 'The reranker reply could not be used; retrieval order kept' : undefined}>
+                                    Reranked: {result.rerank.method.toUpperCase()} over {result.rerank.candidates}
+                                    {result.rerank.fallback && ' (fallback)'}
+                                </span>
+                            )}
                         </div>
                     </div>
 
                     <div className="answer-section">
-                        <p>{result.answer}</p>
+                        <p>
+                            <CitedAnswer
+                                answer={result.answer}
+                                sourceCount={result.sources?.length || 0}
+                                onCite={showSource}
+                            />
+                            {result.streaming && <span className="streaming-cursor">▍</span>}
+                        </p>
+                        {result.citations?.invalid.length > 0 && (
+                            <p className="citation-warning">
+                                Removed citations to sources that were not retrieved: {result.citations.invalid.map(number => `[${number}]`).join(' ')}
+                            </p>
+                        )}
+                        {result.queryId && (
+                            <div className="feedback-bar">
+                                <div className="feedback-rating">
+                                    <span>Was this answer helpful?</span>
+                                    <button
+                                        type="button"
+                                        onClick={() => rate('up')}
+                                        className={`feedback-button ${feedback.rating === 'up' ? 'active' : ''}`}
+                                        title="Helpful"
+                                    >
+                                        👍
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => rate('down')}
+                                        className={`feedback-button ${feedback.rating === 'down' ? 'active' : ''}`}
+                                        title="Wrong or unhelpful"
+                                    >
+                                        👎
+                                    </button>
+                                    {feedbackStatus && <span className="feedback-status">{feedbackStatus}</span>}
+                                </div>
+                                <div className="feedback-comment">
+                                    <textarea
+                                        value={commentDraft}
+                                        onChange={(e) => setCommentDraft(e.target.value)}
+                                        placeholder="What was wrong or missing? (optional)"
+                                        rows={2}
+                                        maxLength={2000}
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={() => saveFeedback({ ...feedback, comment: commentDraft.trim() })}
+                                        disabled={commentDraft.trim() === feedback.comment}
+                                        className="link-button"
+                                    >
+                                        Save comment
+                                    </button>
+                                </div>
+                            </div>
+                        )}
                     </div>
 
+                    {result.evaluation && (
+                        <div className="evaluation-section">
+                            <h4>📏 Evaluation</h4>
+                            <div className="evaluation-scores">
+                                <span>Answer relevance: {(result.evaluation.answerRelevance * 100).toFixed(1)}%</span>
+                                {result.evaluation.contextPrecision !== null && (
+                                    <span>Context precision: {(result.evaluation.contextPrecision * 100).toFixed(1)}%</span>
+                                )}
+                                <span>Faithfulness: {(result.evaluation.faithfulness * 100).toFixed(1)}%</span>
+                            </div>
+                            {result.evaluation.judge?.fallback && (
+                                <p className="citation-warning">
+                                    The AI judge's reply could not be used; verdicts come from embedding similarity.
+                                </p>
+                            )}
+                            {result.evaluation.claims?.length > 0 && (
+                                <ol className="claim-list">
+                                    {result.evaluation.claims.map((claim, index) => (
+                                        <li key={index} className="claim-item">
+                                            <div className="claim-header">
+                                                <span className={`claim-verdict ${claim.verdict}`}>
+                                                    {VERDICT_LABELS[claim.verdict]}
+                                                </span>
+                                                <span className="claim-text">{claim.claim}</span>
+                                            </div>
+                                            <div className="claim-details">
+                                                <span title="Best match among the retrieved sentences">
+                                                    Similarity: {(claim.similarity * 100).toFixed(1)}%
+                                                </span>
+                                                {claim.supportingSources.length > 0 && (
+                                                    <span>
+                                                        Supported by{' '}
+                                                        {claim.supportingSources.map(number => (
+                                                            <a
+                                                                key={number}
+                                                                href={`#source-${number}`}
+                                                                className="citation-link"
+                                                                onClick={(e) => {
+                                                                    e.preventDefault();
+                                                                    showSource(number);
+                                                                }}
+                                                            >
+                                                                [{number}]
+                                                            </a>
+                                                        ))}
+                                                    </span>
+                                                )}
+                                                {claim.judged && <span>Judged by AI</span>}
+                                            </div>
+                                            {claim.reason && <p className="claim-reason">{claim.reason}</p>}
+                                            {claim.evidence && <blockquote className="claim-evidence">{claim.evidence}</blockquote>}
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </div>
+                    )}
+
+                    {result.graphSearch && (
+                        <div className="graph-search">
+                            <h4>🕸️ Graph Expansion</h4>
+                            {result.graphSearch.entities.length === 0 ? (
+                                <p>No entities in the question matched the knowledge graph.</p>
+                            ) : (
+                                <p>
+                                    Linked {result.graphSearch.entities.map(entity => entity.name).join(', ')}
+                                    {' '}→ {result.graphSearch.entitiesReached} entities within {result.graphSearch.hops} hops,
+                                    {' '}{result.graphSearch.chunksReached} passages
+                                </p>
+                            )}
+                        </div>
+                    )}
+
+                    {result.queryTransformation?.fallback && (
+                        <p className="citation-warning">
+                            The {result.queryTransformation.strategy} query transformation gave no usable output; the question was searched alone.
+                        </p>
+                    )}
+
+                    {result.queryTransformation?.stepBackQuestion && (
+                        <div className="query-variations">
+                            <h4>↩️ Step-back Question</h4>
+                            <p>{result.queryTransformation.stepBackQuestion}</p>
+                        </div>
+                    )}
+
+                    {result.queryTransformation?.hypotheticalDocument && (
+                        <div className="query-variations">
+                            <h4>📝 Hypothetical Answer Searched</h4>
+                            <p>{result.queryTransformation.hypotheticalDocument}</p>
+                        </div>
+                    )}
+
+                    {result.queryTransformation?.subQuestions && (
+                        <div className="query-variations">
+                            <h4>🧩 Sub-questions</h4>
+                            <ol>
+                                {result.queryTransformation.subQuestions.map((subQuestion, index) => (
+                                    <li key={index}>
+                                        <strong>{subQuestion.question}</strong>
+                                        <div className="sub-answer">
+                                            {subQuestion.answer ? (
+                                                <CitedAnswer
+                                                    answer={subQuestion.answer}
+                                                    sourceCount={result.sources?.length || 0}
+                                                    onCite={showSource}
+                                                />
+                                            ) : 'No answer found'}
+                                        </div>
+                                    </li>
+                                ))}
+                            </ol>
+                        </div>
+                    )}
+
                     {result.queryVariations && result.queryVariations.length > 1 && (
                         <div className="query-variations">
                             <h4>🔄 Query Variations Used</h4>
@@ -142,21 +781,77 @@ const Query = () => {
                     {result.sources && result.sources.length > 0 && (
                         <div className="sources-section">
                             <h4>📚 Relevant Sources</h4>
-                            {result.sources.map((source, index) => (
-                                <div key={index} className="source-item">
-                                    <div className="source-scores">
-                                        <span className="score hybrid">Hybrid: {(source.hybridScore * 100).toFixed(1)}%</span>
-                                        <span className="score vector">Vector: {(source.vectorScore * 100).toFixed(1)}%</span>
-                                        <span className="score bm25">BM25: {source.bm25Score.toFixed(2)}</span>
-                                    </div>
-                                    <div className="source-content">
-                                        {source.content}
+                            {result.sources.map((source, index) => {
+                                const number = source.citation ?? index + 1;
+                                const classes = [
+                                    'source-item',
+                                    result.citations?.cited.includes(number) ? 'cited' : '',
+                                    feedback.notRelevant.includes(number) ? 'not-relevant' : '',
+                                    highlightedSource === number ? 'highlighted' : ''
+                                ].filter(Boolean).join(' ');
+                                return (
+                                    <div key={index} id={`source-${number}`} className={classes}>
+                                        <div className="source-scores">
+                                            <span className="source-number">[{number}]</span>
+                                            <span className="score hybrid">
+                                                {FUSION_LABELS[result.fusion?.method] || 'Hybrid'}: {(source.hybridScore * 100).toFixed(1)}%
+                                            </span>
+                                            <span className="score vector">Vector: {(source.vectorScore * 100).toFixed(1)}%</span>
+                                            <span className="score bm25">BM25: {source.bm25Score.toFixed(2)}</span>
+                                            {source.graphScore !== undefined && (
+                                                <span className="score graph">Graph: {(source.graphScore * 100).toFixed(1)}%</span>
+                                            )}
+                                            {source.rerankRank !== undefined && (
+                                                <span
+                                                    className="score rerank"
+                                                    title={source.rerankScore !== null ? `Rerank score: ${source.rerankScore.toFixed(2)}` : 'Not scored by the reranker'}
+                                                >
+                                                    Rank: {source.retrievalRank} → {source.rerankRank}
+                                                </span>
+                                            )}
+                                        </div>
+                                        {source.graphPath?.length > 0 && (
+                                            <div className="graph-path">
+                                                Via: {source.graphPath.map(entity => entity.name).join(' → ')}
+                                            </div>
+                                        )}
+                                        <div className="source-content">
+                                            {source.content}
+                                        </div>
+                                        {source.context && (
+                                            <div className="source-context">
+                                                Sent with chunks {source.context.chunkIndexFrom}–{source.context.chunkIndexTo}
+                                                {source.context.merged.length > 0 && (
+                                                    <> · also matched chunk {source.context.merged.map(merged => merged.chunkIndex).join(', ')}</>
+                                                )}
+                                            </div>
+                                        )}
+                                        <div className="source-metadata">
+                                            Document: {source.docId} | Chunk: {source.chunkIndex}
+                                            {formatPages(source) && (
+                                                <span
+                                                    className="source-pages"
+                                                    title={source.positions?.map(position =>
+                                                        `p.${position.page}: (${position.x0}, ${position.y0})–(${position.x1}, ${position.y1})`
+                                                    ).join('\n')}
+                                                >
+                                                    {' | '}{formatPages(source)}
+                                                </span>
+                                            )}
+                                            {result.queryId && source.chunkId && (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => toggleNotRelevant(number)}
+                                                    className={`source-feedback-button ${feedback.notRelevant.includes(number) ? 'active' : ''}`}
+                                                    title="Mark this source as not relevant to the question"
+                                                >
+                                                    {feedback.notRelevant.includes(number) ? 'Marked not relevant' : 'Not relevant'}
+                                                </button>
+                                            )}
+                                        </div>
                                     </div>
-                                    <div className="source-metadata">
-                                        Document: {source.docId} | Chunk: {source.chunkIndex}
-                                    </div>
-                                </div>
-                            ))}
+                                );
+                            })}
                         </div>
                     )}
                 </div>
@@ -1,9 +1,63 @@
-import React, { useCallback } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { useAppContext } from '../AppContext';
 
+const CHUNKING_STRATEGIES = [
+    { value: 'sentence', label: 'Sentence-aware', unit: 'chars' },
+    { value: 'paragraph', label: 'Paragraph-aware', unit: 'chars' },
+    { value: 'token', label: 'Token budget', unit: 'tokens' },
+    { value: 'fixed', label: 'Fixed size', unit: 'chars' }
+];
+
+const DUPLICATE_POLICIES = [
+    { value: '', label: 'Server default' },
+    { value: 'reject', label: 'Reject' },
+    { value: 'existing', label: 'Use existing' },
+    { value: 'replace', label: 'Replace' }
+];
+
+// Parsing counts for the first 20% of the bar, embedding for the rest
+const progressPercent = (progress) => {
+    if (!progress) return 0;
+    const parsed = progress.totalPages ? progress.pagesParsed / progress.totalPages : 0;
+    const embedded = progress.chunksTotal ? (progress.chunksEmbedded + progress.failures.length) / progress.chunksTotal : 0;
+    return Math.round((0.2 * parsed + 0.8 * embedded) * 100);
+};
+
 const Upload = () => {
-    const { uploadStatus, setUploadStatus, addDocument } = useAppContext();
+    const {
+        uploadStatus,
+        setUploadStatus,
+        uploadedDocuments,
+        addDocument,
+        setUploadedDocuments,
+        refreshDocuments
+    } = useAppContext();
+    const [chunkStrategy, setChunkStrategy] = useState('sentence');
+    const [chunkSize, setChunkSize] = useState('');
+    const [chunkOverlap, setChunkOverlap] = useState('');
+    const [onDuplicate, setOnDuplicate] = useState('');
+    const [versionOf, setVersionOf] = useState('');
+    const [collection, setCollection] = useState('');
+    const [tags, setTags] = useState('');
+    const [job, setJob] = useState(null);
+    const eventSourceRef = useRef(null);
+
+    const closeEvents = () => {
+        if (eventSourceRef.current) {
+            eventSourceRef.current.close();
+            eventSourceRef.current = null;
+        }
+    };
+
+    useEffect(() => closeEvents, []);
+
+    // Existing documents can receive a new version
+    useEffect(() => {
+        refreshDocuments().catch(error => console.error('Documents error:', error));
+    }, [refreshDocuments]);
+
+    const strategyUnit = CHUNKING_STRATEGIES.find(strategy => strategy.value === chunkStrategy).unit;
 
     const onDrop = useCallback(async (acceptedFiles) => {
         const file = acceptedFiles[0];
@@ -20,10 +74,17 @@ const Upload = () => {
 
         setUploadStatus({
             type: 'loading',
-            message: 'Uploading and processing PDF...'
+            message: 'Uploading PDF...'
         });
 
         const formData = new FormData();
+        formData.append('chunkStrategy', chunkStrategy);
+        if (chunkSize) formData.append('chunkSize', chunkSize);
+        if (chunkOverlap) formData.append('chunkOverlap', chunkOverlap);
+        if (onDuplicate) formData.append('onDuplicate', onDuplicate);
+        if (versionOf) formData.append('versionOf', versionOf);
+        if (collection.trim()) formData.append('collection', collection.trim());
+        if (tags.trim()) formData.append('tags', tags);
         formData.append('pdf', file);
 
         try {
@@ -32,26 +93,115 @@ const Upload = () => {
                 body: formData
             });
 
+            if (response.status === 409) {
+                const body = await response.json();
+                setUploadStatus({
+                    type: 'error',
+                    message: body.existingDocument
+                        ? `Already uploaded as "${body.existingDocument.title}" (${body.existingDocument.id}). Choose "Replace" to ingest it again.`
+                        : body.error
+                });
+                return;
+            }
+
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `HTTP error! status: ${response.status}`);
             }
 
-            const result = await response.json();
+            const accepted = await response.json();
+
+            if (accepted.duplicate && !accepted.jobId) {
+                setUploadStatus({
+                    type: 'success',
+                    message: `Already uploaded as "${accepted.existingDocument.title}" (${accepted.id}); using the existing document.`
+                });
+                setTimeout(() => setUploadStatus(null), 5000);
+                return;
+            }
 
             setUploadStatus({
-                type: 'success',
-                message: `PDF processed successfully! Created ${result.chunksProcessed} chunks.`
+                type: 'loading',
+                message: accepted.replaces
+                    ? `Processing PDF (replacing ${accepted.replaces})...`
+                    : accepted.versionOf
+                        ? `Processing PDF as version ${accepted.version}...`
+                        : 'Processing PDF...'
+            });
+
+            // Follow the ingestion job until it finishes
+            closeEvents();
+            const events = new EventSource(accepted.eventsUrl);
+            eventSourceRef.current = events;
+
+            events.addEventListener('progress', (event) => {
+                setJob(JSON.parse(event.data));
+            });
+
+            events.addEventListener('completed', (event) => {
+                const snapshot = JSON.parse(event.data);
+                const result = snapshot.result;
+                closeEvents();
+                setJob(null);
+
+                const chunking = `${result.chunking.chunkStrategy}, size ${result.chunking.chunkSize}, overlap ${result.chunking.chunkOverlap}`;
+                setUploadStatus(result.status === 'partial'
+                    ? {
+                        type: 'error',
+                        message: `PDF partially processed: stored ${result.chunksProcessed} of ${result.chunksTotal} chunks (${chunking}); ${result.failedChunks.length} failed to embed.`
+                    }
+                    : {
+                        type: 'success',
+                        message: `PDF processed successfully! Created ${result.chunksProcessed} chunks (${chunking})${result.replaced ? `, replacing ${result.replaced}` : ''}${result.previousVersionId ? `; version ${result.version}, ${result.chunksReused} unchanged chunks reused` : ''}.`
+                    });
+
+                const superseded = [result.replaced, result.previousVersionId].filter(Boolean);
+                if (superseded.length > 0) {
+                    setUploadedDocuments(prev => prev.filter(document => !superseded.includes(document.id)));
+                }
+                setVersionOf('');
+
+                addDocument({
+                    id: result.id,
+                    title: file.name,
+                    status: result.status,
+                    contentHash: result.contentHash,
+                    version: result.version,
+                    lineageId: result.lineageId,
+                    uploadedAt: new Date().toISOString(),
+                    chunkCount: result.chunksProcessed,
+                    ...result.chunking
+                });
+
+                // Clear status after 5 seconds
+                setTimeout(() => setUploadStatus(null), 5000);
             });
 
-            addDocument({
-                id: result.id,
-                filename: file.name,
-                uploadedAt: new Date().toISOString(),
-                chunks: result.chunksProcessed
+            events.addEventListener('failed', (event) => {
+                const snapshot = JSON.parse(event.data);
+                closeEvents();
+                setJob(null);
+                setUploadStatus({
+                    type: 'error',
+                    message: `Processing failed: ${snapshot.error}`
+                });
             });
 
-            // Clear status after 5 seconds
-            setTimeout(() => setUploadStatus(null), 5000);
+            events.addEventListener('cancelled', () => {
+                closeEvents();
+                setJob(null);
+                setUploadStatus({
+                    type: 'error',
+                    message: 'Processing cancelled'
+                });
+            });
+
+            events.onerror = () => {
+                // EventSource reconnects on its own unless the stream was closed
+                if (events.readyState === EventSource.CLOSED) {
+                    closeEvents();
+                }
+            };
 
         } catch (error) {
             console.error('Upload error:', error);
@@ -60,10 +210,24 @@ const Upload = () => {
                 message: `Upload failed: ${error.message}`
             });
         }
-    }, [setUploadStatus, addDocument]);
+    }, [setUploadStatus, addDocument, setUploadedDocuments, chunkStrategy, chunkSize, chunkOverlap, onDuplicate, versionOf, collection, tags]);
+
+    const cancelJob = async () => {
+        if (!job) return;
+
+        try {
+            const response = await fetch(`/jobs/${job.id}/cancel`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Cancel error:', error);
+        }
+    };
 
     const { getRootProps, getInputProps, isDragActive } = useDropzone({
         onDrop,
+        disabled: Boolean(job),
         accept: {
             'application/pdf': ['.pdf']
         },
@@ -73,6 +237,98 @@ const Upload = () => {
     return (
         <div className="upload-section">
             <h2>📄 Upload PDF Document</h2>
+
+            <div className="upload-options">
+                <label className="option-label">
+                    Chunking:
+                    <select
+                        value={chunkStrategy}
+                        onChange={(e) => setChunkStrategy(e.target.value)}
+                        className="results-select"
+                    >
+                        {CHUNKING_STRATEGIES.map(strategy => (
+                            <option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="option-label">
+                    Chunk size ({strategyUnit}):
+                    <input
+                        type="number"
+                        min="20"
+                        value={chunkSize}
+                        onChange={(e) => setChunkSize(e.target.value)}
+                        placeholder="default"
+                        className="option-input"
+                    />
+                </label>
+
+                <label className="option-label">
+                    Overlap ({strategyUnit}):
+                    <input
+                        type="number"
+                        min="0"
+                        value={chunkOverlap}
+                        onChange={(e) => setChunkOverlap(e.target.value)}
+                        placeholder="default"
+                        className="option-input"
+                    />
+                </label>
+
+                <label className="option-label">
+                    Upload as:
+                    <select
+                        value={versionOf}
+                        onChange={(e) => setVersionOf(e.target.value)}
+                        className="results-select"
+                    >
+                        <option value="">New document</option>
+                        {uploadedDocuments
+                            .filter(document => document.isLatest !== false)
+                            .map(document => (
+                                <option key={document.id} value={document.id}>
+                                    New version of {document.title} (v{document.version ?? 1})
+                                </option>
+                            ))}
+                    </select>
+                </label>
+
+                <label className="option-label">
+                    If already uploaded:
+                    <select
+                        value={onDuplicate}
+                        onChange={(e) => setOnDuplicate(e.target.value)}
+                        className="results-select"
+                    >
+                        {DUPLICATE_POLICIES.map(policy => (
+                            <option key={policy.value} value={policy.value}>{policy.label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="option-label">
+                    Collection:
+                    <input
+                        type="text"
+                        value={collection}
+                        onChange={(e) => setCollection(e.target.value)}
+                        placeholder={versionOf ? 'inherited' : 'none'}
+                        className="option-input wide"
+                    />
+                </label>
+
+                <label className="option-label">
+                    Tags:
+                    <input
+                        type="text"
+                        value={tags}
+                        onChange={(e) => setTags(e.target.value)}
+                        placeholder={versionOf ? 'inherited' : 'comma-separated'}
+                        className="option-input wide"
+                    />
+                </label>
+            </div>
             <div
                 {...getRootProps()}
                 className={`dropzone ${isDragActive ? 'active' : ''}`}
@@ -95,6 +351,35 @@ const Upload = () => {
                     {uploadStatus.message}
                 </div>
             )}
+
+            {job && (
+                <div className="upload-progress">
+                    <div className="progress-bar">
+                        <div className="progress-fill" style={{ width: `${progressPercent(job.progress)}%` }} />
+                    </div>
+                    <div className="progress-details">
+                        {job.status === 'queued' && <span>Queued (position {job.queuePosition})</span>}
+                        {job.progress && (
+                            <>
+                                <span>Pages parsed: {job.progress.pagesParsed}/{job.progress.totalPages ?? '?'}</span>
+                                <span>Chunks embedded: {job.progress.chunksEmbedded}/{job.progress.chunksTotal ?? '?'}</span>
+                                {job.progress.stage === 'extracting' && (
+                                    <span>Chunks scanned for entities: {job.progress.chunksExtracted}/{job.progress.chunksEmbedded}</span>
+                                )}
+                                {job.progress.stage === 'storing' && (
+                                    <span>Chunks stored: {job.progress.chunksStored}/{job.progress.chunksEmbedded}</span>
+                                )}
+                                {job.progress.failures.length > 0 && (
+                                    <span className="progress-failures">Failures: {job.progress.failures.length}</span>
+                                )}
+                            </>
+                        )}
+                        <button onClick={cancelJob} className="cancel-button">
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
         </div>
     );
 };